@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/*
+Command line bearing capacity calculator.
+Takes the inputs as flags, a JSON file, or both (flags override the file), and prints the result as text or JSON.
+Run with --help for the usage.
+*/
+
+const fs = require("fs");
+const {parseArgs} = require("util");
+const engine = require("../javascript/engine");
+
+//key=flag, value=BearingCapacity input key. Flags without a value in the table are options of the tool itself
+const INPUT_FLAGS = {
+    "units": "units",
+    "shape": "shape",
+    "cohesion": "cohesion",
+    "phi": "phi",
+    "unit-weight": "unitWeight",
+    "depth": "depth",
+    "width": "width",
+    "length": "length",
+    "groundwater-depth": "groundwaterDepth",
+    "fs": "FS",
+    "vertical-load": "verticalLoad",
+    "horizontal-load": "horizontalLoad",
+    "moment-b": "momentB",
+    "moment-l": "momentL",
+    "factor-method": "factorMethod",
+    "failure-mode": "failureMode",
+    "relative-density": "relativeDensity",
+    "slope-angle": "slopeAngle",
+    "setback": "setback",
+    "analysis-case": "analysisCase",
+    "undrained-shear-strength": "undrainedShearStrength"
+};
+const USAGE = `Usage: node bin/bearing-capacity.js [options]
+
+Inputs (dimensional values may carry a unit, e.g. --width "1.5 m"):
+  --units US|SI             unit system, default US
+  --shape SHAPE             ${engine.FOOTING_SHAPES.join(", ")}. Default continuous
+  --cohesion C              cohesion [psf] [kPa]
+  --phi PHI                 friction angle [degrees]
+  --unit-weight GAMMA       unit weight [pcf] [kN/m³]
+  --depth D                 embedment depth [ft] [m]
+  --width B                 width, or diameter of a circular footing [ft] [m]
+  --length L                length of a rectangular footing [ft] [m]
+  --groundwater-depth DW    depth to groundwater [ft] [m], negative above the ground surface.
+                            Omit for no groundwater
+  --fs FS                   factor of safety
+  --slope-angle BETA        angle of ground sloping away from the footing [degrees], default 0
+  --setback BB              distance from the edge of the footing to the crest of the slope [ft] [m], default 0
+  --vertical-load V         optional service loads and moments, per unit length for continuous footings
+  --horizontal-load H
+  --moment-b MB
+  --moment-l ML
+  --factor-method METHOD    Terzaghi factors: table or closedForm. Default table
+  --failure-mode MODE       Terzaghi failure mode: ${Object.keys(engine.FAILURE_MODES).join(", ")}. Default general
+  --relative-density DR     relative density [%], used by the auto failure mode
+  --analysis-case CASE      ${Object.keys(engine.ANALYSIS_CASES).join(", ")} or both. Default drained.
+                            With both, the governing case is reported in detail
+  --undrained-shear-strength SU
+                            undrained shear strength [psf] [kPa], used by the undrained case
+  --input FILE              JSON file with an object of the inputs above, keyed as in BearingCapacity
+                            (unitWeight, groundwaterDepth, FS, ...). May also hold "layers" and "method".
+                            Flags override the file.
+
+Options:
+  --method METHODS          ${Object.keys(engine.BEARING_CAPACITY_METHODS).join(", ")}, or a comma separated list.
+                            Default terzaghi
+  --format text|json        output format, default text. With several methods JSON is a list
+  --help                    show this message`;
+
+function readInputs(argv) {
+    /*
+    Parses the command line. Returns {inputs, methods, format, help}.
+    Throws an Error with a message for the user if the command line is bad, or with the validateInputs errors if the inputs are.
+    */
+    let options = {input: {type: "string"}, method: {type: "string"}, format: {type: "string"}, help: {type: "boolean"}};
+    Object.keys(INPUT_FLAGS).forEach(flag => options[flag] = {type: "string"});
+    const {values} = parseArgs({args: argv, options: options});
+    if (values.help) return {help: true};
+
+    let inputs = {};
+    if (values.input) {
+        let text;
+        try {
+            text = fs.readFileSync(values.input, "utf8");
+        } catch (error) {
+            throw new Error(`cannot read ${values.input}`);
+        }
+        try {
+            inputs = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${values.input} is not valid JSON`);
+        }
+        if (typeof inputs !== "object" || inputs === null || Array.isArray(inputs)) throw new Error(`${values.input} should hold a JSON object of inputs`);
+    }
+    Object.keys(INPUT_FLAGS).forEach(flag => {
+        if (values[flag] !== undefined) inputs[INPUT_FLAGS[flag]] = values[flag];
+    });
+
+    let methods = (values.method || inputs.method || "terzaghi").split(",").map(method => method.trim());
+    delete inputs.method;
+    methods.forEach(method => {
+        if (!(method in engine.BEARING_CAPACITY_METHODS)) throw new Error(`unknown method ${method}`);
+    });
+    let format = values.format || "text";
+    if (!["text", "json"].includes(format)) throw new Error(`unknown format ${format}`);
+    //fill in the defaults here, so the engine doesn't log them to stdout and spoil JSON output
+    if (inputs.units === undefined) inputs.units = "US";
+    if (inputs.shape === undefined) inputs.shape = "continuous";
+    let validation = engine.validateInputs(inputs);
+    if (!validation.valid) throw new Error(validation.errors.map(error => error.message).join("; "));
+    return {inputs: inputs, methods: methods, format: format, help: false};
+}
+
+function summary(method, inputs) {
+    /*
+    Runs one method, including the layered profile checks, and returns the result as plain data.
+    With both analysis cases the result is for the governing case, and analysisCases lists both.
+    */
+    let cases;
+    if (inputs.analysisCase === "both") {
+        cases = engine.compareAnalysisCases(inputs, method);
+        inputs = {...inputs, analysisCase: cases.governing.analysisCase};
+    }
+    const analysis = engine.layeredBearingCapacity(inputs, method);
+    const result = analysis.result;
+    const decimals = result.unitSystem.decimals;
+    return {
+        method: method,
+        label: engine.BEARING_CAPACITY_METHODS[method][0],
+        units: result.units,
+        shape: result.shape,
+        analysisCase: result.analysisCase,
+        analysisCases: cases && cases.cases.map(({analysisCase, bearingCapacity, allowableCapacity}) => ({analysisCase, bearingCapacity, allowableCapacity})),
+        governingCase: cases && cases.explanation,
+        factors: {Nc: result.Nc, Nq: result.Nq, Ng: result.Ng, description: result.factorDescription},
+        failureMode: result.failureMode,
+        failureModeExplanation: result.failureModeExplanation,
+        groundFactors: result.slopeAngle ? {
+            c: engine.roundTo(result.modifiers.ground.c, 3),
+            q: engine.roundTo(result.modifiers.ground.q, 3),
+            g: engine.roundTo(result.modifiers.ground.g, 3),
+            description: result.groundDescription
+        } : undefined,
+        groundwaterCase: result.groundwaterCase,
+        effectiveStress: engine.roundTo(result.effectiveStress, decimals),
+        totalStress: engine.roundTo(result.totalStress, decimals),
+        effectiveUnitWeight: engine.roundTo(result.effectiveUnitWeight, decimals),
+        equation: result.equation,
+        calculation: result.calculation,
+        solution: result.workedSolution(),
+        terms: {
+            c: engine.roundTo(result.terms.c, decimals),
+            q: engine.roundTo(result.terms.q, decimals),
+            g: engine.roundTo(result.terms.g, decimals)
+        },
+        checks: analysis.checks.map(({key, label, bearingCapacity}) => ({key, label, bearingCapacity})),
+        governing: analysis.governing.key,
+        FS: result.FS,
+        bearingCapacity: analysis.bearingCapacity,
+        allowableCapacity: analysis.allowableCapacity,
+        appliedPressure: result.appliedPressure,
+        warnings: result.warnings.map(warning => warning.message)
+    };
+}
+
+function formatText(row) {
+    /*
+    Returns a summary as lines of text, like the results in the app.
+    */
+    const units = engine.UNIT_SYSTEMS[row.units];
+    let lines = [
+        `Method: ${row.label}`,
+        ...(row.analysisCases || []).map(analysisCase => `Case ${engine.ANALYSIS_CASES[analysisCase.analysisCase]}: ` +
+            `q ult = ${analysisCase.bearingCapacity} ${units.stress}, q allow = ${analysisCase.allowableCapacity} ${units.stress}`),
+        ...(row.governingCase ? [`${row.governingCase}.`] : []),
+        `Analysis case: ${engine.ANALYSIS_CASES[row.analysisCase]}`,
+        `Equation: ${row.equation}`,
+        `Nc = ${row.factors.Nc}, Nq = ${row.factors.Nq}, Ng = ${row.factors.Ng} (${row.factors.description})`,
+        ...(row.failureModeExplanation ? [`${row.failureModeExplanation}.`] : []),
+        ...(row.groundFactors ? [`${row.groundFactors.description}: gc = ${row.groundFactors.c}, gq = ${row.groundFactors.q}, gg = ${row.groundFactors.g}`] : []),
+        engine.GROUNDWATER_CASES[row.groundwaterCase],
+        row.analysisCase === "undrained" ?
+            `Total stress: ${row.totalStress} ${units.stress}, unit weight: ${row.effectiveUnitWeight} ${units.unitWeight}` :
+            `Effective stress: ${row.effectiveStress} ${units.stress}, effective unit weight: ${row.effectiveUnitWeight} ${units.unitWeight}`,
+        "Worked solution:",
+        ...row.solution.map(step => `  ${step.symbol} = ${step.formula} = ${step.substitution} = ${step.result}${step.units ? ` ${step.units}` : ""}`)
+    ];
+    if (row.checks.length > 1) {
+        row.checks.forEach(check => lines.push(`Check ${check.label}: ${check.bearingCapacity} ${units.stress}`));
+    }
+    lines.push(`Ultimate bearing capacity: ${row.bearingCapacity} ${units.stress}`);
+    lines.push(`Allowable bearing capacity (FS = ${row.FS}): ${row.allowableCapacity} ${units.stress}`);
+    if (row.appliedPressure !== undefined) {
+        lines.push(`Applied pressure: ${row.appliedPressure} ${units.stress}, ${row.appliedPressure <= row.allowableCapacity ? "OK" : "NOT OK"}`);
+    }
+    row.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+    return lines.join("\n");
+}
+
+function main(argv) {
+    let command;
+    try {
+        command = readInputs(argv);
+    } catch (error) {
+        console.error(`Error: ${error.message}. Run with --help for the usage.`);
+        return 1;
+    }
+    if (command.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    let rows = command.methods.map(method => summary(method, command.inputs));
+    if (command.format === "json") console.log(JSON.stringify(rows.length === 1 ? rows[0] : rows, null, 2));
+    else console.log(rows.map(formatText).join("\n\n"));
+    return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = {readInputs, summary, formatText, main};
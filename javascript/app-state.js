@@ -0,0 +1,490 @@
+/*
+State of BearingCapacityApp.
+The state only changes through reducer, which returns a new state for each action and never modifies the old one,
+so every form input is a controlled input whose value is read from the state.
+Anything with a side effect, such as the URL hash, localStorage or printing, stays in the component.
+*/
+
+import {
+    UNIT_SYSTEMS, convertValue, roundTo, loadQuantity, momentQuantity, INPUT_SCHEMA, validateValue, validateField, validateInputs,
+    BEARING_CAPACITY_METHODS, compareBearingCapacityMethods, layeredBearingCapacity, compareAnalysisCases,
+    designFootingWidth, SWEEP_PARAMETERS, sweepBearingCapacity, tornadoSensitivity
+} from "./engine";
+import {PERSISTED_INPUTS} from "./storage";
+import {reportData} from "./report";
+
+//Size of the text inputs of the form and of its checks, in characters
+const TEXT_BOX_SIZE = 5;
+
+//Inputs converted when the unit system changes. [state key, quantity]
+//Load quantities depend on the shape, so they are functions of the shape
+const DIMENSIONAL_INPUTS = [
+    ["cohesion", "stress"],
+    ["undrainedShearStrength", "stress"],
+    ["unitWeight", "unitWeight"],
+    ["depth", "length"],
+    ["width", "length"],
+    ["length", "length"],
+    ["groundwaterDepth", "length"],
+    ["setback", "length"],
+    ["verticalLoad", loadQuantity],
+    ["horizontalLoad", loadQuantity],
+    ["momentB", momentQuantity],
+    ["momentL", momentQuantity],
+    ["widthIncrement", "length"]
+];
+
+//Text inputs checked as they are typed, each with its own error message
+const CHECKED_INPUTS = [
+    "cohesion", "phi", "undrainedShearStrength", "unitWeight", "depth", "width", "length", "groundwaterDepth", "slopeAngle", "setback",
+    "verticalLoad", "horizontalLoad", "momentB", "momentL", "FS", "relativeDensity", "widthIncrement"
+];
+
+//Columns of the soil profile table. [layer key, quantity, column label]
+const LAYER_FIELDS = [
+    ["thickness", "length", "thickness"],
+    ["cohesion", "stress", "c"],
+    ["phi", undefined, "phi"],
+    ["undrainedShearStrength", "stress", "su"],
+    ["unitWeight", "unitWeight", "γ"],
+    ["saturatedUnitWeight", "unitWeight", "γsat"]
+];
+
+const blankLayer = () => ({thickness: "", cohesion: "", phi: "", undrainedShearStrength: "", unitWeight: "", saturatedUnitWeight: ""});
+
+//Rule for the design width increment, which is not a BearingCapacity input, in the form of the engine's INPUT_SCHEMA
+const WIDTH_INCREMENT_RULE = {label: "width increment", quantity: "length", positive: true};
+
+//A blank parameter is not swept
+const blankSweep = parameter => ({parameter: parameter, from: "", to: "", step: ""});
+
+function blankErrors() {
+    /*
+    Returns the error state with nothing wrong: a message per checked input, lists for the soil profile and the sweeps,
+    and flags for the calculations that could not run and for localStorage refusing the saved calculations.
+    */
+    let error = {layers: false, sweeps: false, cannotEvaluate: false, cannotDesign: false, cannotSweep: false, storage: false};
+    CHECKED_INPUTS.forEach(parameter => error[parameter] = false);
+    return error;
+}
+
+function initialState(units="US") {
+    /*
+    Returns a new state with an empty form in the given unit system.
+    Text inputs are empty strings, so their inputs stay controlled.
+    results holds the rendered calculation, design the width design and sweep the sensitivity sweep, each undefined until run.
+    */
+    return {
+        units: units,
+        shape: "continuous",
+        cohesion: "",
+        phi: "",
+        undrainedShearStrength: "",
+        unitWeight: "",
+        depth: "",
+        width: "",
+        length: "",
+        groundwaterDepth: "",
+        noGroundwater: false,
+        slopeAngle: "",
+        setback: "",
+        verticalLoad: "",
+        horizontalLoad: "",
+        momentB: "",
+        momentL: "",
+        FS: "",
+        factorMethod: "table",
+        failureMode: "general",
+        relativeDensity: "",
+        analysisCase: "drained",
+        methods: ["terzaghi"],
+        soilModel: "homogeneous",
+        layers: [blankLayer()],
+        widthIncrement: "",
+        sweeps: [blankSweep("phi"), blankSweep("")],
+        results: undefined,
+        design: undefined,
+        sweep: undefined,
+        warnings: [],
+        savedCalculations: [],
+        saveName: "",
+        showReport: false,
+        reportDetails: {project: "", location: "", engineer: ""},
+        error: blankErrors()
+    };
+}
+
+function firstMethod(state) {
+    //the method shown in detail, designed with and swept
+    return state.methods.length ? state.methods[0] : "terzaghi";
+}
+
+function validationOptions(state, design=false) {
+    /*
+    Returns the options for the engine's validateInputs.
+    The form asks for the groundwater depth unless no groundwater is ticked, and always for the length of a rectangular footing.
+    In design mode the width and length are optional trial values, and the vertical load is required.
+    */
+    let groundwater = state.noGroundwater ? [] : ["groundwaterDepth"];
+    return design ?
+        {required: [...groundwater, "verticalLoad"], optional: ["width", "length"]} :
+        {required: [...groundwater, "length"]};
+}
+
+function collectInputs(state) {
+    /*
+    Returns the BearingCapacity inputs object for the form in state.
+    A layered profile replaces the single soil's cohesion, phi, unit weight and undrained shear strength.
+    */
+    let layered = state.soilModel === "layered";
+    return {
+        cohesion: layered ? undefined : state.cohesion,
+        phi: layered ? undefined : state.phi,
+        depth: state.depth,
+        unitWeight: layered ? undefined : state.unitWeight,
+        layers: layered ? state.layers : undefined,
+        width: state.width,
+        length: state.length,
+        shape: state.shape,
+        groundwaterDepth: state.noGroundwater ? undefined : state.groundwaterDepth,
+        verticalLoad: state.verticalLoad,
+        horizontalLoad: state.horizontalLoad,
+        momentB: state.momentB,
+        momentL: state.momentL,
+        slopeAngle: state.slopeAngle,
+        setback: state.setback,
+        FS: state.FS,
+        units: state.units,
+        factorMethod: state.factorMethod,
+        failureMode: state.failureMode,
+        relativeDensity: state.relativeDensity,
+        analysisCase: state.analysisCase,
+        undrainedShearStrength: layered ? undefined : state.undrainedShearStrength
+    };
+}
+
+function checkField(state, parameter) {
+    /*
+    Checks one input with the engine's validator as it is typed.
+    Returns the validator's message, or false if the input is valid.
+    */
+    let error = parameter === "widthIncrement" ?
+        validateValue(state.widthIncrement, WIDTH_INCREMENT_RULE, state.units) :
+        validateField(parameter, collectInputs(state), validationOptions(state));
+    return error ? error.message : false;
+}
+
+function checkInputs(state, design=false) {
+    /*
+    Checks every input needed for a calculation with the engine's validateInputs.
+    Returns {valid, state}, where state has the error message of each input, the list of soil profile errors,
+    and the engineering warnings.
+    */
+    let validation = validateInputs(collectInputs(state), validationOptions(state, design));
+    let error = {...state.error};
+    Object.keys(INPUT_SCHEMA).forEach(parameter => error[parameter] = false);
+    validation.errors.filter(error => error.field !== "layers").forEach(({field, message}) => error[field] = message);
+    let layerErrors = validation.errors.filter(error => error.field === "layers").map(error => error.message);
+    error.layers = layerErrors.length ? layerErrors : false;
+    return {valid: validation.valid, state: {...state, error: error, warnings: validation.warnings}};
+}
+
+function sweepErrors(sweeps) {
+    /*
+    Checks the swept parameters. The first parameter is required, the second is optional, and they must differ.
+    from and to are checked with the engine's rule for the parameter, as plain numbers in the current unit system,
+    and step should be a positive number.
+    Returns the list of messages, empty if the sweeps are valid.
+    */
+    let [first, second] = sweeps;
+    let messages = [];
+    if (!first.parameter) messages.push("choose a parameter to sweep");
+    if (first.parameter && first.parameter === second.parameter) messages.push("the two swept parameters should differ");
+    sweeps.filter(sweep => sweep.parameter).forEach(sweep => {
+        const rule = {...INPUT_SCHEMA[sweep.parameter], quantity: undefined, required: true};
+        const label = INPUT_SCHEMA[sweep.parameter].label;
+        [
+            validateValue(sweep.from, {...rule, label: `${label} sweep start`}),
+            validateValue(sweep.to, {...rule, label: `${label} sweep end`}),
+            validateValue(sweep.step, {label: `${label} sweep step`, required: true, positive: true})
+        ].forEach(error => error && messages.push(error.message));
+    });
+    return messages;
+}
+
+function calculationResults(state) {
+    /*
+    Runs every selected method on the valid inputs of state, and returns what the results show.
+    The first method is shown in detail, all of them in the comparison table.
+    With both analysis cases, the results are for the case that governs the first method.
+    */
+    let inputs = collectInputs(state);
+    let methods = state.methods.length ? state.methods : ["terzaghi"];
+    let analysisCases;
+    if (inputs.analysisCase === "both") {
+        analysisCases = compareAnalysisCases(inputs, methods[0]);
+        inputs = {...inputs, analysisCase: analysisCases.governing.analysisCase};
+    }
+    let comparison = compareBearingCapacityMethods(inputs, methods);
+    let result = comparison[0].result;
+    //check each method against weaker layers. The governing check sets the capacity
+    let analyses = comparison.map(row => layeredBearingCapacity(inputs, row.method, row.result));
+    return {
+        units: state.units,
+        shape: state.shape,
+        FS: state.FS, //so the rendered FS doesn't change if the user changes the FS input
+        method: comparison[0].label,
+        inputs: inputs, //inputs and method key of the results, for the settlement and reliability checks
+        methodKey: comparison[0].method,
+        bearingCapacity: analyses[0].bearingCapacity,
+        allowableCapacity: analyses[0].allowableCapacity,
+        layerChecks: state.soilModel === "layered" ? {checks: analyses[0].checks, explanation: analyses[0].explanation} : undefined,
+        analysisCases: analysisCases && {
+            cases: analysisCases.cases.map(({analysisCase, label, bearingCapacity, allowableCapacity}) => ({
+                analysisCase: analysisCase,
+                label: label,
+                bearingCapacity: bearingCapacity,
+                allowableCapacity: allowableCapacity
+            })),
+            explanation: analysisCases.explanation
+        },
+        solution: result.workedSolution(),
+        loadResult: result.verticalLoad ? {
+            eccentricityB: result.eccentricityB,
+            eccentricityL: result.eccentricityL,
+            effectiveWidth: result.effectiveWidth,
+            effectiveLength: result.effectiveLength,
+            effectiveArea: result.effectiveArea,
+            withinKern: result.withinKern,
+            loadInclination: result.loadInclination(),
+            //the governing layer check may be lower than the bearing layer's capacity
+            ultimateLoad: roundTo(analyses[0].bearingCapacity * result.effectiveArea, result.unitSystem.decimals),
+            allowableLoad: roundTo(analyses[0].allowableCapacity * result.effectiveArea, result.unitSystem.decimals),
+            appliedPressure: result.appliedPressure
+        } : undefined,
+        equation: result.equation,
+        factors: {Nc: result.Nc, Nq: result.Nq, Ng: result.Ng, description: result.factorDescription},
+        failureModeExplanation: result.failureModeExplanation,
+        groundDescription: result.groundDescription && `${result.groundDescription}: gc = ${roundTo(result.modifiers.ground.c, 3)}, gq = ${roundTo(result.modifiers.ground.q, 3)}, gγ = ${roundTo(result.modifiers.ground.g, 3)}`,
+        groundwater: {
+            case: result.groundwaterCase,
+            undrained: result.analysisCase === "undrained",
+            effectiveUnitWeight: roundTo(result.effectiveUnitWeight, result.unitSystem.decimals),
+            overburdenStress: roundTo(result.overburdenStress, result.unitSystem.decimals)
+        },
+        comparison: comparison.map(({method, label, result}, i) => ({
+            method: method,
+            label: label,
+            Nc: result.Nc,
+            Nq: result.Nq,
+            Ng: result.Ng,
+            bearingCapacity: analyses[i].bearingCapacity,
+            allowableCapacity: analyses[i].allowableCapacity
+        })),
+        report: reportData(result, analyses[0], comparison[0].label)
+    };
+}
+
+function calculate(state) {
+    /*
+    If every input is valid, returns state with the results of the calculation.
+    Otherwise returns state without results and with the cannotEvaluate error.
+    */
+    let checked = checkInputs(state);
+    return {
+        ...checked.state,
+        results: checked.valid ? calculationResults(checked.state) : undefined,
+        error: {...checked.state.error, cannotEvaluate: !checked.valid}
+    };
+}
+
+function designWidth(state) {
+    /*
+    If all inputs other than the width are valid, returns state with the smallest footing width
+    that carries the vertical load with the first selected method. With both analysis cases, the case that needs the wider footing governs.
+    Otherwise returns state without a design and with the cannotDesign error.
+    */
+    let checked = checkInputs(state, true);
+    let incrementError = checkField(state, "widthIncrement");
+    let valid = checked.valid && !incrementError;
+    let method = firstMethod(state);
+    let design = valid && designFootingWidth(collectInputs(state), method, state.widthIncrement);
+    return {
+        ...checked.state,
+        error: {...checked.state.error, widthIncrement: incrementError, cannotDesign: !valid},
+        design: valid ? {
+            units: state.units,
+            shape: state.shape,
+            method: BEARING_CAPACITY_METHODS[method][0],
+            width: design.width,
+            length: design.length,
+            converged: design.converged,
+            history: design.history,
+            allowableCapacity: design.allowableCapacity,
+            appliedPressure: design.appliedPressure,
+            utilisation: design.utilisation,
+            explanation: design.explanation
+        } : undefined
+    };
+}
+
+function runSweep(state) {
+    /*
+    If the base case and the swept ranges are valid, returns state with the first selected method run over the sweep grid,
+    and the tornado sensitivity about the base case. Sweep points and tornado bars whose own inputs are invalid,
+    such as phi below the slope angle, are skipped rather than stopping the sweep.
+    With both analysis cases, each point is for the case that governs it, and the tornado varies the case that governs the base case.
+    Otherwise returns state without a sweep and with the cannotSweep error.
+    */
+    let checked = checkInputs(state);
+    let messages = sweepErrors(state.sweeps);
+    let valid = checked.valid && !messages.length;
+    let error = {...checked.state.error, sweeps: messages.length ? messages : false, cannotSweep: !valid};
+    if (!valid) return {...checked.state, error: error, sweep: undefined};
+
+    let inputs = collectInputs(state);
+    let method = firstMethod(state);
+    let sweeps = state.sweeps
+        .filter(sweep => sweep.parameter)
+        .map(sweep => ({parameter: sweep.parameter, from: parseFloat(sweep.from), to: parseFloat(sweep.to), step: parseFloat(sweep.step)}));
+    return {
+        ...checked.state,
+        error: error,
+        sweep: {
+            ...sweepBearingCapacity(inputs, sweeps, method),
+            units: state.units,
+            method: BEARING_CAPACITY_METHODS[method][0],
+            tornado: tornadoSensitivity(inputs, method)
+        }
+    };
+}
+
+function convertUnits(state, toUnits) {
+    /*
+    Switches the unit system used by the form and the calculation.
+    Every valid dimensional input, layer value and sweep range is converted into the new unit system.
+    Invalid or empty inputs are left as they are.
+    If results are showing, they are recalculated so they are labelled in the new units.
+    */
+    let fromUnits = state.units;
+    if (fromUnits === toUnits || !(toUnits in UNIT_SYSTEMS)) return state;
+    const convert = (value, quantity) => String(Number(convertValue(parseFloat(value), quantity, fromUnits, toUnits).toPrecision(6)));
+
+    let converted = {};
+    DIMENSIONAL_INPUTS.forEach(([parameter, quantity]) => {
+        let value = state[parameter];
+        if (!value || state.error[parameter]) return;
+        converted[parameter] = convert(value, typeof quantity === "function" ? quantity(state.shape) : quantity);
+    });
+    let layers = state.layers.map(layer => {
+        let convertedLayer = {...layer};
+        LAYER_FIELDS.forEach(([key, quantity]) => {
+            if (quantity && !isNaN(parseFloat(layer[key]))) convertedLayer[key] = convert(layer[key], quantity);
+        });
+        return convertedLayer;
+    });
+    //phi has no unit
+    let sweeps = state.sweeps.map(sweep => {
+        let quantity = sweep.parameter && SWEEP_PARAMETERS[sweep.parameter][1];
+        let convertedSweep = {...sweep};
+        ["from", "to", "step"].forEach(key => {
+            if (quantity && !isNaN(parseFloat(sweep[key]))) convertedSweep[key] = convert(sweep[key], quantity);
+        });
+        return convertedSweep;
+    });
+
+    let next = {...state, ...converted, layers: layers, sweeps: sweeps, units: toUnits};
+    return state.results ? calculate(next) : next;
+}
+
+function applyInputs(state, inputs) {
+    /*
+    Replaces the form inputs with a saved or shared calculation's inputs, then calculates.
+    Inputs missing from the calculation are cleared, and the unit system is kept if it is missing.
+    A calculation without a groundwater depth has no groundwater.
+    */
+    const given = key => inputs[key] !== undefined && inputs[key] !== "";
+    let blank = initialState(state.units);
+    let applied = {};
+    PERSISTED_INPUTS.forEach(key => applied[key] = given(key) ? inputs[key] : blank[key]);
+    return calculate({
+        ...state,
+        ...applied,
+        noGroundwater: !given("groundwaterDepth"),
+        error: {...blankErrors(), storage: state.error.storage}
+    });
+}
+
+function reducer(state, action) {
+    /*
+    Returns the state after action, an object with a type and the values the type needs:
+    input {parameter, value}, noGroundwater {checked}, units {units}, method {method, checked},
+    layer {index, key, value}, addLayer, removeLayer {index}, sweep {index, key, value},
+    calculate, designWidth, runSweep, reset, applyInputs {inputs},
+    savedCalculations {calculations, stored}, saveName {value}, reportDetail {key, value}, showReport {show}
+    */
+    switch (action.type) {
+        case "input": {
+            //an invalid value is kept so it can be corrected, and its error stops the calculation
+            let next = {...state, [action.parameter]: action.value};
+            if (!CHECKED_INPUTS.includes(action.parameter)) return next;
+            return {...next, error: {...next.error, [action.parameter]: checkField(next, action.parameter)}};
+        }
+        case "noGroundwater": {
+            //no groundwater leaves the groundwater depth out of the calculation, so its input is disabled
+            let next = {...state, noGroundwater: action.checked};
+            let recheck = !action.checked && state.groundwaterDepth !== "";
+            return {...next, error: {...next.error, groundwaterDepth: recheck && checkField(next, "groundwaterDepth")}};
+        }
+        case "units":
+            return convertUnits(state, action.units);
+        case "method":
+            //methods are kept in the order of BEARING_CAPACITY_METHODS so the comparison table order is stable
+            return {
+                ...state,
+                methods: Object.keys(BEARING_CAPACITY_METHODS).filter(key => key === action.method ? action.checked : state.methods.includes(key))
+            };
+        case "layer":
+            //the profile is only validated when calculating
+            return {...state, layers: state.layers.map((layer, i) => i === action.index ? {...layer, [action.key]: action.value} : layer)};
+        case "addLayer":
+            return {...state, layers: [...state.layers, blankLayer()]};
+        case "removeLayer":
+            return {...state, layers: state.layers.length > 1 ? state.layers.filter((layer, i) => i !== action.index) : state.layers};
+        case "sweep":
+            //changing the parameter clears its range. The ranges are only validated when running the sweep
+            return {
+                ...state,
+                sweeps: state.sweeps.map((sweep, i) => i !== action.index ? sweep : (action.key === "parameter" ? blankSweep(action.value) : {...sweep, [action.key]: action.value}))
+            };
+        case "calculate":
+            return calculate(state);
+        case "designWidth":
+            return designWidth(state);
+        case "runSweep":
+            return runSweep(state);
+        case "reset":
+            //the unit system, the saved calculations and the report's project details outlive a reset
+            return {
+                ...initialState(state.units),
+                savedCalculations: state.savedCalculations,
+                reportDetails: state.reportDetails,
+                error: {...blankErrors(), storage: state.error.storage}
+            };
+        case "applyInputs":
+            return applyInputs(state, action.inputs);
+        case "savedCalculations":
+            //stored is false if localStorage refused the list, so it only lasts until the page is closed
+            return {...state, savedCalculations: action.calculations, error: {...state.error, storage: !action.stored}};
+        case "saveName":
+            return {...state, saveName: action.value};
+        case "reportDetail":
+            return {...state, reportDetails: {...state.reportDetails, [action.key]: action.value}};
+        case "showReport":
+            return {...state, showReport: action.show};
+        default:
+            throw new Error(`unknown action ${action.type}`);
+    }
+}
+
+export {TEXT_BOX_SIZE, LAYER_FIELDS, initialState, collectInputs, reducer};
@@ -0,0 +1,188 @@
+/*
+Batch mode of the app: calculates a whole foundation schedule pasted or loaded as CSV or JSON.
+The schedule is independent of the single footing form, so BatchCalculator keeps its own state.
+*/
+
+import React from "react";
+import {UNIT_SYSTEMS, BEARING_CAPACITY_METHODS, BATCH_RESULT_COLUMNS, parseBatch, runBatch, batchToCsv} from "./engine";
+
+const BATCH_EXAMPLE = `id,shape,c,phi,gamma,D,B,Dw,FS
+F1,square,100,32,120,3,5,4,3
+F2,continuous,0,30,115,2,3,,3`;
+
+function downloadFile(fileName, type, text) {
+    /*
+    Offers text to the user as a file download.
+    */
+    let url = URL.createObjectURL(new Blob([text], {type: type}));
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+class BatchCalculator extends React.Component {
+    /*
+    props: units = unit system of the schedule, method = bearing capacity method key
+    */
+    constructor(props) {
+        super(props);
+        this.state = {
+            text: "",
+            results: undefined,
+            renderedUnits: props.units,
+            method: undefined,
+            sortKey: "row",
+            sortAscending: true,
+            error: undefined
+        };
+        this.handleText = this.handleText.bind(this);
+        this.handleFile = this.handleFile.bind(this);
+        this.handleRunBatch = this.handleRunBatch.bind(this);
+        this.handleSort = this.handleSort.bind(this);
+        this.sortedResults = this.sortedResults.bind(this);
+        this.handleDownloadCsv = this.handleDownloadCsv.bind(this);
+        this.handleDownloadJson = this.handleDownloadJson.bind(this);
+    }
+
+    handleText(event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            text: value
+        }));
+    }
+
+    handleFile(event) {
+        /*
+        Reads a CSV or JSON file into the schedule text box.
+        */
+        let file = event.target.files[0];
+        if (!file) return;
+        let reader = new FileReader();
+        reader.onload = () => this.setState(state => ({
+            ...state,
+            text: reader.result
+        }));
+        reader.readAsText(file);
+    }
+
+    handleRunBatch() {
+        /*
+        Runs every row of the schedule. A schedule that can't be read sets this.state.error.
+        Errors in single rows are shown in the results table.
+        */
+        let rows;
+        try {
+            rows = parseBatch(this.state.text);
+        } catch (error) {
+            this.setState(state => ({
+                ...state,
+                results: undefined,
+                error: `Cannot read the schedule: ${error.message}`
+            }));
+            return;
+        }
+        let results = runBatch(rows, this.props.units, this.props.method);
+        this.setState(state => ({
+            ...state,
+            results: results,
+            renderedUnits: this.props.units,
+            method: BEARING_CAPACITY_METHODS[this.props.method][0],
+            error: results.length ? undefined : "The schedule has no footings"
+        }));
+    }
+
+    handleSort(key) {
+        /*
+        Sorts the results by a column. Sorting by the same column again reverses the order.
+        */
+        this.setState(state => ({
+            ...state,
+            sortKey: key,
+            sortAscending: state.sortKey === key ? !state.sortAscending : true
+        }));
+    }
+
+    sortedResults() {
+        /*
+        Returns the results in the chosen order. Numbers sort numerically, and blanks always go last.
+        */
+        const key = this.state.sortKey;
+        const direction = this.state.sortAscending ? 1 : -1;
+        const value = result => key === "errors" || key === "warnings" ? result[key].join("; ") || undefined : result[key];
+        return [...this.state.results].sort((a, b) => {
+            let x = value(a);
+            let y = value(b);
+            if (x === undefined || x === "") return y === undefined || y === "" ? 0 : 1;
+            if (y === undefined || y === "") return -1;
+            if (typeof x === "number" && typeof y === "number") return direction * (x - y);
+            return direction * String(x).localeCompare(String(y), undefined, {numeric: true});
+        });
+    }
+
+    handleDownloadCsv() {
+        downloadFile('bearing-capacity-batch.csv', 'text/csv', batchToCsv(this.state.results, UNIT_SYSTEMS[this.state.renderedUnits]));
+    }
+
+    handleDownloadJson() {
+        let json = {units: this.state.renderedUnits, method: this.state.method, results: this.state.results};
+        downloadFile('bearing-capacity-batch.json', 'application/json', JSON.stringify(json, null, 2));
+    }
+
+    render() {
+        const units = UNIT_SYSTEMS[this.state.renderedUnits];
+        const columnUnits = {cohesion: units.stress, unitWeight: units.unitWeight, depth: units.length, width: units.length,
+            length: units.length, groundwaterDepth: units.length, bearingCapacity: units.stress, allowableCapacity: units.stress};
+        return (
+            <div id='batch'>
+                <h4>Batch calculation</h4>
+                <p class='layer-note'>
+                    One footing per row, as CSV with a heading row or a JSON list. Columns: id, shape, c, phi, gamma, D, B, L (rectangular only), Dw and FS,
+                    in {UNIT_SYSTEMS[this.props.units].label} units.
+                </p>
+                <textarea id='batch-text' rows='6' placeholder={BATCH_EXAMPLE} value={this.state.text} onChange={this.handleText}></textarea>
+                <input type='file' id='batch-file' accept='.csv,.json,text/csv,application/json' onChange={this.handleFile}></input>
+                <button class='btn btn-primary' id='run-batch' onClick={this.handleRunBatch}>Run batch</button>
+                {this.state.error && <p class='error-message'>{this.state.error}</p>}
+                {this.state.results && this.state.results.length > 0 &&
+                    <div id='batch-results'>
+                        <p class="results">
+                            Method: {this.state.method}. {this.state.results.filter(result => result.errors.length).length} of {this.state.results.length} rows have errors.
+                        </p>
+                        <div class='table-responsive'>
+                            <table class="table table-condensed" id='batch-table'>
+                                <thead>
+                                    <tr>
+                                        {BATCH_RESULT_COLUMNS.map(([key, heading]) => (
+                                            <th key={key} class='sortable' onClick={() => this.handleSort(key)}>
+                                                {heading}{columnUnits[key] && ` (${columnUnits[key]})`}
+                                                {this.state.sortKey === key && (this.state.sortAscending ? ' ▲' : ' ▼')}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {this.sortedResults().map(result => (
+                                        <tr key={result.row} class={result.errors.length ? 'danger' : (result.warnings.length ? 'warning' : '')}>
+                                            {BATCH_RESULT_COLUMNS.map(([key]) => (
+                                                <td key={key}>{key === "errors" || key === "warnings" ? result[key].join('; ') : result[key]}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <button class='btn btn-default' id='download-csv' onClick={this.handleDownloadCsv}>Download CSV</button>
+                        <button class='btn btn-default' id='download-json' onClick={this.handleDownloadJson}>Download JSON</button>
+                    </div>
+                }
+            </div>
+        );
+    }
+}
+
+export {BatchCalculator, downloadFile};
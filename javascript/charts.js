@@ -0,0 +1,161 @@
+/*
+Inline SVG charts for the sensitivity sweep and the reliability analysis.
+Plain function components with no state, so they can be dropped into any part of BearingCapacityApp.
+*/
+
+import React from "react";
+import {roundTo} from "./engine";
+
+const CHART_WIDTH = 500;
+const CHART_HEIGHT = 280;
+const CHART_MARGIN = {top: 15, right: 15, bottom: 45, left: 65};
+const CHART_COLORS = ["#1f77b4", "#d62728", "#2ca02c", "#ff7f0e", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+
+function niceTicks(min, max, count=5) {
+    /*
+    Returns about count round tick values covering min to max.
+    */
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    let rough = (max - min) / count;
+    let magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    let step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    let ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= max + step / 2; tick += step) {
+        ticks.push(roundTo(tick, 6));
+    }
+    return ticks;
+}
+
+function LineChart(props) {
+    /*
+    Line chart of one or more series against a shared x axis.
+    props: xValues = list of x values, series = list of {label, values}, xLabel, yLabel
+    A legend is drawn when there is more than one series. Missing values (undefined) are left out of their line.
+    */
+    const {xValues, series, xLabel, yLabel} = props;
+    const yValues = series.flatMap(line => line.values).filter(value => value !== undefined);
+    const xTicks = niceTicks(Math.min(...xValues), Math.max(...xValues));
+    const yTicks = niceTicks(Math.min(0, ...yValues), Math.max(...yValues));
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const x = value => CHART_MARGIN.left + (value - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0]) * plotWidth;
+    const y = value => CHART_MARGIN.top + plotHeight - (value - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0]) * plotHeight;
+    return (
+        <svg class="chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%">
+            {yTicks.map(tick => (
+                <g key={`y${tick}`}>
+                    <line x1={CHART_MARGIN.left} x2={CHART_MARGIN.left + plotWidth} y1={y(tick)} y2={y(tick)} stroke="#ddd"></line>
+                    <text x={CHART_MARGIN.left - 5} y={y(tick) + 4} textAnchor="end" fontSize="11">{tick}</text>
+                </g>
+            ))}
+            {xTicks.map(tick => (
+                <text key={`x${tick}`} x={x(tick)} y={CHART_MARGIN.top + plotHeight + 15} textAnchor="middle" fontSize="11">{tick}</text>
+            ))}
+            <rect x={CHART_MARGIN.left} y={CHART_MARGIN.top} width={plotWidth} height={plotHeight} fill="none" stroke="black"></rect>
+            {series.map((line, i) => (
+                <g key={line.label}>
+                    <polyline fill="none" stroke={CHART_COLORS[i % CHART_COLORS.length]} strokeWidth="2"
+                        points={line.values.map((value, j) => value === undefined ? '' : `${x(xValues[j])},${y(value)}`).filter(point => point).join(' ')}></polyline>
+                    {line.values.map((value, j) => value !== undefined && (
+                        <circle key={j} cx={x(xValues[j])} cy={y(value)} r="2.5" fill={CHART_COLORS[i % CHART_COLORS.length]}></circle>
+                    ))}
+                </g>
+            ))}
+            {series.length > 1 && series.map((line, i) => (
+                <text key={`legend${i}`} x={CHART_MARGIN.left + 8} y={CHART_MARGIN.top + 14 + i * 13} fontSize="11" fill={CHART_COLORS[i % CHART_COLORS.length]}>{line.label}</text>
+            ))}
+            <text x={CHART_MARGIN.left + plotWidth / 2} y={CHART_HEIGHT - 8} textAnchor="middle" fontSize="12">{xLabel}</text>
+            <text transform={`translate(14 ${CHART_MARGIN.top + plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="12">{yLabel}</text>
+        </svg>
+    );
+}
+
+function TornadoChart(props) {
+    /*
+    Tornado chart of the allowable bearing capacity swing of each parameter about the base case.
+    props: baseCapacity, bars = list of {parameter, label, low, high, lowCapacity, highCapacity} from tornadoSensitivity,
+    stress = stress unit label
+    The part of each bar below the base case is red, the part above it is green.
+    */
+    const {baseCapacity, bars, stress} = props;
+    const barHeight = 22;
+    const height = CHART_MARGIN.top + bars.length * (barHeight + 8) + CHART_MARGIN.bottom;
+    const left = 190;
+    const plotWidth = CHART_WIDTH - left - CHART_MARGIN.right;
+    const capacities = bars.flatMap(bar => [bar.lowCapacity, bar.highCapacity]);
+    const ticks = niceTicks(Math.min(baseCapacity, ...capacities), Math.max(baseCapacity, ...capacities));
+    const x = value => left + (value - ticks[0]) / (ticks[ticks.length - 1] - ticks[0]) * plotWidth;
+    const bottom = CHART_MARGIN.top + bars.length * (barHeight + 8);
+    return (
+        <svg class="chart" viewBox={`0 0 ${CHART_WIDTH} ${height}`} width="100%">
+            {ticks.map(tick => (
+                <g key={tick}>
+                    <line x1={x(tick)} x2={x(tick)} y1={CHART_MARGIN.top} y2={bottom} stroke="#ddd"></line>
+                    <text x={x(tick)} y={bottom + 15} textAnchor="middle" fontSize="11">{tick}</text>
+                </g>
+            ))}
+            {bars.map((bar, i) => {
+                let top = CHART_MARGIN.top + i * (barHeight + 8) + 4;
+                let low = Math.min(bar.lowCapacity, bar.highCapacity);
+                let high = Math.max(bar.lowCapacity, bar.highCapacity);
+                return (
+                    <g key={bar.parameter}>
+                        <text x={left - 8} y={top + barHeight / 2 + 4} textAnchor="end" fontSize="12">{bar.label} ({bar.low} to {bar.high})</text>
+                        <rect x={x(low)} y={top} width={Math.max(0, x(Math.min(high, baseCapacity)) - x(low))} height={barHeight} fill="#d62728"></rect>
+                        <rect x={x(Math.max(low, baseCapacity))} y={top} width={Math.max(0, x(high) - x(Math.max(low, baseCapacity)))} height={barHeight} fill="#2ca02c"></rect>
+                    </g>
+                );
+            })}
+            <line x1={x(baseCapacity)} x2={x(baseCapacity)} y1={CHART_MARGIN.top} y2={bottom} stroke="black"></line>
+            <text x={left + plotWidth / 2} y={height - 8} textAnchor="middle" fontSize="12">q allow ({stress}), base case {baseCapacity} {stress}</text>
+        </svg>
+    );
+}
+
+function Histogram(props) {
+    /*
+    Histogram of a sampled value.
+    props: bins = list of {from, to, count}, xLabel, marker = optional value drawn as a vertical line, markerLabel
+    Bins below the marker are red, the rest are blue.
+    */
+    const {bins, xLabel, marker, markerLabel} = props;
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const low = Math.min(bins[0].from, marker === undefined ? Infinity : marker);
+    const high = Math.max(bins[bins.length - 1].to, marker === undefined ? -Infinity : marker);
+    const xTicks = niceTicks(low, high);
+    const yTicks = niceTicks(0, Math.max(...bins.map(bin => bin.count)));
+    const x = value => CHART_MARGIN.left + (value - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0]) * plotWidth;
+    const y = value => CHART_MARGIN.top + plotHeight - (value - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0]) * plotHeight;
+    return (
+        <svg class="chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%">
+            {yTicks.map(tick => (
+                <g key={`y${tick}`}>
+                    <line x1={CHART_MARGIN.left} x2={CHART_MARGIN.left + plotWidth} y1={y(tick)} y2={y(tick)} stroke="#ddd"></line>
+                    <text x={CHART_MARGIN.left - 5} y={y(tick) + 4} textAnchor="end" fontSize="11">{tick}</text>
+                </g>
+            ))}
+            {xTicks.map(tick => (
+                <text key={`x${tick}`} x={x(tick)} y={CHART_MARGIN.top + plotHeight + 15} textAnchor="middle" fontSize="11">{tick}</text>
+            ))}
+            {bins.map((bin, i) => (
+                <rect key={i} x={x(bin.from)} y={y(bin.count)} width={Math.max(1, x(bin.to) - x(bin.from) - 1)} height={y(0) - y(bin.count)}
+                    fill={marker !== undefined && bin.from < marker ? CHART_COLORS[1] : CHART_COLORS[0]}></rect>
+            ))}
+            <rect x={CHART_MARGIN.left} y={CHART_MARGIN.top} width={plotWidth} height={plotHeight} fill="none" stroke="black"></rect>
+            {marker !== undefined &&
+                <g>
+                    <line x1={x(marker)} x2={x(marker)} y1={CHART_MARGIN.top} y2={CHART_MARGIN.top + plotHeight} stroke="black" strokeDasharray="4 3"></line>
+                    <text x={x(marker) + 4} y={CHART_MARGIN.top + 12} fontSize="11">{markerLabel}</text>
+                </g>
+            }
+            <text x={CHART_MARGIN.left + plotWidth / 2} y={CHART_HEIGHT - 8} textAnchor="middle" fontSize="12">{xLabel}</text>
+            <text transform={`translate(14 ${CHART_MARGIN.top + plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="12">samples</text>
+        </svg>
+    );
+}
+
+export {LineChart, TornadoChart, Histogram};
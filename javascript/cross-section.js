@@ -0,0 +1,172 @@
+/*
+Cross-section diagram of the footing.
+CrossSection draws the footing, its embedment, the ground surface, the groundwater, the influence zone B deep below the base
+and Terzaghi's general shear failure zones to scale from the values in the form, and redraws as they are typed.
+Sloping ground falls away from the crest, a setback beyond the footing.
+*/
+
+import React from "react";
+import {MAX_PHI} from "./engine";
+
+const SKETCH_WIDTH = 420;
+const SKETCH_HEIGHT = 240; //at most, a shallow mechanism gives a shorter diagram
+const SKETCH_MARGIN = 18;
+const LEGEND_HEIGHT = 30;
+const SPIRAL_POINTS = 24; //points along each log spiral
+
+function failureZones(B, D, phi) {
+    /*
+    Returns Terzaghi's general shear failure mechanism under a strip footing of width B at depth D, as lists of [x, y] points
+    with x from the centre of the footing and y down from the ground surface: {wedge, spirals, passive}.
+    wedge: zone I, the elastic wedge under the base, with faces at phi to the horizontal (rough base)
+    spirals: zone II on each side, bounded by the log spiral r = r0 e^(theta tan(phi)) centred on the footing edge,
+        sweeping 135 - phi/2 degrees from the wedge face
+    passive: zone III on each side, Rankine passive wedges with faces at 45 - phi/2 to the horizontal, up to the base level
+    The soil above the base is the surcharge of the q term, so the zones stop at the base level.
+    phi = 0 gives Prandtl's mechanism, with a flat wedge and circular arcs.
+    */
+    const radians = phi * Math.PI / 180;
+    const r0 = B / 2 / Math.cos(radians);
+    const sweep = 3 * Math.PI / 4 - radians / 2;
+    const apex = [0, D + B / 2 * Math.tan(radians)];
+    const zones = {wedge: [[-B / 2, D], [B / 2, D], apex], spirals: [], passive: []};
+    [1, -1].forEach(side => {
+        //angles from the footing edge, measured down from the horizontal away from the footing
+        let edge = [side * B / 2, D];
+        let spiral = [];
+        for (let i = 0; i <= SPIRAL_POINTS; i++) {
+            let theta = sweep * i / SPIRAL_POINTS;
+            let r = r0 * Math.exp(theta * Math.tan(radians));
+            let angle = Math.PI - radians - theta; //from the wedge face at 180 - phi to 45 - phi/2
+            spiral.push([edge[0] + side * r * Math.cos(angle), edge[1] + r * Math.sin(angle)]);
+        }
+        let end = spiral[spiral.length - 1];
+        let surface = [edge[0] + 2 * (end[0] - edge[0]), D];
+        zones.spirals.push([edge, ...spiral]);
+        zones.passive.push([edge, end, surface]);
+    });
+    return zones;
+}
+
+function CrossSection(props) {
+    /*
+    props: width, depth, phi, groundwaterDepth, slopeAngle, setback = the form's values as typed,
+    layers = the soil profile's layers, or undefined for a single soil, units = entry of UNIT_SYSTEMS
+    groundwaterDepth is undefined when there is no groundwater.
+    A blank or invalid width or depth is drawn at a typical size, so the diagram shows the geometry while the form is filled in.
+    The failure zones use phi, or the phi of the layer at the base of a layered profile when phi is undefined. A blank phi draws 0.
+    */
+    const parsed = (text, fallback) => {
+        let value = parseFloat(text);
+        return isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const B = parsed(props.width, 0) || 1;
+    const D = parsed(props.depth, 0.5 * B);
+    const beta = Math.min(parsed(props.slopeAngle, 0), 45);
+    const b = beta ? parsed(props.setback, 0) : 0;
+    let groundwater = parseFloat(props.groundwaterDepth);
+    if (!isFinite(groundwater)) groundwater = undefined;
+
+    //layer boundaries, and the phi of the layer at the base unless phi is given
+    let boundaries = [];
+    let phi = props.phi;
+    if (props.layers) {
+        let top = 0;
+        let found = phi !== undefined;
+        props.layers.forEach((layer, i) => {
+            let thickness = parsed(layer.thickness, 0);
+            let last = i === props.layers.length - 1;
+            if (!found && (last || D < top + thickness)) {
+                phi = layer.phi;
+                found = true;
+            }
+            top += thickness;
+            if (!last) boundaries.push(top);
+        });
+    }
+    phi = Math.min(parsed(phi, 0), MAX_PHI);
+    const zones = failureZones(B, D, phi);
+    //a footing on the surface is drawn sitting on it
+    const thickness = D > 0 ? Math.min(0.3 * B, D) : 0.3 * B;
+
+    //drawing coordinates, with x from the centre of the footing and y down from the ground surface
+    const points = [...zones.wedge, ...zones.spirals.flat(), ...zones.passive.flat()];
+    const bottom = Math.max(D + 1.3 * B, ...points.map(([, py]) => py + 0.15 * B), groundwater === undefined ? 0 : groundwater + 0.15 * B);
+    const crest = B / 2 + b;
+    const run = beta ? Math.min(bottom / Math.tan(beta * Math.PI / 180), 4 * B) : 0;
+    const left = Math.min(-B, ...points.map(([px]) => px - 0.15 * B));
+    const right = Math.max(B, ...points.map(([px]) => px + 0.15 * B), beta ? crest + run : -Infinity);
+    const top = Math.min(-0.4 * B, groundwater === undefined ? 0 : groundwater - 0.1 * B);
+    const scale = Math.min((SKETCH_WIDTH - 2 * SKETCH_MARGIN) / (right - left), (SKETCH_HEIGHT - 2 * SKETCH_MARGIN - LEGEND_HEIGHT) / (bottom - top));
+    const height = (bottom - top) * scale + 2 * SKETCH_MARGIN + LEGEND_HEIGHT;
+    const x = value => SKETCH_MARGIN + (value - left) * scale;
+    const y = value => SKETCH_MARGIN + (value - top) * scale;
+    const path = list => list.map(([px, py]) => `${x(px)},${y(py)}`).join(' ');
+    const slopeDrop = beta ? run * Math.tan(beta * Math.PI / 180) : 0;
+    const ground = beta ?
+        [[left, 0], [crest, 0], [crest + run, slopeDrop], [right, slopeDrop], [right, bottom], [left, bottom]] :
+        [[left, 0], [right, 0], [right, bottom], [left, bottom]];
+    //groundwater stops where it meets the slope face
+    const waterRight = beta && groundwater > 0 ? Math.min(right, crest + groundwater / Math.tan(beta * Math.PI / 180)) : right;
+    const length = props.units.length;
+    return (
+        <svg class="cross-section" id="cross-section" viewBox={`0 0 ${SKETCH_WIDTH} ${height}`} width="100%">
+            <polygon points={path(ground)} fill="#e8dcc0" stroke="#7a6a4f"></polygon>
+            {boundaries.filter(depth => depth < bottom).map(depth => (
+                <line key={depth} class="sketch-layer" x1={x(left)} x2={x(beta ? Math.min(right, crest + depth / Math.tan(beta * Math.PI / 180)) : right)}
+                    y1={y(depth)} y2={y(depth)} stroke="#7a6a4f" strokeDasharray="2 3"></line>
+            ))}
+            {groundwater !== undefined && groundwater <= 0 &&
+                <rect class="sketch-water" x={x(left)} y={y(groundwater)} width={(right - left) * scale} height={-groundwater * scale} fill="#9ecae1" opacity="0.6"></rect>
+            }
+            {groundwater !== undefined &&
+                <g class="sketch-water">
+                    <line x1={x(left)} x2={x(waterRight)} y1={y(groundwater)} y2={y(groundwater)} stroke="#1f77b4" strokeWidth="1.5"></line>
+                    <text x={x(left) + 3} y={y(groundwater) - 3} fontSize="10" fill="#1f77b4">▽ groundwater</text>
+                </g>
+            }
+
+            {/*failure zones, under the footing. The mechanism is for level ground, so it is cut off where a slope falls away*/}
+            <g class="sketch-failure" clipPath="url(#sketch-ground)" fill="#d62728" fillOpacity="0.12" stroke="#d62728" strokeWidth="1">
+                <polygon points={path(zones.wedge)}></polygon>
+                {zones.spirals.map((spiral, i) => <polygon key={`spiral${i}`} points={path(spiral)} fillOpacity="0.06"></polygon>)}
+                {zones.passive.map((wedge, i) => <polygon key={`passive${i}`} points={path(wedge)}></polygon>)}
+            </g>
+            <rect class="sketch-influence" x={x(-B / 2)} y={y(D)} width={B * scale} height={B * scale} fill="none" stroke="#1f77b4" strokeDasharray="5 3"></rect>
+
+            {/*column and footing, drawn over the soil they displace*/}
+            <rect x={x(-0.1 * B)} y={y(0) - 0.3 * B * scale} width={0.2 * B * scale} height={(D - thickness + 0.3 * B) * scale} fill="#bbb" stroke="#555"></rect>
+            <rect x={x(-B / 2)} y={y(D > 0 ? D - thickness : -thickness)} width={B * scale} height={thickness * scale} fill="#bbb" stroke="#555"></rect>
+            <text x={x(0)} y={y(D + B) + 12} textAnchor="middle" fontSize="10">B = {props.width || '?'} {length}</text>
+            {D > 0 &&
+                <g>
+                    <line x1={x(-0.7 * B)} x2={x(-0.7 * B)} y1={y(0)} y2={y(D)} stroke="black" markerStart="url(#sketch-arrow)" markerEnd="url(#sketch-arrow)"></line>
+                    <text x={x(-0.75 * B)} y={y(D / 2) + 4} textAnchor="end" fontSize="10">D</text>
+                </g>
+            }
+            {beta > 0 && b > 0 &&
+                <g>
+                    <line x1={x(B / 2)} x2={x(crest)} y1={y(-0.15 * B)} y2={y(-0.15 * B)} stroke="black" markerStart="url(#sketch-arrow)" markerEnd="url(#sketch-arrow)"></line>
+                    <text x={x((B / 2 + crest) / 2)} y={y(-0.15 * B) - 4} textAnchor="middle" fontSize="10">b = {props.setback} {length}</text>
+                </g>
+            }
+            {beta > 0 && <text x={x(crest) + 22} y={y(0) + 13} fontSize="10">β = {beta}°</text>}
+
+            {/*legend*/}
+            <line x1={SKETCH_MARGIN} x2={SKETCH_MARGIN + 20} y1={height - 23} y2={height - 23} stroke="#1f77b4" strokeDasharray="5 3"></line>
+            <text x={SKETCH_MARGIN + 25} y={height - 19} fontSize="10">influence zone, B below the base, of the effective unit weight</text>
+            <rect x={SKETCH_MARGIN} y={height - 13} width="20" height="8" fill="#d62728" fillOpacity="0.12" stroke="#d62728"></rect>
+            <text x={SKETCH_MARGIN + 25} y={height - 5} fontSize="10">Terzaghi's general shear failure zones, φ = {phi}°</text>
+            <defs>
+                <clipPath id="sketch-ground">
+                    <polygon points={path(ground)}></polygon>
+                </clipPath>
+                <marker id="sketch-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+        </svg>
+    );
+}
+
+export {CrossSection};
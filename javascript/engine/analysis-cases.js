@@ -0,0 +1,57 @@
+/*
+Drained and undrained analysis cases.
+A clay loaded quickly fails undrained, with su, phi = 0 and total stresses (short term), and after it has consolidated
+fails drained, with c', phi' and effective stresses (long term). compareAnalysisCases runs both and reports which governs.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./bearing-capacity"), require("./layered")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {ANALYSIS_CASES, layeredBearingCapacity} = engine;
+
+    function compareAnalysisCases(inputs, method="terzaghi") {
+        /*
+        Runs layeredBearingCapacity for each case in ANALYSIS_CASES.
+        inputs: BearingCapacity inputs with the drained parameters (cohesion and phi) and the undrained ones (undrainedShearStrength),
+            or layers that give them. inputs.analysisCase is replaced by each case in turn
+
+        Throws an InputValidationError if the inputs of either case are invalid.
+
+        Returns {cases, governing, bearingCapacity, allowableCapacity, explanation}
+        cases = list of {analysisCase, label, result, analysis, bearingCapacity, allowableCapacity}, in the order of ANALYSIS_CASES
+            result = the method's instance, analysis = the layeredBearingCapacity of the case
+        governing = the case with the lowest ultimate bearing capacity
+        */
+        let cases = Object.keys(ANALYSIS_CASES).map(analysisCase => {
+            let analysis = layeredBearingCapacity({...inputs, analysisCase: analysisCase}, method);
+            return {
+                analysisCase: analysisCase,
+                label: ANALYSIS_CASES[analysisCase],
+                result: analysis.result,
+                analysis: analysis,
+                bearingCapacity: analysis.bearingCapacity,
+                allowableCapacity: analysis.allowableCapacity
+            };
+        });
+        let governing = cases.reduce((lowest, analysisCase) => analysisCase.bearingCapacity < lowest.bearingCapacity ? analysisCase : lowest);
+        let other = cases.find(analysisCase => analysisCase !== governing);
+        const stress = governing.result.unitSystem.stress;
+        let explanation = governing.bearingCapacity === other.bearingCapacity ?
+            `The ${governing.label} and ${other.label} cases give the same ultimate bearing capacity of ${governing.bearingCapacity} ${stress}` :
+            `The ${governing.label} case governs with an ultimate bearing capacity of ${governing.bearingCapacity} ${stress}, ` +
+            `lower than the ${other.bearingCapacity} ${stress} of the ${other.label} case`;
+        return {
+            cases: cases,
+            governing: governing,
+            bearingCapacity: governing.bearingCapacity,
+            allowableCapacity: governing.allowableCapacity,
+            explanation: explanation
+        };
+    }
+
+    return {
+        compareAnalysisCases
+    };
+}));
@@ -0,0 +1,208 @@
+/*
+Batch calculations for a foundation schedule.
+A schedule is a CSV or JSON list of footings, one per row. Each row is validated and calculated on its own,
+so a bad row is reported without stopping the rest of the batch.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./bearing-capacity"), require("./validation"), require("./methods")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {validateInputs, calculateBearingCapacity} = engine;
+
+    //key=column heading in lower case, without any unit in brackets, value=input key
+    const BATCH_COLUMN_ALIASES = {
+        "id": "id", "name": "id", "mark": "id",
+        "shape": "shape",
+        "c": "cohesion", "cohesion": "cohesion",
+        "phi": "phi", "φ": "phi",
+        "gamma": "unitWeight", "γ": "unitWeight", "unitweight": "unitWeight", "unit weight": "unitWeight",
+        "d": "depth", "depth": "depth",
+        "b": "width", "width": "width",
+        "l": "length", "length": "length",
+        "dw": "groundwaterDepth", "groundwaterdepth": "groundwaterDepth", "groundwater depth": "groundwaterDepth",
+        "fs": "FS"
+    };
+
+    //Numeric columns, checked against INPUT_SCHEMA (validation.js)
+    const BATCH_FIELDS = ["cohesion", "phi", "unitWeight", "depth", "width", "length", "groundwaterDepth", "FS"];
+
+    //Columns of the results, in order. [key, heading]
+    const BATCH_RESULT_COLUMNS = [
+        ["id", "id"], ["shape", "shape"], ["cohesion", "c"], ["phi", "phi"], ["unitWeight", "gamma"], ["depth", "D"],
+        ["width", "B"], ["length", "L"], ["groundwaterDepth", "Dw"], ["FS", "FS"],
+        ["Nc", "Nc"], ["Nq", "Nq"], ["Ng", "Ng"], ["bearingCapacity", "q ult"], ["allowableCapacity", "q allow"], ["errors", "errors"],
+        ["warnings", "warnings"]
+    ];
+
+    function parseCsv(text) {
+        /*
+        Parses CSV text into a list of rows, each a list of strings.
+        Handles quoted fields with commas, doubled quotes and line breaks, and both line endings. Blank lines are dropped.
+        */
+        let rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            let char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                row.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+    }
+
+    function batchColumn(heading) {
+        /*
+        Returns the input key for a column heading, e.g. "B (ft)" -> "width", or undefined if it isn't recognised.
+        */
+        let name = String(heading).replace(/[([].*[)\]]/, "").trim().toLowerCase();
+        return BATCH_COLUMN_ALIASES[name] || BATCH_COLUMN_ALIASES[name.replace(/[\s_-]/g, "")];
+    }
+
+    function parseBatch(text) {
+        /*
+        Parses a schedule of footings from CSV with a heading row, or from a JSON list of objects.
+        Headings and JSON keys may be input keys or the short names in BATCH_COLUMN_ALIASES.
+        Unrecognised columns are ignored.
+        Returns a list of row objects keyed by input key. Throws an Error if the text can't be read as either.
+        */
+        let trimmed = text.trim();
+        let records;
+        if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+            records = JSON.parse(trimmed);
+            if (!Array.isArray(records)) records = [records];
+            if (!records.every(record => typeof record === "object" && record !== null)) throw new Error("JSON should be a list of footings");
+        } else {
+            let [headings, ...rows] = parseCsv(trimmed);
+            if (!headings) throw new Error("No footings found");
+            records = rows.map(cells => {
+                let record = {};
+                headings.forEach((heading, i) => record[heading] = cells[i] === undefined ? "" : cells[i].trim());
+                return record;
+            });
+        }
+        return records.map(record => {
+            let row = {};
+            Object.keys(record).forEach(heading => {
+                let key = batchColumn(heading);
+                if (key) row[key] = record[heading];
+            });
+            return row;
+        });
+    }
+
+    function validateBatchRow(row, units="US") {
+        /*
+        Checks one row of a schedule with validateInputs.
+        Returns {inputs, errors, warnings}. inputs holds the parsed values, errors and warnings are lists of {field, type, message},
+        errors is empty if the row is valid.
+        A blank shape is continuous. A rectangular footing needs a length, like the other required fields.
+        A blank groundwater depth is left out.
+        */
+        let shape = row.shape === undefined || row.shape === "" ? "continuous" : String(row.shape).trim().toLowerCase();
+        let fields = {shape: shape, units: units};
+        BATCH_FIELDS.forEach(key => fields[key] = row[key]);
+        let {errors, warnings, values} = validateInputs(fields, {required: ["length"]});
+        return {inputs: {...values, shape: shape, units: units}, errors: errors, warnings: warnings};
+    }
+
+    function runBatch(rows, units="US", method="terzaghi") {
+        /*
+        Validates and calculates every row of a schedule with method.
+        rows: list of row objects, from parseBatch
+        Returns a list with one result per row, keyed as in BATCH_RESULT_COLUMNS, plus row = the row number from 1.
+        Rows with errors have errors = list of messages, and no results. Their bad values are left as written.
+        warnings = list of the engineering warnings of the row.
+        Rows without an id are given their row number.
+        */
+        return rows.map((row, i) => {
+            let {inputs, errors, warnings} = validateBatchRow(row, units);
+            //bad values are passed through as they were written, so the row can be found and fixed
+            let value = key => key in inputs ? inputs[key] : row[key];
+            let result = {
+                row: i + 1,
+                id: row.id === undefined || row.id === "" ? String(i + 1) : String(row.id),
+                shape: value("shape"),
+                cohesion: value("cohesion"),
+                phi: value("phi"),
+                unitWeight: value("unitWeight"),
+                depth: value("depth"),
+                width: value("width"),
+                length: value("length"),
+                groundwaterDepth: value("groundwaterDepth"),
+                FS: value("FS"),
+                errors: errors.map(error => error.message),
+                warnings: warnings.map(warning => warning.message)
+            };
+            if (errors.length) return result;
+            let calculation = calculateBearingCapacity(inputs, method);
+            return {
+                ...result,
+                Nc: calculation.Nc,
+                Nq: calculation.Nq,
+                Ng: calculation.Ng,
+                bearingCapacity: calculation.bearingCapacity,
+                allowableCapacity: calculation.allowableCapacity
+            };
+        });
+    }
+
+    function batchToCsv(results, unitSystem) {
+        /*
+        Returns batch results as CSV text, with units in the headings when unitSystem is given.
+        Several errors or warnings in one row are separated by semicolons.
+        */
+        const headingUnits = {
+            cohesion: "stress", unitWeight: "unitWeight", depth: "length", width: "length", length: "length",
+            groundwaterDepth: "length", bearingCapacity: "stress", allowableCapacity: "stress"
+        };
+        const escape = value => {
+            let text = value === undefined ? "" : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        let headings = BATCH_RESULT_COLUMNS.map(([key, heading]) => (
+            unitSystem && headingUnits[key] ? `${heading} (${unitSystem[headingUnits[key]]})` : heading
+        ));
+        let lines = results.map(result => BATCH_RESULT_COLUMNS.map(([key]) => (
+            escape(key === "errors" || key === "warnings" ? result[key].join("; ") : result[key])
+        )).join(","));
+        return [headings.map(escape).join(","), ...lines].join("\n") + "\n";
+    }
+
+    return {
+        BATCH_COLUMN_ALIASES,
+        BATCH_FIELDS,
+        BATCH_RESULT_COLUMNS,
+        parseCsv,
+        batchColumn,
+        parseBatch,
+        validateBatchRow,
+        runBatch,
+        batchToCsv
+    };
+}));
@@ -0,0 +1,670 @@
+/*
+Bearing capacity engine.
+BearingCapacity carries out the parts of the calculation that every theory shares: parsing the inputs,
+the groundwater adjustment, and the general bearing capacity equation. Each theory is a subclass that
+supplies its own bearing capacity factors, its shape, depth and inclination factors, and its equation text.
+TerzaghiBearingCapacity is defined here. The other theories are in methods.js.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./factors"), require("./soil-profile")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity, roundTo, FACTOR_METHODS, getBearingCapacityFactors, getLocalShearFactors, SoilProfile} = engine;
+
+    const FOOTING_SHAPES = ["square", "circular", "continuous", "rectangular"];
+
+    //key=groundwater case, value=description. Cases follow Das, Principles of Foundation Engineering, section 3.6,
+    //and Coduto, Foundation Design, section 7.5
+    const GROUNDWATER_CASES = {
+        none: "No groundwater, so gamma' = gamma and the effective stress is the total stress",
+        submerged: "Case I: groundwater at or above the ground surface. The soil is submerged, so gamma' = gamma - gamma w above and below the footing base",
+        aboveBase: "Case I: groundwater between the ground surface and the footing base. The pore pressure reduces the effective stress, and gamma' = gamma - gamma w",
+        withinInfluence: "Case II: groundwater within B below the footing base. gamma' is interpolated between gamma - gamma w and gamma",
+        belowInfluence: "Case III: groundwater more than B below the footing base, so it has no effect",
+        profile: "Layered profile: the effective stress and gamma' are integrated through the layers",
+        totalStress: "Undrained analysis: total stresses are used, so groundwater does not reduce the overburden, and gamma is the total unit weight"
+    };
+
+    //key=analysis case, value=label
+    const ANALYSIS_CASES = {
+        drained: "drained (long term)",
+        undrained: "undrained (short term)"
+    };
+
+    //key=failure mode of TerzaghiBearingCapacity, value=label
+    const FAILURE_MODES = {
+        general: "general shear",
+        local: "local shear",
+        auto: "automatic"
+    };
+    //Automatic failure mode limits, after Peck, Hanson and Thornburn, and Vesić
+    const LOCAL_SHEAR_PHI = 28; //degrees, at or below this the soil is loose enough for local shear
+    const GENERAL_SHEAR_PHI = 36; //degrees, at or above this the soil is dense enough for general shear
+    const GENERAL_SHEAR_DENSITY = 67; //%, relative density above which the soil is dense enough for general shear
+    const PUNCHING_SHEAR_DENSITY = 35; //%, relative density below which punching shear is likely
+    //Setback from the crest, in footing widths, beyond which a slope no longer reduces the capacity.
+    //Meyerhof's (1957) charts for footings near a slope reach their level ground values at about 6B
+    const SLOPE_SETBACK_WIDTHS = 6;
+
+    function loadQuantity(shape) {
+        /*
+        Returns the quantity loads are given in for shape: per unit length for continuous footings, total otherwise.
+        */
+        return shape === "continuous" ? "lineLoad" : "force";
+    }
+
+    function momentQuantity(shape) {
+        /*
+        Returns the quantity moments are given in for shape: per unit length for continuous footings, total otherwise.
+        */
+        return shape === "continuous" ? "lineMoment" : "moment";
+    }
+
+    class BearingCapacity {
+        /*
+        For more information on bearing capacity calculations, visit https://civilengineeringbible.com/subtopics.php?i=1
+
+        GLOBAL VALUES
+        UNIT_SYSTEMS (units.js) and the bearing capacity factors (factors.js) come from the other engine modules.
+        unitWeightWater = 62.4 pounds per cubic foot [pcf] or 9.80 kilonewtons per cubic meter [kN/m³]
+        NTerzaghi = unitless, empirical values
+
+        INPUT VALUES
+        The constructor takes a single inputs object with the keys below.
+        The class itself does not validate its inputs. calculateBearingCapacity (methods.js) checks them against
+        INPUT_SCHEMA (validation.js) first, and throws an InputValidationError if any are invalid.
+        Units are given as US customary [SI]. Dimensional inputs may be numbers, numeric strings, or strings
+        with a unit suffix from either system (e.g. "1.2 m"), which are converted into the chosen unit system.
+        cohesion: non-negative number (typically 0 to 4500 psf) [pounds per square foot, psf] [kPa]
+        phi: number from 0 to 50 (typically 28 to 35) [degrees]
+        depth: embedment depth, non-negative number (3.5 is standard frost depth in MI) [feet] [m]
+        unitWeight: positive number (typically 100 to 140 pcf) [pounds per cubit foot, pcf] [kN/m³]
+        width: width of square, rectangular or continous footing, or diameter of circular footing (typically >=1) [feet] [m]
+        length: length of rectangular footing, only used when shape is rectangular [feet] [m]
+            If length is less than width the two are swapped, so width is always the short side B
+            If length is missing the rectangular footing is treated as square
+        shape: must be in FOOTING_SHAPES. Bad input defaults to continuous
+        groundwaterDepth: depth from the ground surface to groundwater [feet] [m]. The groundwater has three states:
+            undefined (or blank) if there is no groundwater,
+            a positive number if the groundwater is below the ground surface,
+            0 or a negative number if it is at or above the ground surface, e.g. a footing under a river, so the soil is submerged
+        FS: Factor of Safety, typically 2 for low risk structures, or 3 for higher risk structures.
+        units: unit system, must be in ["US", "SI"]. Bad input defaults to US
+        layers: optional layered soil profile, see SoilProfile (soil-profile.js).
+            When given, cohesion, phi and unitWeight come from the layer at the footing base, and the effective
+            stress and effective unit weight are integrated through the layers. cohesion and phi may still be
+            given to override the bearing layer's strength.
+        verticalLoad, horizontalLoad: optional service loads, used for the inclination factors and the effective area.
+            Total load for square, rectangular and circular footings [lb] [kN], load per unit length for continuous footings [lb/ft] [kN/m].
+            Both default to 0, which is a vertical load.
+        momentB, momentL: optional service moments that make the vertical load eccentric along B and along L.
+            Total moment [lb-ft] [kN-m], moment per unit length for continuous footings [lb-ft/ft] [kN-m/m].
+            momentL is ignored for continuous footings. Both default to 0, which is a concentric load.
+        analysisCase: must be in Object.keys(ANALYSIS_CASES). Defaults to drained
+            drained: cohesion and phi are the effective stress parameters c' and phi', with effective stresses
+            undrained: the short term case of a saturated clay. undrainedShearStrength is used as the cohesion with phi = 0,
+                and the overburden is the total stress
+        undrainedShearStrength: su [psf] [kPa], used by the undrained case. Layered profiles may give it for each layer instead
+        slopeAngle: optional angle of the ground falling away from the footing, from 0 to 45 [degrees]. Defaults to 0, level ground
+        setback: horizontal distance from the edge of the footing to the crest of the slope [feet] [m].
+            Defaults to 0, a footing at the crest. Only used when slopeAngle is above 0
+        Subclasses may accept further inputs.
+
+        CALCULATED VALUES
+        All calculated values are calculated when the instance is constructed. None of the parameters should
+        be modified after creating the instance. If the calculation needs to change, create a new instance.
+
+        unitSystem = labels and constants of the chosen unit system, from UNIT_SYSTEMS
+        profile = SoilProfile for layers, undefined for a homogeneous soil
+        eccentricityB, eccentricityL[ft] = momentB / verticalLoad, momentL / verticalLoad
+        effectiveWidth, effectiveLength[ft] = Meyerhof's effective dimensions, B' = B - 2eB and L' = L - 2eL.
+            Eccentric circular footings are first replaced by a square of the same area.
+            effectiveWidth is the shorter of the two. effectiveLength is Infinity for continuous footings
+        effectiveShape = shape used for the shape factors. Eccentric square and circular footings become rectangular
+        effectiveArea[ft²] = area the load is spread over, per unit length for continuous footings
+        withinKern = true if the resultant is inside the kern (6eB/B + 6eL/L <= 1, or e <= D/8 for circular footings),
+            so the whole base stays in compression
+        ultimateLoad[lb] = bearingCapacity * effectiveArea, allowableLoad[lb] = ultimateLoad / FS
+        appliedPressure[psf] = verticalLoad / effectiveArea, undefined without a vertical load
+        effectiveStress[psf] = vertical effective stress at the footing base. Soil above groundwater weighs unitWeight[pcf],
+            soil below it unitWeight[pcf] - unitWeightWater[pcf]. Water above the ground surface adds as much pore pressure as total stress
+        porePressure[psf] = pore pressure at the footing base, 0 if the groundwater is below it
+        totalStress[psf] = effectiveStress + porePressure, the vertical total stress at the footing base
+        analysisCase = "drained" or "undrained", the analysis case used
+        overburdenStress[psf] = stress used in the q term, effectiveStress when drained and totalStress when undrained
+        effectiveUnitWeight[pcf] = unit weight used in the unit weight term, adjusted for groundwater within B below the footing base
+        groundwaterCase = key in GROUNDWATER_CASES of the groundwater adjustment applied
+        Nc, Nq, Ng = bearing capacity factors, from the subclass's bearingCapacityFactors()
+        factorSource = where Nc, Nq, Ng came from, from the subclass's bearingCapacityFactors()
+        factorDescription = factorSource in words
+        modifiers = {shape, depth, inclination, ground}, each {c, q, g}. shape, depth and inclination come from the subclass's
+            modifyingFactors(), ground from slopeFactors()
+        groundDescription = where the ground factors came from, in words, undefined on level ground
+        coef1 = shape * depth * inclination * ground factors of the cohesion term
+        coef2 = shape * depth * inclination * ground factors of the effective stress term
+        coef3 = 0.5 * shape * depth * inclination * ground factors of the unit weight term
+        terms = {c, q, g}, the cohesion, effective stress and unit weight terms of the equation [psf], unrounded
+        bearingCapacity[psf] = (coef1 * cohesion[psf] * Nc)+ (coef2 * overburdenStress[psf] * Nq) + (coef3 * effectiveUnitWeight[pcf] * effectiveWidth[ft] * Ng)
+        allowableCapacity[psf] = bearingCapacity[psf] / FS
+            bearingCapacity and allowableCapacity are rounded to unitSystem.decimals
+        equation = bearing capacity formula as a string, from the subclass's equationText()
+        calculation = written out calculation as a string, based on equation
+        workedSolution() returns the calculation as a list of steps
+        */
+        constructor(inputs) {
+            let units = inputs.units === undefined ? "US" : inputs.units;
+            if (!(units in UNIT_SYSTEMS)) {
+                console.log('Error: bad unit system choice. Defaulting to US');
+                units = "US";
+            }
+            this.units = units;
+            this.unitSystem = UNIT_SYSTEMS[units];
+            const unitWeightWater = this.unitSystem.unitWeightWater;
+
+            this.cohesion = parseQuantity(inputs.cohesion, "stress", units);
+            this.phi = parseQuantity(inputs.phi);
+            this.depth = parseQuantity(inputs.depth, "length", units);
+            this.unitWeight = parseQuantity(inputs.unitWeight, "unitWeight", units);
+            this.width = parseQuantity(inputs.width, "length", units);
+            this.shape = inputs.shape;
+            this.groundwaterDepth = parseQuantity(inputs.groundwaterDepth, "length", units);
+            this.FS = parseQuantity(inputs.FS);
+            this.slopeAngle = parseQuantity(inputs.slopeAngle) || 0;
+            this.setback = this.slopeAngle ? parseQuantity(inputs.setback, "length", units) || 0 : undefined;
+
+            if (!FOOTING_SHAPES.includes(this.shape)) {
+                console.log('Error: bad shape choice. Defaulting to continuous');
+                this.shape = "continuous";
+            }
+
+            //Rectangular footings keep B as the short side. Other shapes have no length
+            if (this.shape === "rectangular") {
+                let length = parseQuantity(inputs.length, "length", units);
+                if (!length) length = this.width;
+                this.length = Math.max(this.width, length);
+                this.width = Math.min(this.width, length);
+            }
+
+            this.verticalLoad = parseQuantity(inputs.verticalLoad, loadQuantity(this.shape), units) || 0;
+            this.horizontalLoad = parseQuantity(inputs.horizontalLoad, loadQuantity(this.shape), units) || 0;
+            this.momentB = parseQuantity(inputs.momentB, momentQuantity(this.shape), units) || 0;
+            this.momentL = this.shape === "continuous" ? 0 : parseQuantity(inputs.momentL, momentQuantity(this.shape), units) || 0;
+
+            //Eccentric loads reduce the footing to Meyerhof's effective area, B' = B - 2eB and L' = L - 2eL
+            this.eccentricityB = this.verticalLoad ? this.momentB / this.verticalLoad : 0;
+            this.eccentricityL = this.verticalLoad ? this.momentL / this.verticalLoad : 0;
+            this.effectiveShape = this.shape;
+            this.effectiveWidth = this.width;
+            this.effectiveLength = this.shape === "continuous" ? Infinity : (this.length || this.width);
+            if (this.eccentricityB || this.eccentricityL) {
+                if (this.shape === "circular") {
+                    this.effectiveWidth = this.effectiveLength = this.width * Math.sqrt(Math.PI) / 2;
+                }
+                let effectiveWidth = Math.max(0, this.effectiveWidth - 2 * this.eccentricityB);
+                let effectiveLength = Math.max(0, this.effectiveLength - 2 * this.eccentricityL);
+                this.effectiveWidth = Math.min(effectiveWidth, effectiveLength);
+                this.effectiveLength = Math.max(effectiveWidth, effectiveLength);
+                if (this.shape !== "continuous") this.effectiveShape = "rectangular";
+            }
+            if (this.shape === "circular") {
+                this.withinKern = Math.hypot(this.eccentricityB, this.eccentricityL) <= this.width / 8;
+            } else {
+                let length = this.shape === "continuous" ? Infinity : (this.length || this.width);
+                this.withinKern = 6 * this.eccentricityB / this.width + 6 * this.eccentricityL / length <= 1;
+            }
+
+            //undefined is no groundwater. A depth of 0 is groundwater at the ground surface, not missing groundwater
+            const noGroundwater = this.groundwaterDepth === undefined;
+
+            if (inputs.layers && inputs.layers.length) {
+                //Take the soil parameters from the layer at the footing base, and integrate stresses through the layers
+                this.profile = new SoilProfile(inputs.layers, noGroundwater ? Infinity : this.groundwaterDepth, units);
+                const bearingLayer = this.profile.layerAt(this.depth);
+                if (this.cohesion === undefined) this.cohesion = bearingLayer.cohesion;
+                if (this.phi === undefined) this.phi = bearingLayer.phi;
+                this.unitWeight = bearingLayer.unitWeight;
+                this.effectiveUnitWeight = this.profile.averageEffectiveUnitWeight(this.depth, this.depth + this.width);
+                this.effectiveStress = this.profile.effectiveStressAt(this.depth);
+                this.groundwaterCase = "profile";
+            } else {
+                //Determine effective unit weight if groundwater is in influence zone
+                if (noGroundwater) {
+                    this.effectiveUnitWeight = this.unitWeight;
+                    this.groundwaterCase = "none";
+                } else if (this.groundwaterDepth <= 0) {
+                    this.effectiveUnitWeight = this.unitWeight - unitWeightWater;
+                    this.groundwaterCase = "submerged";
+                } else if (this.groundwaterDepth <= this.depth) {
+                    this.effectiveUnitWeight = this.unitWeight - unitWeightWater;
+                    this.groundwaterCase = "aboveBase";
+                } else if (this.groundwaterDepth < this.depth + this.width) {
+                    this.effectiveUnitWeight = this.unitWeight - unitWeightWater * (1 - (this.groundwaterDepth - this.depth) / this.width);
+                    this.groundwaterCase = "withinInfluence";
+                } else {
+                    this.effectiveUnitWeight = this.unitWeight;
+                    this.groundwaterCase = "belowInfluence";
+                }
+
+                //Calculate effective stress. Water above the ground surface adds equal total stress and pore pressure, so it has no effect
+                let dryDepth = noGroundwater ? this.depth : Math.min(Math.max(this.groundwaterDepth, 0), this.depth);
+                this.effectiveStress = this.unitWeight * dryDepth + (this.unitWeight - unitWeightWater) * (this.depth - dryDepth);
+            }
+            //pore pressure at the footing base, including the head of any water above the ground surface
+            this.porePressure = noGroundwater || this.groundwaterDepth >= this.depth ? 0 : unitWeightWater * (this.depth - this.groundwaterDepth);
+            this.totalStress = this.effectiveStress + this.porePressure;
+
+            //the undrained case is a total stress analysis with phi = 0, so groundwater does not reduce the stresses
+            this.analysisCase = inputs.analysisCase === "undrained" ? "undrained" : "drained";
+            if (this.analysisCase === "undrained") {
+                let undrainedShearStrength = parseQuantity(inputs.undrainedShearStrength, "stress", units);
+                if (undrainedShearStrength === undefined && this.profile) undrainedShearStrength = this.profile.layerAt(this.depth).undrainedShearStrength;
+                this.cohesion = undrainedShearStrength;
+                this.phi = 0;
+                this.effectiveUnitWeight = this.unitWeight;
+                this.groundwaterCase = "totalStress";
+            }
+            this.overburdenStress = this.analysisCase === "undrained" ? this.totalStress : this.effectiveStress;
+
+            //Determine bearing capacity factors
+            const factors = this.bearingCapacityFactors(inputs);
+            this.Nc = factors.Nc;
+            this.Nq = factors.Nq;
+            this.Ng = factors.Ng;
+            this.factorSource = factors.method;
+            this.factorDescription = factors.description;
+
+            //Determine term coefficients from the shape, depth, inclination and ground factors
+            this.modifiers = {...this.modifyingFactors(), ground: this.slopeFactors()};
+            const {shape, depth, inclination, ground} = this.modifiers;
+            this.coef1 = roundTo(shape.c * depth.c * inclination.c * ground.c, 3);
+            this.coef2 = roundTo(shape.q * depth.q * inclination.q * ground.q, 3);
+            this.coef3 = roundTo(0.5 * shape.g * depth.g * inclination.g * ground.g, 3);
+            this.equation = this.equationText();
+            if (this.analysisCase === "undrained") this.equation = this.equation.replace(/Eff\.Stress/g, "Total Stress");
+
+            //calculate bearing capacity
+            const decimals = this.unitSystem.decimals;
+            this.terms = {
+                c: this.coef1 * this.cohesion * this.Nc,
+                q: this.coef2 * this.overburdenStress * this.Nq,
+                g: this.coef3 * this.effectiveUnitWeight * this.effectiveWidth * this.Ng
+            };
+            this.bearingCapacity = roundTo(this.terms.c + this.terms.q + this.terms.g, decimals);
+            //calculate allowable capacity
+            this.allowableCapacity = roundTo(this.bearingCapacity / this.FS, decimals);
+            this.calculation = `(${this.coef1} x ${this.cohesion} x ${this.Nc}) + (${this.coef2} x ${roundTo(this.overburdenStress, decimals)} x ${this.Nq}) + (${this.coef3} x ${roundTo(this.effectiveUnitWeight, decimals)} x ${roundTo(this.effectiveWidth, 3)} x ${this.Ng}) = ${this.bearingCapacity}`;
+
+            //calculate the load the effective area can carry
+            this.effectiveArea = this.baseArea();
+            this.ultimateLoad = roundTo(this.bearingCapacity * this.effectiveArea, decimals);
+            this.allowableLoad = roundTo(this.ultimateLoad / this.FS, decimals);
+            this.appliedPressure = this.verticalLoad ? roundTo(this.verticalLoad / this.effectiveArea, decimals) : undefined;
+        }
+
+        bearingCapacityFactors(inputs) {
+            /*
+            Returns {Nc, Nq, Ng, method, description}. Must be implemented by each theory.
+            */
+            throw new Error(`${this.constructor.name} does not implement bearingCapacityFactors()`);
+        }
+
+        modifyingFactors() {
+            /*
+            Returns the shape, depth and inclination factors as {shape, depth, inclination}, each {c, q, g}.
+            The unit weight term's 0.5 is not included in g.
+            Defaults to 1 for every factor. Theories override this with their own factors.
+            */
+            return {
+                shape: {c: 1, q: 1, g: 1},
+                depth: {c: 1, q: 1, g: 1},
+                inclination: {c: 1, q: 1, g: 1}
+            };
+        }
+
+        groundInclinationFactors() {
+            /*
+            Returns the ground inclination factors of a footing on ground sloping at slopeAngle, as {c, q, g, description}.
+            Vesić's factors, which theories without their own also use:
+            gq = gg = (1 - tan(beta))^2
+            gc = gq - (1 - gq) / (Nc tan(phi)), or 1 - 2 beta / (pi + 2) with beta in radians when phi = 0
+            */
+            let beta = this.slopeAngle * Math.PI / 180;
+            let gq = Math.pow(1 - Math.tan(beta), 2);
+            let gc = this.phi === 0 ? 1 - 2 * beta / (Math.PI + 2) : gq - (1 - gq) / (this.Nc * Math.tan(this.phi * Math.PI / 180));
+            return {c: Math.max(0, gc), q: gq, g: gq, description: "Vesić's ground factors"};
+        }
+
+        slopeFactors() {
+            /*
+            Returns the ground factors {c, q, g} used in the coefficients, and sets groundDescription.
+            A footing at the crest (setback 0) takes the full groundInclinationFactors(). The reduction (1 - factor)
+            shrinks linearly with the setback, and is gone at SLOPE_SETBACK_WIDTHS footing widths from the crest.
+            Level ground gives 1 for every factor.
+            */
+            if (!this.slopeAngle) return {c: 1, q: 1, g: 1};
+            let factors = this.groundInclinationFactors();
+            let share = Math.max(0, 1 - this.setback / (SLOPE_SETBACK_WIDTHS * this.width));
+            let reduce = factor => 1 - (1 - factor) * share;
+            let setback = `a setback of ${roundTo(this.setback / this.width, 2)}B from the crest`;
+            this.groundDescription = `${factors.description}, for ground sloping at ${this.slopeAngle} degrees` +
+                (share === 1 ? " at the crest" :
+                    share > 0 ? `, with the reduction scaled to ${roundTo(share * 100, 1)}% for ${setback}` :
+                        `, with no reduction at ${setback}, beyond ${SLOPE_SETBACK_WIDTHS}B`);
+            return {c: reduce(factors.c), q: reduce(factors.q), g: reduce(factors.g)};
+        }
+
+        equationText() {
+            /*
+            Returns the bearing capacity formula as a string. Theories override this with their own formula.
+            */
+            //the ground factors are only written when the ground slopes
+            const [gc, gq, gg] = this.slopeAngle ? [" * gc", " * gq", " * gg"] : ["", "", ""];
+            return `(sc * dc * ic${gc} * c * Nc) + (sq * dq * iq${gq} * Eff.Stress * Nq) + (0.5 * sg * dg * ig${gg} * gamma * B * Ng)`;
+        }
+
+        workedSolution() {
+            /*
+            Returns the calculation as a list of steps, in the order they are worked:
+            the bearing capacity factors, the stresses at the footing base, the effective unit weight,
+            the three terms of the equation, the ultimate and the allowable bearing capacity.
+            Each step is {symbol, label, formula, substitution, result, units}. formula is written in symbols and
+            substitution with the values in their place, so evaluating it gives result to within the rounding of the results.
+            result is rounded for display, and units is "" for unitless results.
+            Subscripts follow an underscore, e.g. "N_c" or "q_ult", so renderers can format them.
+            */
+            const units = this.unitSystem;
+            const decimals = units.decimals;
+            const unitWeightWater = units.unitWeightWater;
+            const value = x => roundTo(x, 3);
+            //negative values are bracketed where they are subtracted
+            const subtracted = x => x < 0 ? `(${x})` : x;
+            //stresses, unit weights and B' are carried from step to step to 7 significant digits, and the terms to two more decimals
+            //than the results, so that every substitution reproduces its result to the precision of the results
+            const carried = x => Number(x.toPrecision(7));
+            const stress = x => roundTo(x, decimals + 2);
+            //coefficients of 1 are left out of the formulas, as textbooks write them
+            const coefficient = coef => coef === 1 ? "" : `${coef} `;
+            const times = (coef, values) => [...(coef === 1 ? [] : [coef]), ...values].join(" x ");
+            //the modified factors of local shear are primed
+            const prime = this.failureMode && this.failureMode !== "general" ? "'" : "";
+            const step = (symbol, label, formula, substitution, result, unit) => ({
+                symbol: symbol, label: label, formula: formula, substitution: substitution, result: result, units: unit
+            });
+            const noGroundwater = this.groundwaterDepth === undefined;
+            const waterAboveBase = !noGroundwater && this.groundwaterDepth < this.depth;
+
+            let steps = [
+                step(`N_c${prime}`, "bearing capacity factor", `N_c${prime}(φ)`, `φ = ${this.phi}°, ${this.factorDescription}`, this.Nc, ""),
+                step(`N_q${prime}`, "bearing capacity factor", `N_q${prime}(φ)`, `φ = ${this.phi}°, ${this.factorDescription}`, this.Nq, ""),
+                step(`N_γ${prime}`, "bearing capacity factor", `N_γ${prime}(φ)`, `φ = ${this.phi}°, ${this.factorDescription}`, this.Ng, "")
+            ];
+            //the ground factors are already in the coefficients, so they are shown for reference
+            if (this.slopeAngle) {
+                const ground = this.modifiers.ground;
+                steps.push(step("g_c, g_q, g_γ", "ground inclination factors", "g(β, b/B)", this.groundDescription,
+                    [ground.c, ground.q, ground.g].map(value).join(", "), ""));
+            }
+
+            //stresses at the footing base
+            if (this.profile) {
+                steps.push(step("σ_v", "total stress at the footing base", "Σ γ h", `layers from 0 to D = ${value(this.depth)} ${units.length}`, carried(this.totalStress), units.stress));
+            } else if (!noGroundwater && this.groundwaterDepth < 0) {
+                steps.push(step("σ_v", "total stress at the footing base", "γ D + γ_w (-D_w)",
+                    `${this.unitWeight} x ${value(this.depth)} + ${value(unitWeightWater)} x ${value(-this.groundwaterDepth)}`, carried(this.totalStress), units.stress));
+            } else {
+                steps.push(step("σ_v", "total stress at the footing base", "γ D", `${this.unitWeight} x ${value(this.depth)}`, carried(this.totalStress), units.stress));
+            }
+            if (waterAboveBase) {
+                steps.push(step("u", "pore pressure at the footing base", "γ_w (D - D_w)",
+                    `${value(unitWeightWater)} x (${value(this.depth)} - ${subtracted(value(this.groundwaterDepth))})`, carried(this.porePressure), units.stress));
+            } else {
+                steps.push(step("u", "pore pressure at the footing base", "0", noGroundwater ? "no groundwater" : "groundwater below the footing base", 0, units.stress));
+            }
+            steps.push(step("σ'_v", "effective stress at the footing base", "σ_v - u", `${carried(this.totalStress)} - ${carried(this.porePressure)}`, carried(this.effectiveStress), units.stress));
+
+            //effective unit weight below the footing, for the groundwater case
+            let effectiveUnitWeight;
+            switch (this.groundwaterCase) {
+                case "profile":
+                    effectiveUnitWeight = ["(σ'_v(D + B) - σ'_v(D)) / B", `average through the layers from ${value(this.depth)} to ${value(this.depth + this.width)} ${units.length}`];
+                    break;
+                case "submerged":
+                case "aboveBase":
+                    effectiveUnitWeight = ["γ - γ_w", `${this.unitWeight} - ${value(unitWeightWater)}`];
+                    break;
+                case "withinInfluence":
+                    effectiveUnitWeight = ["γ - γ_w (1 - (D_w - D) / B)",
+                        `${this.unitWeight} - ${value(unitWeightWater)} x (1 - (${value(this.groundwaterDepth)} - ${value(this.depth)}) / ${value(this.width)})`];
+                    break;
+                default:
+                    effectiveUnitWeight = ["γ", noGroundwater ? "no groundwater" : "groundwater more than B below the footing base"];
+                    break;
+            }
+            //the undrained case has su in place of c, and total stresses in the q and gamma terms
+            const undrained = this.analysisCase === "undrained";
+            const cohesion = undrained ? "s_u" : "c";
+            const overburden = undrained ? "σ_v" : "σ'_v";
+            const unitWeight = undrained ? "γ" : "γ'";
+            if (undrained) {
+                steps.push(step("γ", "total unit weight below the footing", "γ", "undrained, so total stresses", carried(this.effectiveUnitWeight), units.unitWeight));
+            } else {
+                steps.push(step("γ'", "effective unit weight below the footing", ...effectiveUnitWeight, carried(this.effectiveUnitWeight), units.unitWeight));
+            }
+
+            //terms of the bearing capacity equation
+            steps.push(
+                step("q_c", "cohesion term", `${coefficient(this.coef1)}${cohesion} N_c${prime}`, times(this.coef1, [this.cohesion, this.Nc]), stress(this.terms.c), units.stress),
+                step("q_q", "overburden term", `${coefficient(this.coef2)}${overburden} N_q${prime}`, times(this.coef2, [carried(this.overburdenStress), this.Nq]), stress(this.terms.q), units.stress),
+                step("q_γ", "unit weight term", `${coefficient(this.coef3)}${unitWeight} B' N_γ${prime}`,
+                    times(this.coef3, [carried(this.effectiveUnitWeight), carried(this.effectiveWidth), this.Ng]), stress(this.terms.g), units.stress),
+                step("q_ult", "ultimate bearing capacity", "q_c + q_q + q_γ", `${stress(this.terms.c)} + ${stress(this.terms.q)} + ${stress(this.terms.g)}`, this.bearingCapacity, units.stress),
+                step("q_allow", "allowable bearing capacity", "q_ult / FS", `${this.bearingCapacity} / ${this.FS}`, this.allowableCapacity, units.stress)
+            );
+            return steps;
+        }
+
+        widthToLength() {
+            /*
+            Returns B'/L' used by the shape and inclination factors: 0 for continuous footings,
+            effectiveWidth/effectiveLength for rectangular footings, and 1 otherwise.
+            */
+            switch (this.effectiveShape) {
+                case "continuous":
+                    return 0;
+                case "rectangular":
+                    return this.effectiveLength ? this.effectiveWidth / this.effectiveLength : 1;
+                default:
+                    return 1;
+            }
+        }
+
+        depthToWidth() {
+            /*
+            Returns the k term used by Hansen's and Vesić's depth factors:
+            D/B when D/B <= 1, otherwise arctan(D/B) in radians.
+            */
+            let ratio = this.depth / this.width;
+            return ratio <= 1 ? ratio : Math.atan(ratio);
+        }
+
+        loadInclination() {
+            /*
+            Returns the angle of the resultant load from vertical [degrees], 0 if there is no vertical load.
+            */
+            if (!this.verticalLoad) return 0;
+            return Math.atan(this.horizontalLoad / this.verticalLoad) * 180 / Math.PI;
+        }
+
+        baseArea() {
+            /*
+            Returns the effective footing base area [ft²] [m²]. For continuous footings this is the area per unit length.
+            */
+            switch (this.effectiveShape) {
+                case "circular":
+                    return Math.PI * this.width * this.width / 4;
+                case "continuous":
+                    return this.effectiveWidth;
+                default:
+                    return this.effectiveWidth * this.effectiveLength;
+            }
+        }
+    }
+
+    function meyerhofInclinationFactors(inclination, phi) {
+        /*
+        Meyerhof's load inclination factors, also used with Terzaghi's method.
+        ic = iq = (1 - inclination/90)^2
+        ig = (1 - inclination/phi)^2, or 0 if the load is inclined more than phi
+        inclination, phi: [degrees]
+        */
+        let iq = Math.pow(1 - inclination / 90, 2);
+        let ig = 1;
+        if (inclination > 0) ig = phi > inclination ? Math.pow(1 - inclination / phi, 2) : 0;
+        return {c: iq, q: iq, g: ig};
+    }
+
+    class TerzaghiBearingCapacity extends BearingCapacity {
+        /*
+        Terzaghi's bearing capacity theory. See BearingCapacity for the inputs and calculated values.
+
+        May be constructed with an inputs object, or with the positional arguments below:
+        new TerzaghiBearingCapacity(cohesion, phi, depth, unitWeight, width, shape, groundwaterDepth, FS, units, factorMethod)
+        Rectangular footings need the inputs object, since length has no positional argument.
+
+        ADDITIONAL INPUT VALUES
+        phi: above 41 the closed-form factors are always used for general shear
+        factorMethod: how Nc, Nq, Ng are found, must be in ["table", "closedForm"]. Bad input defaults to table
+            table interpolates between rows when phi is not an integer
+        failureMode: must be in Object.keys(FAILURE_MODES). Defaults to general
+            general: Terzaghi's general shear factors
+            local: local shear failure, with c' = 2/3 c and tan(phi') = 2/3 tan(phi), using the modified factors Nc', Nq', Ng'
+            auto: chosen from relativeDensity if it is given, otherwise from phi. General shear in the undrained case. See failureModeFor()
+        relativeDensity: optional relative density of a granular soil, 0 to 100 [%]. Only used by the auto failure mode
+
+        Terzaghi's method has no depth factors. Inclined loads use Meyerhof's inclination factors, and sloping ground Vesić's ground factors.
+        coef1, coef2, coef3 = based on shape
+            Rectangular footings use coef1 = 1 + 0.3 B/L and coef3 = 0.5 - 0.1 B/L,
+            which match the square coefficients at B/L = 1 and the continuous ones as L/B grows.
+            Eccentric square and circular footings use the rectangular coefficients with B'/L'
+        factorSource = key in FACTOR_METHODS describing where Nc, Nq, Ng came from ("table", "interpolated", "closedForm")
+        failureMode = "general", "local" or "transitional", the failure mode used
+            transitional interpolates the factors and the cohesion between local and general shear
+        failureModeExplanation = why failureMode was used, in words
+        localShearWeight = share of local shear in the factors and cohesion, 1 for local, 0 for general shear
+            In local shear coef1 includes the 2/3 of c' = 2/3 c, e.g. 0.867 = 2/3 x 1.3 for square footings, as Das writes the equation
+        */
+        constructor(cohesion, phi, depth, unitWeight, width, shape, groundwaterDepth=undefined, FS, units="US", factorMethod="table") {
+            if (typeof cohesion === "object" && cohesion !== null) super(cohesion);
+            else super({cohesion, phi, depth, unitWeight, width, shape, groundwaterDepth, FS, units, factorMethod});
+        }
+
+        failureModeFor(inputs) {
+            /*
+            Returns {mode, weight, explanation} for the failureMode input, where weight is the share of local shear.
+            The auto mode uses the relative density when it is given: above GENERAL_SHEAR_DENSITY is general shear,
+            and anything looser is local shear, which is also the usual approximation of punching shear.
+            Otherwise it uses phi: at or above GENERAL_SHEAR_PHI is general shear, at or below LOCAL_SHEAR_PHI is local shear,
+            and the factors are interpolated linearly in between.
+            Both criteria judge drained soils, so the undrained case, where phi = 0 for any clay, is general shear
+            unless local shear is chosen.
+            */
+            const mode = inputs.failureMode in FAILURE_MODES ? inputs.failureMode : "general";
+            if (mode === "general") return {mode: "general", weight: 0, explanation: "General shear failure was chosen"};
+            if (mode === "local") return {mode: "local", weight: 1, explanation: "Local shear failure was chosen"};
+            if (this.analysisCase === "undrained") {
+                return {mode: "general", weight: 0, explanation: "General shear failure, since phi = 0 in the undrained case says nothing about how loose or soft the soil is"};
+            }
+            const relativeDensity = parseQuantity(inputs.relativeDensity);
+            if (relativeDensity !== undefined) {
+                if (relativeDensity > GENERAL_SHEAR_DENSITY) {
+                    return {mode: "general", weight: 0, explanation: `General shear failure, since a relative density of ${relativeDensity}% is dense (above ${GENERAL_SHEAR_DENSITY}%)`};
+                }
+                if (relativeDensity < PUNCHING_SHEAR_DENSITY) {
+                    return {mode: "local", weight: 1, explanation: `Local shear failure, since a relative density of ${relativeDensity}% is loose (below ${PUNCHING_SHEAR_DENSITY}%). Punching shear is likely, and local shear is the usual approximation of it`};
+                }
+                return {mode: "local", weight: 1, explanation: `Local shear failure, since a relative density of ${relativeDensity}% is medium dense (${PUNCHING_SHEAR_DENSITY}% to ${GENERAL_SHEAR_DENSITY}%)`};
+            }
+            if (this.phi >= GENERAL_SHEAR_PHI) {
+                return {mode: "general", weight: 0, explanation: `General shear failure, since phi = ${this.phi} degrees is at least ${GENERAL_SHEAR_PHI}, typical of dense soils`};
+            }
+            if (this.phi <= LOCAL_SHEAR_PHI) {
+                return {mode: "local", weight: 1, explanation: `Local shear failure, since phi = ${this.phi} degrees is at most ${LOCAL_SHEAR_PHI}, typical of loose or soft soils`};
+            }
+            let weight = roundTo((GENERAL_SHEAR_PHI - this.phi) / (GENERAL_SHEAR_PHI - LOCAL_SHEAR_PHI), 3);
+            return {mode: "transitional", weight: weight, explanation: `Between local and general shear, since phi = ${this.phi} degrees is between ${LOCAL_SHEAR_PHI} and ${GENERAL_SHEAR_PHI}. The factors and cohesion are ${roundTo(weight * 100, 1)}% local shear`};
+        }
+
+        bearingCapacityFactors(inputs) {
+            //called from the BearingCapacity constructor, so the failure mode is set here, before the factors are used
+            const failure = this.failureModeFor(inputs);
+            this.failureMode = failure.mode;
+            this.localShearWeight = failure.weight;
+            this.failureModeExplanation = failure.explanation;
+            let factors = getBearingCapacityFactors(this.phi, inputs.factorMethod);
+            if (failure.weight > 0) {
+                let local = getLocalShearFactors(this.phi, inputs.factorMethod);
+                ["Nc", "Nq", "Ng"].forEach(key => factors[key] = roundTo(factors[key] + failure.weight * (local[key] - factors[key]), 2));
+                //the local table reaches MAX_PHI, so it only falls back to the closed form when asked to
+                if (failure.weight === 1) factors.method = local.method;
+            }
+            factors.description = `${FACTOR_METHODS[factors.method]}, ${failure.mode === "transitional" ? "between local and general shear" : FAILURE_MODES[failure.mode]}`;
+            return factors;
+        }
+
+        modifyingFactors() {
+            //Terzaghi's shape coefficients. g is divided by the 0.5 that BearingCapacity applies
+            let shape;
+            switch (this.effectiveShape) {
+                case "square":
+                    shape = {c: 1.3, q: 1, g: 0.8};
+                    break;
+                case "circular":
+                    shape = {c: 1.3, q: 1, g: 0.6};
+                    break;
+                case "rectangular":
+                    shape = {c: 1 + 0.3 * this.widthToLength(), q: 1, g: 1 - 0.2 * this.widthToLength()};
+                    break;
+                default:
+                    shape = {c: 1, q: 1, g: 1};
+                    break;
+            }
+            //local shear reduces the cohesion to c' = 2/3 c, which is kept in the cohesion term's coefficient
+            shape.c *= 1 - this.localShearWeight / 3;
+            return {
+                shape: shape,
+                depth: {c: 1, q: 1, g: 1},
+                inclination: meyerhofInclinationFactors(this.loadInclination(), this.phi)
+            };
+        }
+
+        equationText() {
+            let c = roundTo(this.modifiers.shape.c, 3) === 1 ? "" : `${roundTo(this.modifiers.shape.c, 3)} `;
+            let g = `${roundTo(0.5 * this.modifiers.shape.g, 3)}`;
+            //the modified factors of local shear are primed
+            let prime = this.failureMode === "general" ? "" : "'";
+            const [gc, gq, gg] = this.slopeAngle ? ["gc * ", "gq * ", "gg * "] : ["", "", ""];
+            if (this.loadInclination() > 0) return `(${c}ic * ${gc}c * Nc${prime}) + (iq * ${gq}Eff.Stress * Nq${prime}) + (${g} ig * ${gg}gamma * B * Ng${prime})`;
+            if (this.slopeAngle) return `(${c}${gc}c * Nc${prime}) + (${gq}Eff.Stress * Nq${prime}) + (${g} ${gg}gamma * B * Ng${prime})`;
+            return `(${c}c * Nc${prime}) + (Eff.Stress * Nq${prime}) + (${g} * gamma * B * Ng${prime})`;
+        }
+    }
+
+    return {
+        FOOTING_SHAPES,
+        GROUNDWATER_CASES,
+        ANALYSIS_CASES,
+        FAILURE_MODES,
+        LOCAL_SHEAR_PHI,
+        GENERAL_SHEAR_PHI,
+        GENERAL_SHEAR_DENSITY,
+        PUNCHING_SHEAR_DENSITY,
+        SLOPE_SETBACK_WIDTHS,
+        loadQuantity,
+        momentQuantity,
+        BearingCapacity,
+        meyerhofInclinationFactors,
+        TerzaghiBearingCapacity
+    };
+}));
@@ -0,0 +1,152 @@
+/*
+Footing design: solves for the smallest footing width that carries a service load.
+The width appears on both sides of the problem (the Ng term and the groundwater influence zone both depend on it),
+so the solver iterates on the width until it stops changing, then rounds up to a practical increment.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./bearing-capacity"), require("./validation"), require("./layered")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity, roundTo, FOOTING_SHAPES, ANALYSIS_CASES, InputValidationError, validateInputs, layeredBearingCapacity} = engine;
+
+    //key=unit system, value=default width increment [ft] [m]
+    const DEFAULT_WIDTH_INCREMENT = {US: 0.5, SI: 0.1};
+    const DESIGN_TOLERANCE = 0.001; //ft or m, change in width at which the iteration has converged
+    const MAX_DESIGN_ITERATIONS = 50;
+
+    function widthForArea(area, shape, lengthRatio) {
+        /*
+        Returns the width B of a footing of shape with the given base area.
+        For continuous footings area is per unit length, so B = area.
+        lengthRatio: L/B of rectangular footings
+        */
+        switch (shape) {
+            case "continuous":
+                return area;
+            case "circular":
+                return Math.sqrt(4 * area / Math.PI);
+            case "rectangular":
+                return Math.sqrt(area / lengthRatio);
+            default:
+                return Math.sqrt(area);
+        }
+    }
+
+    function designFootingWidth(inputs, method="terzaghi", increment=undefined) {
+        /*
+        Finds the smallest width for which the allowable bearing capacity carries inputs.verticalLoad.
+
+        INPUT VALUES
+        inputs: BearingCapacity inputs. verticalLoad is required, width is only used as the first trial width.
+            Rectangular footings keep the L/B ratio of inputs.length and inputs.width, or 1 if either is missing.
+            Moments and horizontal loads are ignored. The footing's own weight is not added to the load.
+        method: must be in Object.keys(BEARING_CAPACITY_METHODS)
+        increment: width increment the design is rounded up to [ft] [m]. Defaults to DEFAULT_WIDTH_INCREMENT
+
+        The allowable capacity of each trial includes the layered profile checks from layeredBearingCapacity.
+        With inputs.analysisCase = "both", each case is designed on its own and the wider footing is returned.
+        Throws an InputValidationError if the inputs other than the width are invalid, or the vertical load is not greater than 0.
+
+        Returns {width, length, converged, history, result, allowableCapacity, appliedPressure, utilisation, analysisCase}
+        converged = false if the iteration did not settle on a width, or no width up to MAX_DESIGN_ITERATIONS increments
+            above it carries the load, such as on a soil with no capacity. width is then the last width tried
+        history = list of {step, stage, width, allowableCapacity, requiredWidth}
+            stage is "iterate" while solving and "round" while rounding up to the increment
+        result = the method's instance at the design width
+        utilisation = appliedPressure / allowableCapacity at the design width
+        analysisCase = the analysis case designed for. With both cases, the one that needs the wider footing,
+            and explanation = which case governs and the width each one needs
+        */
+        if (inputs.analysisCase === "both") {
+            let designs = Object.keys(ANALYSIS_CASES).map(analysisCase => designFootingWidth({...inputs, analysisCase: analysisCase}, method, increment));
+            let governing = designs.reduce((widest, design) => design.width > widest.width ? design : widest);
+            let other = designs.find(design => design !== governing);
+            const length = governing.result.unitSystem.length;
+            return {
+                ...governing,
+                converged: designs.every(design => design.converged),
+                explanation: governing.width === other.width ?
+                    `The ${ANALYSIS_CASES[governing.analysisCase]} and ${ANALYSIS_CASES[other.analysisCase]} cases need the same width of ${governing.width} ${length}` :
+                    `The ${ANALYSIS_CASES[governing.analysisCase]} case governs with a width of ${governing.width} ${length}, ` +
+                    `wider than the ${other.width} ${length} of the ${ANALYSIS_CASES[other.analysisCase]} case`
+            };
+        }
+        const units = inputs.units in UNIT_SYSTEMS ? inputs.units : "US";
+        const shape = FOOTING_SHAPES.includes(inputs.shape) ? inputs.shape : "continuous";
+        const validation = validateInputs(inputs, {required: ["verticalLoad"], optional: ["width", "length"]});
+        if (!validation.valid) throw new InputValidationError(validation.errors);
+        const load = validation.values.verticalLoad;
+        if (load <= 0) throw new InputValidationError([{field: "verticalLoad", type: "outOfRange", message: "vertical load should be greater than 0"}]);
+        if (increment === undefined || increment === "") increment = DEFAULT_WIDTH_INCREMENT[units];
+        increment = parseQuantity(increment, "length", units);
+
+        let trialWidth = parseQuantity(inputs.width, "length", units);
+        let trialLength = parseQuantity(inputs.length, "length", units);
+        let lengthRatio = shape === "rectangular" && trialWidth && trialLength ? Math.max(trialWidth, trialLength) / Math.min(trialWidth, trialLength) : 1;
+        let width = trialWidth || increment;
+        let history = [];
+
+        //Analyses one trial width. Only the vertical load is applied, so the whole base is effective
+        const trial = width => {
+            let trialInputs = {...inputs, width: width, length: width * lengthRatio, momentB: 0, momentL: 0, horizontalLoad: 0};
+            return layeredBearingCapacity(trialInputs, method);
+        };
+
+        //Iterate B = width for area P / q_allow(B) until B stops changing
+        let converged = false;
+        for (let step = 1; step <= MAX_DESIGN_ITERATIONS; step++) {
+            let analysis = trial(width);
+            let requiredWidth = analysis.allowableCapacity > 0 ? widthForArea(load / analysis.allowableCapacity, shape, lengthRatio) : Infinity;
+            history.push({step: step, stage: "iterate", width: width, allowableCapacity: analysis.allowableCapacity, requiredWidth: requiredWidth});
+            if (!isFinite(requiredWidth)) break;
+            if (Math.abs(requiredWidth - width) < DESIGN_TOLERANCE) {
+                converged = true;
+                width = requiredWidth;
+                break;
+            }
+            width = requiredWidth;
+        }
+
+        //Round up to the increment, and keep stepping up until the rounded width passes
+        let designWidth = Math.max(increment, Math.ceil(roundTo(width / increment, 6)) * increment);
+        let analysis;
+        let passes = false;
+        const lastStep = history.length + MAX_DESIGN_ITERATIONS;
+        for (let step = history.length + 1; step <= lastStep; step++) {
+            analysis = trial(designWidth);
+            let requiredWidth = analysis.allowableCapacity > 0 ? widthForArea(load / analysis.allowableCapacity, shape, lengthRatio) : Infinity;
+            history.push({step: step, stage: "round", width: designWidth, allowableCapacity: analysis.allowableCapacity, requiredWidth: requiredWidth});
+            //no wider footing helps a soil with no capacity
+            if (!isFinite(requiredWidth)) break;
+            if (requiredWidth <= designWidth + DESIGN_TOLERANCE) {
+                passes = true;
+                break;
+            }
+            if (step < lastStep) designWidth = roundTo(designWidth + increment, 6);
+        }
+
+        const result = analysis.result;
+        const appliedPressure = roundTo(load / result.baseArea(), result.unitSystem.decimals);
+        return {
+            width: roundTo(designWidth, 6),
+            length: shape === "rectangular" ? roundTo(designWidth * lengthRatio, 6) : undefined,
+            converged: converged && passes,
+            history: history,
+            result: result,
+            allowableCapacity: analysis.allowableCapacity,
+            appliedPressure: appliedPressure,
+            utilisation: roundTo(appliedPressure / analysis.allowableCapacity, 3),
+            analysisCase: result.analysisCase
+        };
+    }
+
+    return {
+        DEFAULT_WIDTH_INCREMENT,
+        DESIGN_TOLERANCE,
+        MAX_DESIGN_ITERATIONS,
+        widthForArea,
+        designFootingWidth
+    };
+}));
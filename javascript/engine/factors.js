@@ -0,0 +1,232 @@
+/*
+Bearing capacity factor providers.
+Terzaghi's factors can come from the published table (integer phi from 0 to 41 degrees),
+from linear interpolation between table rows, or from Terzaghi's closed-form equations,
+which reproduce the table and extend it up to MAX_PHI.
+The modified factors Nc', Nq', Ng' for local shear failure have their own table, and their closed form
+is the general shear equations at the reduced friction angle of localShearPhi.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {roundTo} = engine;
+
+    //Terzaghi bearing capacity factors. key=phi, value=[Nc, Nq, Ng]
+    const NTerzaghi = {0:[5.7,1,0],
+                    1:[6,1.1,.1],
+                    2:[6.3,1.2,.1],
+                    3:[6.6,1.3,.2],
+                    4:[7,1.5,.3],
+                    5:[7.3,1.6,.4],
+                    6:[7.7,1.8,.5],
+                    7:[8.2,2,.6],
+                    8:[8.6,2.2,.7],
+                    9:[9.1,2.4,.9],
+                    10:[9.6,2.7,1],
+                    11:[10.2,3,1.2],
+                    12:[10.8,3.3,1.4],
+                    13:[11.4,3.6,1.6],
+                    14:[12.1,4,1.9],
+                    15:[12.9,4.4,2.2],
+                    16:[13.7,4.9,2.5],
+                    17:[14.6,5.5,2.9],
+                    18:[15.5,6,3.3],
+                    19:[16.6,6.7,3.8],
+                    20:[17.7,7.4,4.4],
+                    21:[18.9,8.3,5.1],
+                    22:[20.3,9.2,5.9],
+                    23:[21.7,10.2,6.8],
+                    24:[23.4,11.4,7.9],
+                    25:[25.1,12.7,9.2],
+                    26:[27.1,14.2,10.7],
+                    27:[29.2,15.9,12.5],
+                    28:[31.6,17.8,14.6],
+                    29:[34.2,20,17.1],
+                    30:[37.2,22.5,20.1],
+                    31:[40.4,25.3,23.7],
+                    32:[44,28.5,28],
+                    33:[48.1,32.2,33.3],
+                    34:[52.6,36.5,39.6],
+                    35:[57.8,41.4,47.3],
+                    36:[63.5,47.2,56.7],
+                    37:[70.1,53.8,68.1],
+                    38:[77.5,61.5,82.3],
+                    39:[86,70.6,99.8],
+                    40:[95.7,81.3,121.5],
+                    41:[106.8,93.8,148.5]};
+
+    const MAX_TABLE_PHI = 41; //degrees, largest phi in NTerzaghi
+
+    //Terzaghi's modified bearing capacity factors for local shear failure. key=phi, value=[Nc', Nq', Ng']
+    //Das, Principles of Foundation Engineering, table 3.2. phi is the actual friction angle, not the reduced one
+    const NTerzaghiLocal = {0:[5.7,1,0],
+                    1:[5.9,1.07,.005],
+                    2:[6.1,1.14,.02],
+                    3:[6.3,1.22,.04],
+                    4:[6.51,1.3,.055],
+                    5:[6.74,1.39,.074],
+                    6:[6.97,1.49,.1],
+                    7:[7.22,1.59,.128],
+                    8:[7.47,1.7,.16],
+                    9:[7.74,1.82,.2],
+                    10:[8.02,1.94,.24],
+                    11:[8.32,2.08,.3],
+                    12:[8.63,2.22,.35],
+                    13:[8.96,2.38,.42],
+                    14:[9.31,2.55,.48],
+                    15:[9.67,2.73,.57],
+                    16:[10.06,2.92,.67],
+                    17:[10.47,3.13,.76],
+                    18:[10.9,3.36,.88],
+                    19:[11.36,3.61,1.03],
+                    20:[11.85,3.88,1.12],
+                    21:[12.37,4.17,1.35],
+                    22:[12.92,4.48,1.55],
+                    23:[13.51,4.82,1.74],
+                    24:[14.14,5.2,1.97],
+                    25:[14.8,5.6,2.25],
+                    26:[15.53,6.05,2.59],
+                    27:[16.3,6.54,2.88],
+                    28:[17.13,7.07,3.29],
+                    29:[18.03,7.66,3.76],
+                    30:[18.99,8.31,4.39],
+                    31:[20.03,9.03,4.83],
+                    32:[21.16,9.82,5.51],
+                    33:[22.39,10.69,6.32],
+                    34:[23.72,11.67,7.22],
+                    35:[25.18,12.75,8.35],
+                    36:[26.77,13.97,9.41],
+                    37:[28.51,15.32,10.9],
+                    38:[30.43,16.85,12.75],
+                    39:[32.53,18.56,14.71],
+                    40:[35.03,20.5,17.22],
+                    41:[37.75,22.7,19.75],
+                    42:[40.88,25.21,22.5],
+                    43:[44.54,28.06,26.25],
+                    44:[48.78,31.34,30.4],
+                    45:[53.8,35.11,36],
+                    46:[59.41,39.48,41.7],
+                    47:[66.25,44.54,49.3],
+                    48:[73.9,50.46,59.25],
+                    49:[83.05,57.41,71.45],
+                    50:[93.85,65.6,85.75]};
+    const MAX_PHI = 50; //degrees, largest phi the closed-form factors are used for
+
+    //key=factor method, value=description shown in the results
+    const FACTOR_METHODS = {
+        table: "Terzaghi table",
+        interpolated: "interpolated from Terzaghi table",
+        closedForm: "Terzaghi closed-form equations"
+    };
+
+    function terzaghiClosedFormFactors(phi) {
+        /*
+        Returns [Nc, Nq, Ng] from Terzaghi's closed-form equations, rounded to one decimal like NTerzaghi.
+        Nq = a^2 / (2 cos^2(45 + phi/2)), where a = e^((0.75 pi - phi/2) tan(phi))
+        Nc = (Nq - 1) cot(phi), or 1.5 pi + 1 when phi = 0
+        Ng = 2 (Nq + 1) tan(phi) / (1 + 0.4 sin(4 phi)), Coduto's fit to Terzaghi's Ng
+        phi: 0 to MAX_PHI [degrees]
+        */
+        let radians = phi * Math.PI / 180;
+        if (phi === 0) return [roundTo(1.5 * Math.PI + 1, 1), 1, 0];
+        let a = Math.exp((0.75 * Math.PI - radians / 2) * Math.tan(radians));
+        let Nq = a * a / (2 * Math.pow(Math.cos(Math.PI / 4 + radians / 2), 2));
+        let Nc = (Nq - 1) / Math.tan(radians);
+        let Ng = 2 * (Nq + 1) * Math.tan(radians) / (1 + 0.4 * Math.sin(4 * radians));
+        return [roundTo(Nc, 1), roundTo(Nq, 1), roundTo(Ng, 1)];
+    }
+
+    function interpolatedTerzaghiFactors(phi, table=NTerzaghi) {
+        /*
+        Returns [Nc, Nq, Ng] linearly interpolated between the table rows on either side of phi.
+        Integer phi returns the table row unchanged.
+        phi: 0 to MAX_TABLE_PHI for NTerzaghi, 0 to MAX_PHI for NTerzaghiLocal [degrees]
+        */
+        let lower = Math.floor(phi);
+        let upper = Math.ceil(phi);
+        if (lower === upper) return table[lower].slice();
+        let fraction = phi - lower;
+        return table[lower].map((value, i) => roundTo(value + fraction * (table[upper][i] - value), 2));
+    }
+
+    function localShearPhi(phi) {
+        /*
+        Returns the reduced friction angle of local shear failure, tan(phi') = 2/3 tan(phi) [degrees].
+        */
+        return Math.atan(2 / 3 * Math.tan(phi * Math.PI / 180)) * 180 / Math.PI;
+    }
+
+    function getLocalShearFactors(phi, method="table") {
+        /*
+        Returns {Nc, Nq, Ng, method} of the modified factors Nc', Nq', Ng' for local shear failure,
+        where method is the key in FACTOR_METHODS that produced the factors.
+        method: must be in ["table", "closedForm"]. Bad input defaults to table
+            table: NTerzaghiLocal row for integer phi, interpolated between rows otherwise
+            closedForm: Terzaghi's closed-form equations at localShearPhi(phi)
+        phi: 0 to MAX_PHI [degrees]
+        */
+        if (method !== "table" && method !== "closedForm") {
+            console.log('Error: bad factor method choice. Defaulting to table');
+            method = "table";
+        }
+        let factors;
+        if (method === "closedForm") {
+            factors = terzaghiClosedFormFactors(localShearPhi(phi));
+        } else {
+            factors = interpolatedTerzaghiFactors(phi, NTerzaghiLocal);
+            if (!Number.isInteger(phi)) method = "interpolated";
+        }
+        return {
+            Nc: factors[0],
+            Nq: factors[1],
+            Ng: factors[2],
+            method: method
+        };
+    }
+
+    function getBearingCapacityFactors(phi, method="table") {
+        /*
+        Returns {Nc, Nq, Ng, method} for phi, where method is the key in FACTOR_METHODS that produced the factors.
+        method: must be in ["table", "closedForm"]. Bad input defaults to table
+            table: table row for integer phi, interpolated between rows otherwise.
+                Falls back to the closed-form equations above MAX_TABLE_PHI
+            closedForm: closed-form equations for any phi
+        phi: 0 to MAX_PHI [degrees]
+        */
+        if (method !== "table" && method !== "closedForm") {
+            console.log('Error: bad factor method choice. Defaulting to table');
+            method = "table";
+        }
+        if (phi > MAX_TABLE_PHI) method = "closedForm";
+
+        let factors;
+        if (method === "closedForm") {
+            factors = terzaghiClosedFormFactors(phi);
+        } else {
+            factors = interpolatedTerzaghiFactors(phi);
+            if (!Number.isInteger(phi)) method = "interpolated";
+        }
+        return {
+            Nc: factors[0],
+            Nq: factors[1],
+            Ng: factors[2],
+            method: method
+        };
+    }
+
+    return {
+        NTerzaghi,
+        NTerzaghiLocal,
+        MAX_TABLE_PHI,
+        MAX_PHI,
+        FACTOR_METHODS,
+        terzaghiClosedFormFactors,
+        interpolatedTerzaghiFactors,
+        getBearingCapacityFactors,
+        localShearPhi,
+        getLocalShearFactors
+    };
+}));
@@ -0,0 +1,22 @@
+/*
+Bearing capacity engine, for use in Node: const engine = require("./javascript/engine");
+The engine has no React or DOM dependency. The app imports it through this file too, and scripts/build.js bundles it.
+Loaded with a script tag instead, each module adds its values to the global scope, after the modules above it.
+*/
+
+module.exports = Object.assign({},
+    require("./units"),
+    require("./factors"),
+    require("./soil-profile"),
+    require("./bearing-capacity"),
+    require("./validation"),
+    require("./methods"),
+    require("./layered"),
+    require("./analysis-cases"),
+    require("./design"),
+    require("./sweep"),
+    require("./batch"),
+    require("./settlement"),
+    require("./reliability"),
+    require("./project")
+);
@@ -0,0 +1,129 @@
+/*
+Two-layer bearing capacity checks.
+layeredBearingCapacity checks a footing on a layered SoilProfile against weaker layers
+below its base and reports which check governs.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./factors"), require("./methods")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {roundTo, MAX_PHI, getBearingCapacityFactors, calculateBearingCapacity} = engine;
+
+    const TWO_LAYER_INFLUENCE_DEPTH = 2; //widths below the footing base checked for weaker layers
+
+    function stripStrength(layer, width) {
+        /*
+        Returns c Nc + 0.5 gamma B Ng for a strip footing on the surface of layer, using Terzaghi's factors.
+        Used only to rank layers by strength (q2/q1 in Meyerhof and Hanna's method).
+        */
+        let factors = getBearingCapacityFactors(Math.min(layer.phi, MAX_PHI));
+        return layer.cohesion * factors.Nc + 0.5 * layer.unitWeight * width * factors.Ng;
+    }
+
+    function layeredBearingCapacity(inputs, method="terzaghi", result=calculateBearingCapacity(inputs, method)) {
+        /*
+        Checks a footing on a layered profile (inputs.layers) against weaker layers below its base.
+        result: the method's instance for inputs, if it has already been calculated
+
+        Three checks are made, and the lowest ultimate bearing capacity governs:
+        bearing layer: the layer at the footing base, treated as homogeneous, with stresses from the profile (result)
+        punching: for each weaker layer whose top is within TWO_LAYER_INFLUENCE_DEPTH widths of the base,
+            Meyerhof and Hanna's (1978) punching shear through the bearing layer into the weaker layer:
+            q = qb + (1 + B/L) 2 ca H / B + gamma1 H^2 (1 + B/L) (1 + 2D/H) Ks tan(phi1) / B - gamma1 H <= q_bearing layer
+            qb = capacity of the footing placed on top of the weaker layer
+            H = distance from the base to the weaker layer
+            Ks is taken as Kp = tan^2(45 + phi1/2) and ca as c1 * q2/q1. Both are simplifications of
+            Meyerhof and Hanna's charts on the conservative side for weak bottom layers.
+        averaged: c and phi averaged by thickness over 0.5 B tan(45 + phi1/2) below the base (Bowles)
+        The undrained case (result.analysisCase) makes the same checks with su in place of c and phi = 0.
+
+        Returns {result, checks, governing, bearingCapacity, allowableCapacity, explanation}
+        checks = list of {key, label, bearingCapacity, description}
+        governing = the check with the lowest bearingCapacity
+        A homogeneous soil (no inputs.layers) returns the bearing layer check only.
+        */
+        const decimals = result.unitSystem.decimals;
+        const stress = result.unitSystem.stress;
+        const length = result.unitSystem.length;
+        let checks = [{
+            key: "bearingLayer",
+            label: "bearing layer",
+            bearingCapacity: result.bearingCapacity,
+            description: result.profile ?
+                `Layer ${result.profile.layerAt(result.depth).number} treated as homogeneous below the footing` :
+                `Homogeneous soil`
+        }];
+
+        let profile = result.profile;
+        if (profile) {
+            const undrained = result.analysisCase === "undrained";
+            //the strength parameters of a layer in the analysis case
+            const strength = layer => undrained ? {...layer, cohesion: layer.undrainedShearStrength, phi: 0} : layer;
+            let D = result.depth;
+            let B = result.width;
+            let top = strength(profile.layerAt(D));
+            let shapeTerm = 1 + result.widthToLength();
+            let q1 = stripStrength(top, B);
+
+            profile.layers
+                .filter(layer => layer.top > D && layer.top < D + TWO_LAYER_INFLUENCE_DEPTH * B)
+                .forEach(layer => {
+                    let q2 = stripStrength(strength(layer), B);
+                    if (q2 >= q1) return;
+                    let H = layer.top - D;
+                    let gamma1 = profile.averageEffectiveUnitWeight(D, layer.top);
+                    let radians = top.phi * Math.PI / 180;
+                    let Ks = Math.pow(Math.tan(Math.PI / 4 + radians / 2), 2);
+                    let adhesion = top.cohesion * (q1 > 0 ? q2 / q1 : 1);
+                    let qb = calculateBearingCapacity({...inputs, depth: layer.top, cohesion: undefined, phi: undefined, undrainedShearStrength: undefined}, method).bearingCapacity;
+                    let punching = qb +
+                        shapeTerm * 2 * adhesion * H / B +
+                        gamma1 * H * H * shapeTerm * (1 + 2 * D / H) * Ks * Math.tan(radians) / B -
+                        gamma1 * H;
+                    checks.push({
+                        key: `punching${layer.number}`,
+                        label: `punching into layer ${layer.number}`,
+                        bearingCapacity: roundTo(Math.min(punching, result.bearingCapacity), decimals),
+                        description: `Punching through ${roundTo(H, 2)} ${length} of layer ${top.number} into weaker layer ${layer.number} (Meyerhof and Hanna)`
+                    });
+                });
+
+            let averagingDepth = 0.5 * B * Math.tan(Math.PI / 4 + top.phi * Math.PI / 360);
+            if (averagingDepth > 0 && profile.layerAt(D + averagingDepth) !== profile.layerAt(D)) {
+                let average = profile.averageStrength(D, D + averagingDepth);
+                let averaged = undrained ?
+                    calculateBearingCapacity({...inputs, undrainedShearStrength: roundTo(average.undrainedShearStrength, 2)}, method) :
+                    calculateBearingCapacity({...inputs, cohesion: roundTo(average.cohesion, 2), phi: roundTo(average.phi, 1)}, method);
+                checks.push({
+                    key: "averaged",
+                    label: "averaged parameters",
+                    bearingCapacity: averaged.bearingCapacity,
+                    description: (undrained ? `su = ${averaged.cohesion} ${stress}` : `c = ${averaged.cohesion} ${stress} and phi = ${averaged.phi} degrees`) +
+                        ` averaged over ${roundTo(averagingDepth, 2)} ${length} below the footing (Bowles)`
+                });
+            }
+        }
+
+        let governing = checks.reduce((lowest, check) => check.bearingCapacity < lowest.bearingCapacity ? check : lowest);
+        let explanation = checks.length === 1 ?
+            `No weaker layer within ${TWO_LAYER_INFLUENCE_DEPTH}B of the footing base, so the bearing layer governs.` :
+            `The ${governing.label} check governs with an ultimate bearing capacity of ${governing.bearingCapacity} ${stress}` +
+            (governing.key === "bearingLayer" ? `. The weaker layers below do not reduce the capacity.` : `, lower than the ${result.bearingCapacity} ${stress} of the bearing layer alone.`);
+        return {
+            result: result,
+            checks: checks,
+            governing: governing,
+            bearingCapacity: governing.bearingCapacity,
+            allowableCapacity: roundTo(governing.bearingCapacity / result.FS, decimals),
+            explanation: explanation
+        };
+    }
+
+    return {
+        TWO_LAYER_INFLUENCE_DEPTH,
+        stripStrength,
+        layeredBearingCapacity
+    };
+}));
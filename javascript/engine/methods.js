@@ -0,0 +1,233 @@
+/*
+Bearing capacity theories other than Terzaghi's, and the registry of every available theory.
+Each theory extends BearingCapacity (bearing-capacity.js) and supplies its own factors and
+shape, depth and inclination factors. They all use BearingCapacity's general equation text.
+Factor equations follow Bowles, Foundation Analysis and Design, 5th ed., tables 4-1, 4-5a and 4-5b.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./bearing-capacity"), require("./validation")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {roundTo, BearingCapacity, meyerhofInclinationFactors, TerzaghiBearingCapacity, validateInputs, InputValidationError} = engine;
+
+    function prandtlReissnerFactors(phi) {
+        /*
+        Returns [Nc, Nq], shared by Meyerhof, Hansen and Vesić.
+        Nq = e^(pi tan(phi)) tan^2(45 + phi/2)
+        Nc = (Nq - 1) cot(phi), or pi + 2 when phi = 0
+        phi: [degrees]
+        */
+        if (phi === 0) return [Math.PI + 2, 1];
+        let radians = phi * Math.PI / 180;
+        let Nq = Math.exp(Math.PI * Math.tan(radians)) * Math.pow(Math.tan(Math.PI / 4 + radians / 2), 2);
+        return [(Nq - 1) / Math.tan(radians), Nq];
+    }
+
+    function hansenVesicDepthFactors(phi, k) {
+        /*
+        Hansen's depth factors, which Vesić also uses.
+        dc = 1 + 0.4k, dq = 1 + 2 tan(phi) (1 - sin(phi))^2 k, dg = 1
+        k: D/B, or arctan(D/B) when D/B > 1, from BearingCapacity.depthToWidth()
+        */
+        let radians = phi * Math.PI / 180;
+        return {
+            c: 1 + 0.4 * k,
+            q: 1 + 2 * Math.tan(radians) * Math.pow(1 - Math.sin(radians), 2) * k,
+            g: 1
+        };
+    }
+
+    class MeyerhofBearingCapacity extends BearingCapacity {
+        /*
+        Meyerhof's (1963) bearing capacity theory. See BearingCapacity for the inputs and calculated values.
+        Ng = (Nq - 1) tan(1.4 phi)
+        Kp = tan^2(45 + phi/2)
+        sc = 1 + 0.2 Kp B/L, sq = sg = 1 + 0.1 Kp B/L when phi > 10, otherwise 1
+        dc = 1 + 0.2 sqrt(Kp) D/B, dq = dg = 1 + 0.1 sqrt(Kp) D/B when phi > 10, otherwise 1
+        ic = iq = (1 - theta/90)^2, ig = (1 - theta/phi)^2
+        */
+        bearingCapacityFactors() {
+            let [Nc, Nq] = prandtlReissnerFactors(this.phi);
+            let Ng = (Nq - 1) * Math.tan(1.4 * this.phi * Math.PI / 180);
+            return {Nc: roundTo(Nc, 2), Nq: roundTo(Nq, 2), Ng: roundTo(Ng, 2), method: "meyerhof", description: "Meyerhof equations"};
+        }
+
+        modifyingFactors() {
+            let Kp = Math.pow(Math.tan((45 + this.phi / 2) * Math.PI / 180), 2);
+            let ratio = this.widthToLength();
+            let depthRatio = this.depth / this.width;
+            let frictional = this.phi > 10;
+            return {
+                shape: {
+                    c: 1 + 0.2 * Kp * ratio,
+                    q: frictional ? 1 + 0.1 * Kp * ratio : 1,
+                    g: frictional ? 1 + 0.1 * Kp * ratio : 1
+                },
+                depth: {
+                    c: 1 + 0.2 * Math.sqrt(Kp) * depthRatio,
+                    q: frictional ? 1 + 0.1 * Math.sqrt(Kp) * depthRatio : 1,
+                    g: frictional ? 1 + 0.1 * Math.sqrt(Kp) * depthRatio : 1
+                },
+                inclination: meyerhofInclinationFactors(this.loadInclination(), this.phi)
+            };
+        }
+    }
+
+    class HansenBearingCapacity extends BearingCapacity {
+        /*
+        Hansen's (1970) bearing capacity theory. See BearingCapacity for the inputs and calculated values.
+        Ng = 1.5 (Nq - 1) tan(phi)
+        sc = 1 + (Nq/Nc) B/L, sq = 1 + (B/L) sin(phi), sg = 1 - 0.4 B/L
+        depth factors from hansenVesicDepthFactors
+        iq = (1 - 0.5 H / (V + A c cot(phi)))^5, ig = (1 - 0.7 H / (V + A c cot(phi)))^5
+        ic = iq - (1 - iq) / (Nq - 1), or 0.5 + 0.5 sqrt(1 - H / (A c)) when phi = 0
+            (1 minus Hansen's additive ic' = 0.5 - 0.5 sqrt(1 - H / (A c)))
+        ground factors from groundInclinationFactors()
+        */
+        bearingCapacityFactors() {
+            let [Nc, Nq] = prandtlReissnerFactors(this.phi);
+            let Ng = 1.5 * (Nq - 1) * Math.tan(this.phi * Math.PI / 180);
+            return {Nc: roundTo(Nc, 2), Nq: roundTo(Nq, 2), Ng: roundTo(Ng, 2), method: "hansen", description: "Hansen equations"};
+        }
+
+        modifyingFactors() {
+            let ratio = this.widthToLength();
+            let radians = this.phi * Math.PI / 180;
+            return {
+                shape: {
+                    c: 1 + (this.Nq / this.Nc) * ratio,
+                    q: 1 + ratio * Math.sin(radians),
+                    g: 1 - 0.4 * ratio
+                },
+                depth: hansenVesicDepthFactors(this.phi, this.depthToWidth()),
+                inclination: this.inclinationFactors()
+            };
+        }
+
+        inclinationFactors() {
+            let H = this.horizontalLoad;
+            if (!H) return {c: 1, q: 1, g: 1};
+            let area = this.baseArea();
+            if (this.phi === 0) {
+                return {c: 0.5 + 0.5 * Math.sqrt(Math.max(0, 1 - H / (area * this.cohesion))), q: 1, g: 1};
+            }
+            let adhesion = area * this.cohesion / Math.tan(this.phi * Math.PI / 180);
+            let iq = Math.pow(Math.max(0, 1 - 0.5 * H / (this.verticalLoad + adhesion)), 5);
+            let ig = Math.pow(Math.max(0, 1 - 0.7 * H / (this.verticalLoad + adhesion)), 5);
+            return {c: Math.max(0, iq - (1 - iq) / (this.Nq - 1)), q: iq, g: ig};
+        }
+
+        groundInclinationFactors() {
+            /*
+            Hansen's ground factors: gc = 1 - beta/147 with beta in degrees, gq = gg = (1 - 0.5 tan(beta))^5
+            */
+            let gq = Math.pow(1 - 0.5 * Math.tan(this.slopeAngle * Math.PI / 180), 5);
+            return {c: 1 - this.slopeAngle / 147, q: gq, g: gq, description: "Hansen's ground factors"};
+        }
+    }
+
+    class VesicBearingCapacity extends BearingCapacity {
+        /*
+        Vesić's (1973, 1975) bearing capacity theory. See BearingCapacity for the inputs and calculated values.
+        Ng = 2 (Nq + 1) tan(phi)
+        sc = 1 + (Nq/Nc) B/L, sq = 1 + (B/L) tan(phi), sg = 1 - 0.4 B/L
+        depth factors from hansenVesicDepthFactors
+        m = (2 + B/L) / (1 + B/L)
+        iq = (1 - H / (V + A c cot(phi)))^m, ig = (1 - H / (V + A c cot(phi)))^(m+1)
+        ic = iq - (1 - iq) / (Nc tan(phi)), or 1 - m H / (A c Nc) when phi = 0
+        ground factors from BearingCapacity.groundInclinationFactors(), which are Vesić's
+        */
+        bearingCapacityFactors() {
+            let [Nc, Nq] = prandtlReissnerFactors(this.phi);
+            let Ng = 2 * (Nq + 1) * Math.tan(this.phi * Math.PI / 180);
+            return {Nc: roundTo(Nc, 2), Nq: roundTo(Nq, 2), Ng: roundTo(Ng, 2), method: "vesic", description: "Vesić equations"};
+        }
+
+        modifyingFactors() {
+            let ratio = this.widthToLength();
+            let radians = this.phi * Math.PI / 180;
+            return {
+                shape: {
+                    c: 1 + (this.Nq / this.Nc) * ratio,
+                    q: 1 + ratio * Math.tan(radians),
+                    g: 1 - 0.4 * ratio
+                },
+                depth: hansenVesicDepthFactors(this.phi, this.depthToWidth()),
+                inclination: this.inclinationFactors()
+            };
+        }
+
+        inclinationFactors() {
+            let H = this.horizontalLoad;
+            if (!H) return {c: 1, q: 1, g: 1};
+            let ratio = this.widthToLength();
+            let m = (2 + ratio) / (1 + ratio);
+            let area = this.baseArea();
+            if (this.phi === 0) {
+                return {c: Math.max(0, 1 - m * H / (area * this.cohesion * this.Nc)), q: 1, g: 1};
+            }
+            let radians = this.phi * Math.PI / 180;
+            let base = Math.max(0, 1 - H / (this.verticalLoad + area * this.cohesion / Math.tan(radians)));
+            let iq = Math.pow(base, m);
+            return {
+                c: Math.max(0, iq - (1 - iq) / (this.Nc * Math.tan(radians))),
+                q: iq,
+                g: Math.pow(base, m + 1)
+            };
+        }
+    }
+
+    //key=method key, value=[label, class]. Terzaghi is first and is the default method
+    const BEARING_CAPACITY_METHODS = {
+        terzaghi: ["Terzaghi", TerzaghiBearingCapacity],
+        meyerhof: ["Meyerhof", MeyerhofBearingCapacity],
+        hansen: ["Hansen", HansenBearingCapacity],
+        vesic: ["Vesić", VesicBearingCapacity]
+    };
+
+    function calculateBearingCapacity(inputs, method="terzaghi") {
+        /*
+        Checks inputs with validateInputs (validation.js), runs one theory on them and returns the instance,
+        with warnings = the engineering warnings of validateInputs.
+        Throws an InputValidationError listing every error if the inputs are invalid.
+        method: must be in Object.keys(BEARING_CAPACITY_METHODS). Bad input defaults to terzaghi
+        */
+        if (!(method in BEARING_CAPACITY_METHODS)) {
+            console.log('Error: bad bearing capacity method choice. Defaulting to terzaghi');
+            method = "terzaghi";
+        }
+        let validation = validateInputs(inputs);
+        if (!validation.valid) throw new InputValidationError(validation.errors);
+        let result = new BEARING_CAPACITY_METHODS[method][1](inputs);
+        result.warnings = validation.warnings;
+        return result;
+    }
+
+    function compareBearingCapacityMethods(inputs, methods=Object.keys(BEARING_CAPACITY_METHODS)) {
+        /*
+        Runs each of methods on the same inputs.
+        Returns a list of {method, label, result} in the order of BEARING_CAPACITY_METHODS,
+        where result is the theory's instance.
+        */
+        return Object.keys(BEARING_CAPACITY_METHODS)
+            .filter(method => methods.includes(method))
+            .map(method => ({
+                method: method,
+                label: BEARING_CAPACITY_METHODS[method][0],
+                result: calculateBearingCapacity(inputs, method)
+            }));
+    }
+
+    return {
+        prandtlReissnerFactors,
+        hansenVesicDepthFactors,
+        MeyerhofBearingCapacity,
+        HansenBearingCapacity,
+        VesicBearingCapacity,
+        BEARING_CAPACITY_METHODS,
+        calculateBearingCapacity,
+        compareBearingCapacityMethods
+    };
+}));
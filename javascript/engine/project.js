@@ -0,0 +1,156 @@
+/*
+Project workspace: one site's soil and groundwater, and the footings checked against them.
+A project is plain data, so it can be saved as a JSON file and read back:
+{name, units, site: {cohesion, phi, unitWeight, groundwaterDepth}, footings: [{name, shape, width, length, depth, FS, verticalLoad}]}
+Values are kept as they were typed, as strings. A blank groundwater depth means no groundwater.
+Each footing is checked with TerzaghiBearingCapacity on its own, so a bad footing is reported without stopping the rest.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./bearing-capacity"), require("./validation")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, convertValue, roundTo, loadQuantity, TerzaghiBearingCapacity, validateField, validateInputs} = engine;
+
+    //Version of the project file. Files from a later version are refused
+    const PROJECT_FILE_VERSION = 1;
+
+    //Inputs shared by every footing of a project. [input key, quantity], phi has no unit
+    const PROJECT_SITE_FIELDS = [["cohesion", "stress"], ["phi", undefined], ["unitWeight", "unitWeight"], ["groundwaterDepth", "length"]];
+
+    //Inputs of each footing besides its name and shape. [input key, quantity]
+    //The load is per unit length for continuous footings, so its quantity is a function of the shape
+    const PROJECT_FOOTING_FIELDS = [["width", "length"], ["length", "length"], ["depth", "length"], ["FS", undefined], ["verticalLoad", loadQuantity]];
+
+    function blankFooting(name="") {
+        return {name: name, shape: "square", width: "", length: "", depth: "", FS: "", verticalLoad: ""};
+    }
+
+    function blankProject(units="US") {
+        return {name: "", units: units, site: {cohesion: "", phi: "", unitWeight: "", groundwaterDepth: ""}, footings: [blankFooting("F1")]};
+    }
+
+    function checkProject(project) {
+        /*
+        Checks every footing of project against its site.
+        Returns {units, errors, footings}
+        errors = messages of the site inputs. While there are any, no footing is calculated
+        footings = one row per footing: {name, shape, width, length, depth, FS, verticalLoad, errors, warnings}
+            errors and warnings = messages of the footing's own inputs and of its engineering checks
+            A footing without errors also has bearingCapacity, allowableCapacity, appliedPressure = vertical load / base area,
+            utilisation = appliedPressure / allowableCapacity, and passes = true if the utilisation is at most 1
+        */
+        const units = project.units in UNIT_SYSTEMS ? project.units : "US";
+        const siteKeys = PROJECT_SITE_FIELDS.map(([key]) => key);
+        const site = {...project.site, units: units};
+        const siteErrors = siteKeys.map(key => validateField(key, site)).filter(error => error);
+
+        const footings = project.footings.map((footing, i) => {
+            let shape = footing.shape || "continuous";
+            let inputs = {...site, shape: shape};
+            PROJECT_FOOTING_FIELDS.forEach(([key]) => inputs[key] = footing[key]);
+            let {errors, warnings, values} = validateInputs(inputs, {required: ["length", "verticalLoad"]});
+            let row = {
+                name: footing.name || `F${i + 1}`,
+                shape: shape,
+                width: footing.width,
+                length: shape === "rectangular" ? footing.length : "",
+                depth: footing.depth,
+                FS: footing.FS,
+                verticalLoad: footing.verticalLoad,
+                errors: errors.filter(error => !siteKeys.includes(error.field)).map(error => error.message),
+                warnings: warnings.map(warning => warning.message)
+            };
+            if (errors.length) return row;
+            let result = new TerzaghiBearingCapacity({...values, shape: shape, units: units});
+            //an unloaded footing has no applied pressure, and a footing with no capacity fails under any load
+            let appliedPressure = result.appliedPressure || 0;
+            let utilisation = result.allowableCapacity > 0 ? roundTo(appliedPressure / result.allowableCapacity, 3) : Infinity;
+            return {
+                ...row,
+                bearingCapacity: result.bearingCapacity,
+                allowableCapacity: result.allowableCapacity,
+                appliedPressure: appliedPressure,
+                utilisation: utilisation,
+                passes: utilisation <= 1
+            };
+        });
+        return {units: units, errors: siteErrors.map(error => error.message), footings: footings};
+    }
+
+    function convertProject(project, toUnits) {
+        /*
+        Returns a copy of project with every numeric value converted into toUnits.
+        Values that are not plain numbers, such as blanks, are left as they are.
+        */
+        const fromUnits = project.units in UNIT_SYSTEMS ? project.units : "US";
+        if (fromUnits === toUnits) return project;
+        const convert = (value, quantity) => {
+            if (!quantity || !/^\s*[-+]?(?:[0-9]+[.]?[0-9]*|[.][0-9]+)(?:e[-+]?[0-9]+)?\s*$/i.test(value)) return value;
+            return String(Number(convertValue(parseFloat(value), quantity, fromUnits, toUnits).toPrecision(6)));
+        };
+        let site = {...project.site};
+        PROJECT_SITE_FIELDS.forEach(([key, quantity]) => site[key] = convert(project.site[key], quantity));
+        let footings = project.footings.map(footing => {
+            let converted = {...footing};
+            PROJECT_FOOTING_FIELDS.forEach(([key, quantity]) => {
+                converted[key] = convert(footing[key], typeof quantity === "function" ? quantity(footing.shape || "continuous") : quantity);
+            });
+            return converted;
+        });
+        return {...project, units: toUnits, site: site, footings: footings};
+    }
+
+    function parseProject(text) {
+        /*
+        Reads a project from the text of a project file, as written by projectToJson.
+        Numbers may be given as numbers or strings. Missing values are blank, a missing unit system is US,
+        and footings without a name are numbered.
+        Returns the project with every value as a string. Throws an Error if the text isn't a project.
+        */
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error("the file is not JSON");
+        }
+        if (!data || typeof data !== "object" || !Array.isArray(data.footings)) throw new Error("a project should be an object with a list of footings");
+        if (data.version > PROJECT_FILE_VERSION) throw new Error(`the file is from a later version (${data.version}) of the project format`);
+        if (data.units !== undefined && !(data.units in UNIT_SYSTEMS)) throw new Error(`unknown unit system ${data.units}`);
+
+        const asText = value => value === undefined || value === null ? "" : String(value);
+        const site = data.site && typeof data.site === "object" ? data.site : {};
+        let project = blankProject(data.units || "US");
+        project.name = asText(data.name);
+        PROJECT_SITE_FIELDS.forEach(([key]) => project.site[key] = asText(site[key]));
+        project.footings = data.footings.map((footing, i) => {
+            if (!footing || typeof footing !== "object") throw new Error(`footing ${i + 1} should be an object`);
+            let parsed = blankFooting(asText(footing.name) || `F${i + 1}`);
+            parsed.shape = asText(footing.shape) || parsed.shape;
+            PROJECT_FOOTING_FIELDS.forEach(([key]) => parsed[key] = asText(footing[key]));
+            return parsed;
+        });
+        return project;
+    }
+
+    function projectToJson(project) {
+        /*
+        Returns the text of a project file.
+        */
+        let {name, units, site, footings} = project;
+        return JSON.stringify({version: PROJECT_FILE_VERSION, name: name, units: units, site: site, footings: footings}, null, 2) + "\n";
+    }
+
+    return {
+        PROJECT_FILE_VERSION,
+        PROJECT_SITE_FIELDS,
+        PROJECT_FOOTING_FIELDS,
+        blankFooting,
+        blankProject,
+        checkProject,
+        convertProject,
+        parseProject,
+        projectToJson
+    };
+}));
@@ -0,0 +1,265 @@
+/*
+Probabilistic reliability analysis.
+reliabilityAnalysis gives the soil inputs distributions instead of single values, runs a bearing capacity theory
+on thousands of samples drawn with a seeded random number generator, and reports the distribution of q_ult,
+the probability that q_ult falls below the applied pressure, and the reliability index β.
+The same seed always draws the same samples, so an analysis can be reproduced.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./factors"), require("./validation"), require("./methods"), require("./layered")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity, roundTo, MAX_PHI, validateValue, InputValidationError, BEARING_CAPACITY_METHODS, layeredBearingCapacity} = engine;
+
+    //key=input key, value=[label, quantity, smallest value]. Soil inputs that can be given a distribution.
+    //Normal samples below the smallest value, or above MAX_PHI for phi, are clipped to it.
+    //Inputs that must be positive have a smallest value just above 0
+    const RELIABILITY_PARAMETERS = {
+        cohesion: ["cohesion", "stress", 0],
+        phi: ["phi", undefined, 0],
+        unitWeight: ["unit weight", "unitWeight", 1e-6],
+        undrainedShearStrength: ["undrained shear strength", "stress", 1e-6] //used by the undrained analysis case
+    };
+    //key=distribution, value=label
+    const DISTRIBUTIONS = {
+        normal: "normal",
+        lognormal: "lognormal"
+    };
+    const DEFAULT_SAMPLES = 5000;
+    const MAX_SAMPLES = 100000; //keeps a careless sample count from locking up the page
+    const DEFAULT_SEED = 1;
+    const HISTOGRAM_BINS = 20;
+
+    function seededRandom(seed) {
+        /*
+        Returns a function that gives uniform random numbers in [0, 1), from the Mulberry32 generator.
+        The same seed always gives the same sequence.
+        */
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function standardNormal(random) {
+        /*
+        Returns a standard normal random number from two uniform numbers of random, by the Box-Muller transform.
+        */
+        let u1 = 1 - random(); //(0, 1], so the log is finite
+        let u2 = random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    function sampleValue(variable, z) {
+        /*
+        Returns the value of variable at the standard normal number z.
+        variable: {distribution, mean, cov}, with mean parsed and cov the coefficient of variation (standard deviation / mean)
+        A lognormal variable has the same mean and COV as the normal one: ln(x) has
+        standard deviation sqrt(ln(1 + COV²)) and mean ln(mean) - variance / 2.
+        */
+        if (variable.distribution === "lognormal") {
+            let sigma = Math.sqrt(Math.log(1 + variable.cov * variable.cov));
+            return Math.exp(Math.log(variable.mean) - sigma * sigma / 2 + sigma * z);
+        }
+        return variable.mean * (1 + variable.cov * z);
+    }
+
+    function percentile(sorted, fraction) {
+        /*
+        Returns the value at fraction (0 to 1) of a sorted list, interpolated between neighbours.
+        */
+        let position = fraction * (sorted.length - 1);
+        let below = Math.floor(position);
+        let above = Math.min(below + 1, sorted.length - 1);
+        return sorted[below] + (position - below) * (sorted[above] - sorted[below]);
+    }
+
+    function histogram(values, bins=HISTOGRAM_BINS) {
+        /*
+        Returns a histogram of values as a list of {from, to, count}, with bins of equal width from the smallest to the largest value.
+        Values on a bin edge go in the bin above it, except the largest value, which goes in the last bin.
+        */
+        //reduce rather than Math.min(...values), which overflows the stack for long lists
+        let min = values.reduce((a, b) => Math.min(a, b), Infinity);
+        let max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+        if (min === max) return [{from: min, to: max, count: values.length}];
+        let width = (max - min) / bins;
+        let counts = new Array(bins).fill(0);
+        values.forEach(value => counts[Math.min(bins - 1, Math.floor((value - min) / width))]++);
+        return counts.map((count, i) => ({from: min + i * width, to: min + (i + 1) * width, count: count}));
+    }
+
+    function validateVariables(variables, units, layered=false) {
+        /*
+        Checks the distributions given to reliabilityAnalysis.
+        layered: true if the inputs have a layered profile, whose layers set the unit weight
+        Returns a list of {field, type, message}, empty if they are valid. field is the input key.
+        */
+        let errors = [];
+        Object.keys(variables).forEach(parameter => {
+            if (!(parameter in RELIABILITY_PARAMETERS)) {
+                errors.push({field: parameter, type: "invalidChoice", message: `${parameter} should be one of ${Object.keys(RELIABILITY_PARAMETERS).join(", ")}`});
+                return;
+            }
+            if (parameter === "unitWeight" && layered) {
+                errors.push({field: parameter, type: "invalidChoice", message: "unit weight can't be given a distribution with a layered profile, whose layers set the unit weight"});
+                return;
+            }
+            const [label, quantity] = RELIABILITY_PARAMETERS[parameter];
+            const variable = variables[parameter];
+            const lognormal = variable.distribution === "lognormal";
+            let rules = [
+                [variable.distribution, {label: `${label} distribution`, required: true, choices: Object.keys(DISTRIBUTIONS)}],
+                //ln(mean) needs a positive mean
+                [variable.mean, {label: `${label} mean`, quantity: quantity, required: true, min: 0, positive: lognormal}],
+                [variable.cov, {label: `${label} COV`, required: true, min: 0}]
+            ];
+            rules.forEach(([value, rule]) => {
+                let error = validateValue(value, rule, units);
+                if (error) errors.push({field: parameter, ...error});
+            });
+        });
+        return errors;
+    }
+
+    function reliabilityAnalysis(inputs, variables, options={}, method="terzaghi") {
+        /*
+        Runs method on samples of the soil inputs drawn from their distributions.
+
+        INPUT VALUES
+        inputs: BearingCapacity inputs of the base case. Inputs given a distribution are replaced by their mean in the base case,
+            and by each sample in the runs
+        variables: key=input key in RELIABILITY_PARAMETERS, value={distribution, mean, cov}
+            distribution: key in DISTRIBUTIONS
+            mean: mean value, in the units of inputs.units. Must be above 0 for a lognormal distribution
+            cov: coefficient of variation, standard deviation / mean, e.g. 0.1
+            The variables are independent. Normal samples outside the physical range are clipped, see RELIABILITY_PARAMETERS.
+            With a layered profile, cohesion and phi replace the bearing layer's, and unitWeight can't be given a distribution
+        options: samples = number of samples, defaults to DEFAULT_SAMPLES, at most MAX_SAMPLES
+            seed = integer seed of the random number generator, defaults to DEFAULT_SEED
+            appliedPressure = bearing pressure q_ult is compared with [psf] [kPa].
+                Defaults to the applied pressure of inputs.verticalLoad
+            bins = number of histogram bins, defaults to HISTOGRAM_BINS
+        method: must be in Object.keys(BEARING_CAPACITY_METHODS)
+
+        Each sample's q_ult includes the layered profile checks from layeredBearingCapacity.
+        A sample whose inputs are invalid, such as phi drawn below the slope angle, has no q_ult.
+        It is left out of the statistics of q_ult and counted as a failure, since the soil can't carry the footing.
+
+        Throws an InputValidationError if the base case or the variables are invalid.
+
+        Returns {method, samples, seed, appliedPressure, baseCapacity, mean, standardDeviation, cov, min, max, percentiles,
+            probabilityOfFailure, failures, reliabilityIndex, histogram, invalidSamples, invalidMessages}
+        baseCapacity = q_ult with every variable at its mean [psf] [kPa]
+        mean, standardDeviation, min, max = statistics of q_ult of the valid samples [psf] [kPa], undefined if there are none
+        percentiles = {p5, p50, p95} of q_ult
+        probabilityOfFailure = fraction of samples with q_ult below appliedPressure or with invalid inputs, failures = their number
+        reliabilityIndex = β = (mean - appliedPressure) / standardDeviation, Cornell's index of the safety margin q_ult - q
+            probabilityOfFailure, failures and reliabilityIndex are undefined without an applied pressure
+        histogram = list of {from, to, count} of the valid samples
+        invalidSamples = number of samples with invalid inputs, invalidMessages = the message of the first such sample for each input it breaks
+        */
+        const units = inputs.units in UNIT_SYSTEMS ? inputs.units : "US";
+        const decimals = UNIT_SYSTEMS[units].decimals;
+        if (!(method in BEARING_CAPACITY_METHODS)) method = "terzaghi";
+        let errors = validateVariables(variables, units, Array.isArray(inputs.layers) && inputs.layers.length > 0);
+        [["samples", {label: "samples", positive: true}], ["seed", {label: "seed", min: 0}],
+            ["appliedPressure", {label: "applied pressure", quantity: "stress", positive: true}]].forEach(([key, rule]) => {
+            let error = validateValue(options[key], rule, units);
+            if (error) errors.push({field: key, ...error});
+        });
+        if (errors.length) throw new InputValidationError(errors);
+
+        const samples = Math.max(1, Math.min(MAX_SAMPLES, Math.round(parseQuantity(options.samples) || DEFAULT_SAMPLES)));
+        const seed = options.seed === undefined || options.seed === "" ? DEFAULT_SEED : Math.round(parseQuantity(options.seed));
+        let appliedPressure = parseQuantity(options.appliedPressure, "stress", units);
+        //parameters are drawn in the order of RELIABILITY_PARAMETERS, so a seed always draws the same values
+        const parameters = Object.keys(RELIABILITY_PARAMETERS).filter(parameter => parameter in variables);
+        const parsed = {};
+        parameters.forEach(parameter => parsed[parameter] = {
+            distribution: variables[parameter].distribution,
+            mean: parseQuantity(variables[parameter].mean, RELIABILITY_PARAMETERS[parameter][1], units),
+            cov: parseQuantity(variables[parameter].cov)
+        });
+
+        //the base case is at the means, so the soil inputs given a distribution may be left blank
+        const means = {};
+        parameters.forEach(parameter => means[parameter] = parsed[parameter].mean);
+        const base = layeredBearingCapacity({...inputs, ...means}, method);
+        if (appliedPressure === undefined) appliedPressure = base.result.appliedPressure;
+
+        const random = seededRandom(seed);
+        let values = [];
+        let invalidMessages = new Map(); //key=input key the sample breaks, value=message of the first such sample
+        let invalidSamples = 0;
+        for (let i = 0; i < samples; i++) {
+            let sample = {...inputs};
+            parameters.forEach(parameter => {
+                let value = Math.max(RELIABILITY_PARAMETERS[parameter][2], sampleValue(parsed[parameter], standardNormal(random)));
+                sample[parameter] = parameter === "phi" ? Math.min(value, MAX_PHI) : value;
+            });
+            //the clipping keeps each variable in its own range, but a sample can still break a check between inputs
+            try {
+                values.push(layeredBearingCapacity(sample, method).bearingCapacity);
+            } catch (error) {
+                if (!(error instanceof InputValidationError)) throw error;
+                invalidSamples++;
+                error.errors.forEach(inputError => {
+                    if (!invalidMessages.has(inputError.field)) invalidMessages.set(inputError.field, inputError.message);
+                });
+            }
+        }
+
+        const count = values.length;
+        const statistic = value => count ? roundTo(value, decimals) : undefined;
+        const mean = values.reduce((sum, value) => sum + value, 0) / count;
+        const variance = count > 1 ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (count - 1) : 0;
+        const standardDeviation = Math.sqrt(variance);
+        const sorted = [...values].sort((a, b) => a - b);
+        const failures = appliedPressure === undefined ? undefined : values.filter(value => value < appliedPressure).length + invalidSamples;
+        return {
+            method: method,
+            samples: samples,
+            seed: seed,
+            appliedPressure: appliedPressure,
+            baseCapacity: base.bearingCapacity,
+            mean: statistic(mean),
+            standardDeviation: statistic(standardDeviation),
+            cov: count && mean ? roundTo(standardDeviation / mean, 3) : undefined,
+            min: statistic(sorted[0]),
+            max: statistic(sorted[count - 1]),
+            percentiles: {
+                p5: statistic(percentile(sorted, 0.05)),
+                p50: statistic(percentile(sorted, 0.5)),
+                p95: statistic(percentile(sorted, 0.95))
+            },
+            probabilityOfFailure: failures === undefined ? undefined : failures / samples,
+            failures: failures,
+            reliabilityIndex: appliedPressure === undefined || !standardDeviation ? undefined : roundTo((mean - appliedPressure) / standardDeviation, 2),
+            histogram: count ? histogram(values, parseQuantity(options.bins) || HISTOGRAM_BINS) : [],
+            invalidSamples: invalidSamples,
+            invalidMessages: [...invalidMessages.values()]
+        };
+    }
+
+    return {
+        RELIABILITY_PARAMETERS,
+        DISTRIBUTIONS,
+        DEFAULT_SAMPLES,
+        MAX_SAMPLES,
+        DEFAULT_SEED,
+        HISTOGRAM_BINS,
+        seededRandom,
+        standardNormal,
+        sampleValue,
+        percentile,
+        histogram,
+        reliabilityAnalysis
+    };
+}));
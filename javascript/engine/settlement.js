@@ -0,0 +1,295 @@
+/*
+Settlement estimate.
+settlementAnalysis estimates the immediate (elastic) settlement of a footing and the primary consolidation settlement
+of clay below it, using the same footing geometry and groundwater inputs as the bearing capacity. It finds the bearing
+pressure that limits the settlement to an allowable value, and reports whether settlement or bearing capacity governs.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./soil-profile"), require("./validation"), require("./layered")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity, roundTo, SoilProfile, InputValidationError, layeredBearingCapacity} = engine;
+
+    //key=stress distribution, value=label
+    const STRESS_DISTRIBUTIONS = {
+        twoToOne: "2:1 method",
+        boussinesq: "Boussinesq"
+    };
+    //key=unit system, value=default allowable settlement [in] [mm]
+    const DEFAULT_ALLOWABLE_SETTLEMENT = {US: 1, SI: 25};
+    //key=unit system, value=number of decimals settlements are rounded to
+    const SETTLEMENT_DECIMALS = {US: 2, SI: 1};
+    const DEFAULT_POISSON_RATIO = 0.3;
+    const RECOMPRESSION_RATIO = 0.15; //Cr/Cc when Cr is not given. Typically 1/10 to 1/5
+    const CONTINUOUS_LENGTH_RATIO = 100; //L/B of the elastic influence factor of continuous footings, as in the published tables
+    const SUBLAYERS = 20; //number of sublayers the influence depth is divided into for consolidation
+    const MAX_PRESSURE_ITERATIONS = 100;
+
+    function influenceDepth(shape, width, length) {
+        /*
+        Returns the depth below the footing base that settles [ft] [m]:
+        2B for square and circular footings, 4B for continuous footings, interpolated on L/B from 1 to 10 for rectangular ones.
+        */
+        if (shape === "continuous") return 4 * width;
+        if (shape === "rectangular") return 2 * width * (1 + Math.min(1, (length / width - 1) / 9));
+        return 2 * width;
+    }
+
+    function stressIncrease(netPressure, z, width, length, shape, distribution="twoToOne") {
+        /*
+        Returns the increase in vertical stress at depth z below the centre of a footing [psf] [kPa].
+        netPressure: net bearing pressure on the base [psf] [kPa]
+        z: depth below the footing base [ft] [m]
+        width, length: B and L of the footing. length is not used by continuous and circular footings
+        distribution: key in STRESS_DISTRIBUTIONS
+            twoToOne spreads the load at 2 vertical to 1 horizontal
+            boussinesq integrates Boussinesq's point load solution over the base, using Newmark's solution for rectangles
+        */
+        if (z <= 0) return netPressure;
+        if (distribution === "boussinesq") {
+            switch (shape) {
+                case "circular":
+                    return netPressure * (1 - Math.pow(1 / (1 + Math.pow(width / 2 / z, 2)), 1.5));
+                case "continuous": {
+                    let angle = 2 * Math.atan(width / 2 / z);
+                    return netPressure * (angle + Math.sin(angle)) / Math.PI;
+                }
+                default: {
+                    //four corners of B/2 x L/2 rectangles meet at the centre
+                    let m = width / 2 / z;
+                    let n = length / 2 / z;
+                    let V = m * m + n * n + 1;
+                    let V1 = m * m * n * n;
+                    let corner = (2 * m * n * Math.sqrt(V) / (V + V1) * (V + 1) / V + Math.atan2(2 * m * n * Math.sqrt(V), V - V1)) / (4 * Math.PI);
+                    return 4 * netPressure * corner;
+                }
+            }
+        }
+        switch (shape) {
+            case "circular":
+                return netPressure * width * width / Math.pow(width + z, 2);
+            case "continuous":
+                return netPressure * width / (width + z);
+            default:
+                return netPressure * width * length / ((width + z) * (length + z));
+        }
+    }
+
+    function elasticInfluenceFactor(shape, lengthRatio) {
+        /*
+        Returns the influence factor Iw of the immediate settlement of the centre of a flexible footing on an elastic half space,
+        Se = q B (1 - ν²) Iw / Es. Iw is 1 for circular footings, 1.12 for square footings and 2.54 at L/B = 10.
+        lengthRatio: L/B of rectangular footings
+        */
+        if (shape === "circular") return 1;
+        let m = shape === "continuous" ? CONTINUOUS_LENGTH_RATIO : (shape === "rectangular" ? lengthRatio : 1);
+        let root = Math.sqrt(1 + m * m);
+        //corner factor of a B/2 x L/2 rectangle, times 4 corners, times 1/2 for the half width
+        return 2 * (Math.log(m + root) + m * Math.log((1 + root) / m)) / Math.PI;
+    }
+
+    function clayLayers(inputs, result) {
+        /*
+        Returns the clay within the influence depth below the footing base as a list of
+        {number, top, bottom, compressionIndex, recompressionIndex, voidRatio, preconsolidationStress}.
+        Layers of a layered profile with a compressionIndex are clay. A homogeneous soil is clay if inputs.compressionIndex is given.
+        */
+        const units = result.units;
+        const top = result.depth;
+        const bottom = result.depth + influenceDepth(result.effectiveShape, result.effectiveWidth, result.effectiveLength);
+        if (!result.profile) {
+            let compressionIndex = parseQuantity(inputs.compressionIndex);
+            if (compressionIndex === undefined) return [];
+            return [{
+                number: undefined,
+                top: top,
+                bottom: bottom,
+                compressionIndex: compressionIndex,
+                recompressionIndex: parseQuantity(inputs.recompressionIndex),
+                voidRatio: parseQuantity(inputs.voidRatio),
+                preconsolidationStress: parseQuantity(inputs.preconsolidationStress, "stress", units)
+            }];
+        }
+        return result.profile.layers
+            .filter(layer => layer.compressionIndex !== undefined && layer.bottom > top && layer.top < bottom)
+            .map(layer => ({...layer, top: Math.max(layer.top, top), bottom: Math.min(layer.bottom, bottom)}));
+    }
+
+    function settlementAt(inputs, result, pressure) {
+        /*
+        Returns the settlement of a footing under a bearing pressure.
+        inputs: BearingCapacity inputs with the settlement inputs of settlementAnalysis
+        result: the method's BearingCapacity instance for inputs, for the footing geometry and the stresses at its base
+        pressure: gross bearing pressure on the base [psf] [kPa]
+
+        The net pressure, pressure - the total stress at the base, causes the settlement.
+        Eccentric footings use their effective dimensions B' and L'.
+        elastic = q B (1 - ν²) Iw / Es, with Iw from elasticInfluenceFactor. 0 without an elasticModulus
+        consolidation = sum over sublayers of the clay of H / (1 + e0) (Cr log(σ'p/σ'0) + Cc log(σ'f/σ'p)),
+            where σ'0 is the effective stress at the middle of the sublayer and σ'f = σ'0 + the stress increase.
+            A sublayer is normally consolidated when σ'p is not given or is below σ'0,
+            and stays on the recompression line when σ'f is below σ'p
+
+        Returns {netPressure, elastic, consolidation, total, sublayers}, settlements unrounded [in] [mm]
+        sublayers = list of {layer, top, bottom, initialStress, stressIncrease, preconsolidationStress, settlement}
+        */
+        const units = result.units;
+        const toSettlement = UNIT_SYSTEMS[units].settlementPerLength;
+        const distribution = inputs.stressDistribution in STRESS_DISTRIBUTIONS ? inputs.stressDistribution : "twoToOne";
+        const width = result.effectiveWidth;
+        const length = result.effectiveLength;
+        const netPressure = Math.max(0, pressure - result.totalStress);
+
+        let elastic = 0;
+        let elasticModulus = parseQuantity(inputs.elasticModulus, "stress", units);
+        if (elasticModulus) {
+            let poissonRatio = parseQuantity(inputs.poissonRatio);
+            if (poissonRatio === undefined) poissonRatio = DEFAULT_POISSON_RATIO;
+            let influence = elasticInfluenceFactor(result.effectiveShape, length / width);
+            elastic = netPressure * width * (1 - poissonRatio * poissonRatio) * influence / elasticModulus * toSettlement;
+        }
+
+        //a homogeneous soil has the stresses of a single layer profile with the same groundwater
+        let profile = result.profile || new SoilProfile([{unitWeight: result.unitWeight}],
+            result.groundwaterDepth === undefined ? Infinity : result.groundwaterDepth, units);
+        let thickness = influenceDepth(result.effectiveShape, width, length) / SUBLAYERS;
+        let sublayers = [];
+        clayLayers(inputs, result).forEach(clay => {
+            let count = Math.max(1, Math.ceil((clay.bottom - clay.top) / thickness - 1e-9));
+            let height = (clay.bottom - clay.top) / count;
+            let recompressionIndex = clay.recompressionIndex === undefined ? RECOMPRESSION_RATIO * clay.compressionIndex : clay.recompressionIndex;
+            for (let i = 0; i < count; i++) {
+                let top = clay.top + i * height;
+                let middle = top + height / 2;
+                let initialStress = profile.effectiveStressAt(middle);
+                let increase = stressIncrease(netPressure, middle - result.depth, width, length, result.effectiveShape, distribution);
+                let preconsolidationStress = Math.max(clay.preconsolidationStress === undefined ? 0 : clay.preconsolidationStress, initialStress);
+                let finalStress = initialStress + increase;
+                let strain = finalStress <= preconsolidationStress ?
+                    recompressionIndex * Math.log10(finalStress / initialStress) :
+                    recompressionIndex * Math.log10(preconsolidationStress / initialStress) + clay.compressionIndex * Math.log10(finalStress / preconsolidationStress);
+                sublayers.push({
+                    layer: clay.number,
+                    top: top,
+                    bottom: top + height,
+                    initialStress: initialStress,
+                    stressIncrease: increase,
+                    preconsolidationStress: preconsolidationStress,
+                    settlement: height * strain / (1 + clay.voidRatio) * toSettlement
+                });
+            }
+        });
+        let consolidation = sublayers.reduce((sum, sublayer) => sum + sublayer.settlement, 0);
+        return {
+            netPressure: netPressure,
+            elastic: elastic,
+            consolidation: consolidation,
+            total: elastic + consolidation,
+            sublayers: sublayers
+        };
+    }
+
+    function pressureForSettlement(inputs, result, settlement) {
+        /*
+        Returns the gross bearing pressure at which the footing settles by settlement [in] [mm], found by bisection.
+        Settlement grows with the pressure, and is 0 at the total stress at the base.
+        */
+        const total = pressure => settlementAt(inputs, result, pressure).total;
+        let lower = result.totalStress;
+        let upper = Math.max(2 * lower, result.bearingCapacity, 1);
+        for (let i = 0; i < MAX_PRESSURE_ITERATIONS && total(upper) < settlement; i++) upper *= 2;
+        for (let i = 0; i < MAX_PRESSURE_ITERATIONS && upper - lower > 1e-6 * upper; i++) {
+            let middle = (lower + upper) / 2;
+            if (total(middle) < settlement) lower = middle;
+            else upper = middle;
+        }
+        return lower;
+    }
+
+    function settlementAnalysis(inputs, method="terzaghi") {
+        /*
+        Estimates the settlement of a footing and the bearing pressure that limits it to an allowable settlement.
+
+        INPUT VALUES
+        inputs: BearingCapacity inputs, with these settlement inputs
+            elasticModulus: Young's modulus Es of the soil below the footing [psf] [kPa], for the immediate settlement
+            poissonRatio: Poisson's ratio ν, 0 to 0.5. Defaults to DEFAULT_POISSON_RATIO
+            compressionIndex, recompressionIndex, voidRatio, preconsolidationStress: Cc, Cr, e0 and σ'p [psf] [kPa]
+                of a homogeneous clay, for the consolidation settlement. A layered profile gives them for each clay layer instead.
+                Cr defaults to RECOMPRESSION_RATIO Cc, and the clay is normally consolidated without σ'p
+            stressDistribution: key in STRESS_DISTRIBUTIONS, defaults to twoToOne
+            allowableSettlement: [in] [mm], defaults to DEFAULT_ALLOWABLE_SETTLEMENT
+            At least one of elasticModulus and clay is needed.
+        method: must be in Object.keys(BEARING_CAPACITY_METHODS)
+
+        Throws an InputValidationError if the inputs are invalid or give nothing to settle.
+
+        Returns {result, analysis, distribution, allowableSettlement, influenceDepth, settlementPressure, bearingPressure,
+            allowablePressure, governing, explanation, settlement, appliedSettlement}
+        result, analysis = the method's instance and layeredBearingCapacity for inputs
+        settlementPressure = gross bearing pressure that settles by allowableSettlement [psf] [kPa]
+        bearingPressure = allowable bearing capacity from FS, including the layered profile checks
+        allowablePressure = the lower of the two, governing = "settlement" or "bearingCapacity"
+        settlement = {elastic, consolidation, total} at allowablePressure, rounded to SETTLEMENT_DECIMALS [in] [mm]
+        appliedSettlement = the same at the applied pressure of a vertical load, undefined without one
+        */
+        const analysis = layeredBearingCapacity(inputs, method);
+        const result = analysis.result;
+        const units = result.units;
+        const unitSystem = result.unitSystem;
+        const decimals = unitSystem.decimals;
+
+        if (!parseQuantity(inputs.elasticModulus, "stress", units) && clayLayers(inputs, result).length === 0) {
+            throw new InputValidationError([{field: "elasticModulus", type: "missing",
+                message: "elastic modulus is missing. Settlement needs an elastic modulus, or a compression index for clay within the influence depth"}]);
+        }
+        let allowableSettlement = parseQuantity(inputs.allowableSettlement, "settlement", units);
+        if (allowableSettlement === undefined) allowableSettlement = DEFAULT_ALLOWABLE_SETTLEMENT[units];
+        const distribution = inputs.stressDistribution in STRESS_DISTRIBUTIONS ? inputs.stressDistribution : "twoToOne";
+        const rounded = settlement => ({
+            elastic: roundTo(settlement.elastic, SETTLEMENT_DECIMALS[units]),
+            consolidation: roundTo(settlement.consolidation, SETTLEMENT_DECIMALS[units]),
+            total: roundTo(settlement.total, SETTLEMENT_DECIMALS[units])
+        });
+
+        const settlementPressure = roundTo(pressureForSettlement(inputs, result, allowableSettlement), decimals);
+        const bearingPressure = analysis.allowableCapacity;
+        const governing = settlementPressure < bearingPressure ? "settlement" : "bearingCapacity";
+        const allowablePressure = Math.min(settlementPressure, bearingPressure);
+        const settlement = rounded(settlementAt(inputs, result, allowablePressure));
+        const explanation = governing === "settlement" ?
+            `Settlement governs: ${roundTo(allowableSettlement, SETTLEMENT_DECIMALS[units])} ${unitSystem.settlement} of settlement is reached at ${settlementPressure} ${unitSystem.stress}, below the allowable bearing capacity of ${bearingPressure} ${unitSystem.stress}` :
+            `Bearing capacity governs: the allowable bearing capacity of ${bearingPressure} ${unitSystem.stress} settles ${settlement.total} ${unitSystem.settlement}, within the allowable settlement of ${roundTo(allowableSettlement, SETTLEMENT_DECIMALS[units])} ${unitSystem.settlement}`;
+
+        return {
+            result: result,
+            analysis: analysis,
+            distribution: distribution,
+            allowableSettlement: allowableSettlement,
+            influenceDepth: influenceDepth(result.effectiveShape, result.effectiveWidth, result.effectiveLength),
+            settlementPressure: settlementPressure,
+            bearingPressure: bearingPressure,
+            allowablePressure: allowablePressure,
+            governing: governing,
+            explanation: explanation,
+            settlement: settlement,
+            appliedSettlement: result.appliedPressure === undefined ? undefined : rounded(settlementAt(inputs, result, result.appliedPressure))
+        };
+    }
+
+    return {
+        STRESS_DISTRIBUTIONS,
+        DEFAULT_ALLOWABLE_SETTLEMENT,
+        SETTLEMENT_DECIMALS,
+        DEFAULT_POISSON_RATIO,
+        RECOMPRESSION_RATIO,
+        influenceDepth,
+        stressIncrease,
+        elasticInfluenceFactor,
+        settlementAt,
+        pressureForSettlement,
+        settlementAnalysis
+    };
+}));
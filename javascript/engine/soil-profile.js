@@ -0,0 +1,124 @@
+/*
+Layered soil profiles.
+SoilProfile integrates stresses through a list of layers so BearingCapacity can use a real boring log
+instead of a single homogeneous soil. The checks against weaker layers are in layered.js.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity} = engine;
+
+    class SoilProfile {
+        /*
+        INPUT VALUES
+        layers: list of layers from the ground surface down, each {thickness, cohesion, phi, unitWeight, saturatedUnitWeight}
+            thickness: positive number [ft] [m]. The last layer extends indefinitely, so its thickness is ignored
+            cohesion: non-negative number [psf] [kPa]
+            phi: number from 0 to 50 [degrees]
+            unitWeight: moist unit weight above groundwater [pcf] [kN/m³]
+            saturatedUnitWeight: unit weight below groundwater [pcf] [kN/m³]. Defaults to unitWeight
+            undrainedShearStrength: optional su of the layer [psf] [kPa], used by the undrained analysis case
+            compressionIndex, recompressionIndex, voidRatio, preconsolidationStress: optional consolidation properties
+                of a clay layer, used by the settlement estimate (settlement.js). A layer with a compressionIndex is clay
+            Values may be numbers or strings, parsed like the BearingCapacity inputs.
+        groundwaterDepth: depth to groundwater [ft] [m]
+        units: unit system, must be in ["US", "SI"]
+
+        CALCULATED VALUES
+        layers = parsed layers, each with top and bottom depths added. The last layer's bottom is Infinity
+        */
+        constructor(layers, groundwaterDepth, units="US") {
+            this.units = units;
+            this.unitWeightWater = UNIT_SYSTEMS[units].unitWeightWater;
+            this.groundwaterDepth = groundwaterDepth;
+
+            let top = 0;
+            this.layers = layers.map((layer, i) => {
+                let unitWeight = parseQuantity(layer.unitWeight, "unitWeight", units);
+                let saturatedUnitWeight = parseQuantity(layer.saturatedUnitWeight, "unitWeight", units);
+                let thickness = i === layers.length - 1 ? Infinity : parseQuantity(layer.thickness, "length", units);
+                let parsed = {
+                    number: i + 1,
+                    top: top,
+                    bottom: top + thickness,
+                    thickness: thickness,
+                    cohesion: parseQuantity(layer.cohesion, "stress", units),
+                    phi: parseQuantity(layer.phi),
+                    unitWeight: unitWeight,
+                    saturatedUnitWeight: saturatedUnitWeight === undefined ? unitWeight : saturatedUnitWeight,
+                    undrainedShearStrength: parseQuantity(layer.undrainedShearStrength, "stress", units),
+                    compressionIndex: parseQuantity(layer.compressionIndex),
+                    recompressionIndex: parseQuantity(layer.recompressionIndex),
+                    voidRatio: parseQuantity(layer.voidRatio),
+                    preconsolidationStress: parseQuantity(layer.preconsolidationStress, "stress", units)
+                };
+                top = parsed.bottom;
+                return parsed;
+            });
+        }
+
+        layerAt(depth) {
+            /*
+            Returns the layer at depth. A depth on a layer boundary belongs to the layer below it.
+            */
+            return this.layers.find(layer => depth < layer.bottom) || this.layers[this.layers.length - 1];
+        }
+
+        effectiveStressAt(depth) {
+            /*
+            Returns the vertical effective stress at depth [psf] [kPa], integrated through the layers.
+            Soil above groundwater contributes its unitWeight, soil below contributes saturatedUnitWeight - unitWeightWater.
+            */
+            let stress = 0;
+            this.layers.forEach(layer => {
+                let top = Math.min(layer.top, depth);
+                let bottom = Math.min(layer.bottom, depth);
+                let dry = Math.max(0, Math.min(bottom, this.groundwaterDepth) - top);
+                let submerged = (bottom - top) - dry;
+                stress += dry * layer.unitWeight + submerged * (layer.saturatedUnitWeight - this.unitWeightWater);
+            });
+            return stress;
+        }
+
+        averageEffectiveUnitWeight(top, bottom) {
+            /*
+            Returns the average effective unit weight between two depths [pcf] [kN/m³].
+            For a single layer this matches the groundwater adjustment BearingCapacity uses for a homogeneous soil.
+            */
+            return (this.effectiveStressAt(bottom) - this.effectiveStressAt(top)) / (bottom - top);
+        }
+
+        averageStrength(top, bottom) {
+            /*
+            Returns {cohesion, phi, undrainedShearStrength} averaged by thickness between two depths,
+            or undefined if no thickness of soil lies between them.
+            undrainedShearStrength is undefined if a layer in the range has no su.
+            */
+            let thickness = 0;
+            let cohesion = 0;
+            let phi = 0;
+            let undrainedShearStrength = 0;
+            this.layers.forEach(layer => {
+                let covered = Math.max(0, Math.min(layer.bottom, bottom) - Math.max(layer.top, top));
+                if (covered === 0) return;
+                thickness += covered;
+                cohesion += covered * layer.cohesion;
+                phi += covered * layer.phi;
+                undrainedShearStrength = layer.undrainedShearStrength === undefined ? NaN : undrainedShearStrength + covered * layer.undrainedShearStrength;
+            });
+            if (thickness === 0) return undefined;
+            return {
+                cohesion: cohesion / thickness,
+                phi: phi / thickness,
+                undrainedShearStrength: isNaN(undrainedShearStrength) ? undefined : undrainedShearStrength / thickness
+            };
+        }
+    }
+
+    return {
+        SoilProfile
+    };
+}));
@@ -0,0 +1,164 @@
+/*
+Parametric sensitivity analysis.
+sweepBearingCapacity runs a bearing capacity theory over a grid of one or two parameters.
+tornadoSensitivity ranks the parameters by how far a fixed variation of each one moves q_allow.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./factors"), require("./validation"), require("./methods"), require("./layered"), require("./analysis-cases")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, roundTo, MAX_PHI, InputValidationError, calculateBearingCapacity, layeredBearingCapacity, compareAnalysisCases} = engine;
+
+    //key=input key, value=[label, quantity]. Parameters that can be swept
+    const SWEEP_PARAMETERS = {
+        phi: ["phi", undefined],
+        width: ["width", "length"],
+        depth: ["depth", "length"],
+        groundwaterDepth: ["groundwater depth", "length"],
+        cohesion: ["cohesion", "stress"]
+    };
+    //Parameters varied for the tornado chart, by analysis case. The undrained case has su in place of c and phi
+    const TORNADO_PARAMETERS = {
+        drained: ["phi", "width", "depth", "groundwaterDepth", "cohesion"],
+        undrained: ["width", "depth", "groundwaterDepth", "undrainedShearStrength"]
+    };
+    //key=input key, value=label. Tornado parameters that can't be swept
+    const TORNADO_LABELS = {undrainedShearStrength: "undrained shear strength"};
+    const MAX_SWEEP_VALUES = 50; //values per parameter, keeps a careless step from locking up the page
+    const TORNADO_VARIATION = 0.1; //fraction each parameter is moved up and down for the tornado chart
+
+    function sweepValues(from, to, step) {
+        /*
+        Returns the list of values from from to to in steps of step, including to when the step lands on it.
+        A range with from > to is swept downwards. Limited to MAX_SWEEP_VALUES values.
+        */
+        step = Math.abs(step);
+        if (!step || from === to) return [from];
+        let direction = to > from ? 1 : -1;
+        let count = Math.min(MAX_SWEEP_VALUES, Math.floor(roundTo(Math.abs(to - from) / step, 6)) + 1);
+        let values = [];
+        for (let i = 0; i < count; i++) values.push(roundTo(from + direction * i * step, 6));
+        return values;
+    }
+
+    function sweepBearingCapacity(inputs, sweeps, method="terzaghi") {
+        /*
+        Runs method over every combination of the swept parameters.
+
+        INPUT VALUES
+        inputs: BearingCapacity inputs for the base case. Swept parameters replace the matching input
+        sweeps: list of one or two {parameter, from, to, step}. parameter must be in Object.keys(SWEEP_PARAMETERS)
+            from, to and step are in the units of inputs.units
+        method: must be in Object.keys(BEARING_CAPACITY_METHODS)
+
+        Each point includes the layered profile checks from layeredBearingCapacity.
+        A sweep of cohesion or phi on a layered profile overrides the bearing layer's strength.
+        With inputs.analysisCase = "both", each point has the capacities of the case that governs it.
+
+        Returns {parameters, values, points}
+        parameters = list of swept parameter keys
+        values = list of the swept values of each parameter
+        points = list of {values, bearingCapacity, allowableCapacity, analysisCase}, with values = the swept values of the point
+            and analysisCase = the case the capacities are for. The first parameter varies fastest.
+            A point whose inputs are invalid, such as phi swept below the slope angle, is skipped: it has skipped = the validation
+            message instead of the capacities
+        */
+        const parameters = sweeps.map(sweep => sweep.parameter);
+        const values = sweeps.map(sweep => sweepValues(sweep.from, sweep.to, sweep.step));
+        const outer = values.length > 1 ? values[1] : [undefined];
+        let points = [];
+        outer.forEach(outerValue => {
+            values[0].forEach(value => {
+                let point = [value, outerValue].slice(0, parameters.length);
+                let pointInputs = {...inputs};
+                parameters.forEach((parameter, i) => pointInputs[parameter] = point[i]);
+                let analysis;
+                try {
+                    analysis = pointInputs.analysisCase === "both" ? compareAnalysisCases(pointInputs, method).governing.analysis : layeredBearingCapacity(pointInputs, method);
+                } catch (error) {
+                    if (!(error instanceof InputValidationError)) throw error;
+                    points.push({values: point, skipped: error.message});
+                    return;
+                }
+                points.push({
+                    values: point,
+                    bearingCapacity: analysis.bearingCapacity,
+                    allowableCapacity: analysis.allowableCapacity,
+                    analysisCase: analysis.result.analysisCase
+                });
+            });
+        });
+        return {parameters: parameters, values: values, points: points};
+    }
+
+    function tornadoSensitivity(inputs, method="terzaghi", variation=TORNADO_VARIATION) {
+        /*
+        Moves each of TORNADO_PARAMETERS up and down by variation (a fraction of its base value) with the other
+        inputs held at the base case, and records the allowable bearing capacity at each end.
+        The strength parameters follow the analysis case: c and phi when drained, su when undrained.
+        With inputs.analysisCase = "both", the case that governs the base case is varied.
+        Parameters with a base value of 0, such as the cohesion of a clean sand, have no swing.
+        The groundwater depth has no bar when there is no groundwater. phi is kept at or below MAX_PHI,
+        and on sloping ground a drained phi is kept above the slope angle, at least halfway from it to the base value.
+
+        Returns {baseCapacity, analysisCase, bars, skipped}
+        baseCapacity = allowable bearing capacity of the base case
+        analysisCase = the analysis case varied
+        bars = list of {parameter, label, low, high, lowCapacity, highCapacity, swing}, sorted by swing from largest
+            swing = |highCapacity - lowCapacity|
+        skipped = list of {parameter, label, message} of the parameters that can't be varied without making the inputs invalid
+        */
+        const units = inputs.units in UNIT_SYSTEMS ? inputs.units : "US";
+        if (inputs.analysisCase === "both") inputs = {...inputs, analysisCase: compareAnalysisCases(inputs, method).governing.analysisCase};
+        const baseCapacity = layeredBearingCapacity(inputs, method).allowableCapacity;
+        const base = calculateBearingCapacity(inputs, method);
+        //the undrained instance holds su as its cohesion
+        const baseValue = parameter => parameter === "undrainedShearStrength" ? base.cohesion : base[parameter];
+        let skipped = [];
+        let bars = TORNADO_PARAMETERS[base.analysisCase].filter(parameter => baseValue(parameter) !== undefined).map(parameter => {
+            let label = parameter in SWEEP_PARAMETERS ? SWEEP_PARAMETERS[parameter][0] : TORNADO_LABELS[parameter];
+            //the instance holds the parsed value, or the bearing layer's value for a layered profile
+            let value = baseValue(parameter);
+            let low = roundTo(value * (1 - variation), 6);
+            let high = roundTo(value * (1 + variation), 6);
+            if (parameter === "phi") high = Math.min(high, MAX_PHI);
+            //a frictional slope steeper than phi is not stable, so phi can't be varied down to the slope angle
+            if (parameter === "phi" && base.analysisCase === "drained" && base.slopeAngle > 0 && low <= base.slopeAngle) {
+                low = roundTo((value + base.slopeAngle) / 2, 6);
+            }
+            let capacity = x => layeredBearingCapacity({...inputs, [parameter]: x}, method).allowableCapacity;
+            let lowCapacity, highCapacity;
+            try {
+                lowCapacity = value ? capacity(low) : baseCapacity;
+                highCapacity = value ? capacity(high) : baseCapacity;
+            } catch (error) {
+                if (!(error instanceof InputValidationError)) throw error;
+                skipped.push({parameter: parameter, label: label, message: error.message});
+                return undefined;
+            }
+            return {
+                parameter: parameter,
+                label: label,
+                low: low,
+                high: high,
+                lowCapacity: lowCapacity,
+                highCapacity: highCapacity,
+                swing: roundTo(Math.abs(highCapacity - lowCapacity), UNIT_SYSTEMS[units].decimals)
+            };
+        }).filter(bar => bar);
+        bars.sort((a, b) => b.swing - a.swing);
+        return {baseCapacity: baseCapacity, analysisCase: base.analysisCase, bars: bars, skipped: skipped};
+    }
+
+    return {
+        SWEEP_PARAMETERS,
+        TORNADO_PARAMETERS,
+        MAX_SWEEP_VALUES,
+        TORNADO_VARIATION,
+        sweepValues,
+        sweepBearingCapacity,
+        tornadoSensitivity
+    };
+}));
@@ -0,0 +1,173 @@
+/*
+Unit systems and conversions used by the bearing capacity calculator.
+Every calculation is carried out entirely in one unit system. The conversion
+factors below are only used to translate inputs and results between systems.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory({});
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const unitWeightWater = 62.4; //pcf, constant
+
+    //Multiply a US customary value by these factors to get the SI value
+    const FT_TO_M = 0.3048;
+    const PSF_TO_KPA = 0.04788026;
+    const PCF_TO_KN_PER_M3 = 0.1570875;
+    const LB_TO_KN = 0.004448222;
+    const LB_PER_FT_TO_KN_PER_M = 0.01459390;
+    const LB_FT_TO_KN_M = 0.001355818;
+    const IN_TO_MM = 25.4;
+
+    //key=quantity, value=conversion factor from US customary to SI
+    const US_TO_SI = {
+        length: FT_TO_M,
+        stress: PSF_TO_KPA,
+        unitWeight: PCF_TO_KN_PER_M3,
+        force: LB_TO_KN,
+        lineLoad: LB_PER_FT_TO_KN_PER_M,
+        moment: LB_FT_TO_KN_M,
+        lineMoment: LB_TO_KN,
+        settlement: IN_TO_MM
+    };
+
+    /*
+    key=unit system
+        label: name shown in the UI
+        length, stress, unitWeight, force, lineLoad, moment, lineMoment, settlement: unit labels for each quantity
+            lineLoad and lineMoment are per unit length, used for continuous footings
+        settlementPerLength: settlements in the settlement unit per length unit
+        unitWeightWater: unit weight of water in the unit system.
+            The SI value is converted from the US value (9.80 kN/m³) rather than
+            rounded to 9.81 so that both systems give matching answers.
+        decimals: number of decimals to round stresses to in the results
+    */
+    const UNIT_SYSTEMS = {
+        US: {
+            label: "US customary",
+            length: "ft",
+            stress: "psf",
+            unitWeight: "pcf",
+            force: "lb",
+            lineLoad: "lb/ft",
+            moment: "lb-ft",
+            lineMoment: "lb-ft/ft",
+            settlement: "in",
+            settlementPerLength: 12,
+            unitWeightWater: unitWeightWater,
+            decimals: 0
+        },
+        SI: {
+            label: "SI",
+            length: "m",
+            stress: "kPa",
+            unitWeight: "kN/m³",
+            force: "kN",
+            lineLoad: "kN/m",
+            moment: "kN-m",
+            lineMoment: "kN-m/m",
+            settlement: "mm",
+            settlementPerLength: 1000,
+            unitWeightWater: unitWeightWater * PCF_TO_KN_PER_M3,
+            decimals: 1
+        }
+    };
+
+    //Unit suffixes accepted by parseQuantity. key=suffix (lower case), value=[unit system, quantity]
+    const UNIT_SUFFIXES = {
+        "ft": ["US", "length"],
+        "feet": ["US", "length"],
+        "'": ["US", "length"],
+        "m": ["SI", "length"],
+        "psf": ["US", "stress"],
+        "kpa": ["SI", "stress"],
+        "pcf": ["US", "unitWeight"],
+        "kn/m3": ["SI", "unitWeight"],
+        "kn/m³": ["SI", "unitWeight"],
+        "lb": ["US", "force"],
+        "lbs": ["US", "force"],
+        "kn": ["SI", "force"],
+        "lb/ft": ["US", "lineLoad"],
+        "plf": ["US", "lineLoad"],
+        "kn/m": ["SI", "lineLoad"],
+        "lb-ft": ["US", "moment"],
+        "kn-m": ["SI", "moment"],
+        "lb-ft/ft": ["US", "lineMoment"],
+        "kn-m/m": ["SI", "lineMoment"],
+        "in": ["US", "settlement"],
+        "inch": ["US", "settlement"],
+        "inches": ["US", "settlement"],
+        "\"": ["US", "settlement"],
+        "mm": ["SI", "settlement"]
+    };
+
+    function convertValue(value, quantity, fromUnits, toUnits) {
+        /*
+        Converts value of the given quantity (a key of US_TO_SI, e.g. "length" or "stress")
+        from one unit system ("US" or "SI") to the other.
+        Unitless quantities (phi, FS) are returned unchanged.
+        */
+        if (fromUnits === toUnits || !(quantity in US_TO_SI)) return value;
+        return fromUnits === "US" ? value * US_TO_SI[quantity] : value / US_TO_SI[quantity];
+    }
+
+    function parseQuantity(value, quantity, units) {
+        /*
+        Parses a number or string into a number in the given unit system.
+        quantity may be omitted for unitless values such as phi and FS.
+        Strings may carry a unit suffix from either system (e.g. "1.2 m", "120 pcf"),
+        in which case the value is converted into units. Strings without a suffix are
+        assumed to already be in units.
+        undefined, null and empty strings are returned as undefined.
+        Returns NaN if the string cannot be parsed or the suffix does not match the quantity.
+        */
+        if (value === undefined || value === null || value === "") return undefined;
+        if (typeof value === "number") return value;
+
+        let match = String(value).trim().match(/^([-+]?(?:[0-9]+[.]?[0-9]*|[.][0-9]+)(?:e[-+]?[0-9]+)?)\s*(.*)$/i);
+        if (!match) return NaN;
+        let number = parseFloat(match[1]);
+        let suffix = match[2].trim().toLowerCase();
+        if (!suffix) return number;
+
+        let unit = UNIT_SUFFIXES[suffix];
+        if (!unit || unit[1] !== quantity) return NaN;
+        return convertValue(number, quantity, unit[0], units);
+    }
+
+    function roundTo(value, decimals) {
+        /*
+        Rounds value to the given number of decimals.
+        */
+        let scale = Math.pow(10, decimals);
+        return Math.round(value * scale) / scale;
+    }
+
+    function formatQuantity(value, quantity, units) {
+        /*
+        Returns value as a string labelled with its unit, e.g. "2500 psf" or "119.7 kPa".
+        */
+        let system = UNIT_SYSTEMS[units];
+        if (quantity === "stress") value = roundTo(value, system.decimals);
+        return `${value} ${system[quantity]}`;
+    }
+
+    return {
+        unitWeightWater,
+        FT_TO_M,
+        PSF_TO_KPA,
+        PCF_TO_KN_PER_M3,
+        LB_TO_KN,
+        LB_PER_FT_TO_KN_PER_M,
+        LB_FT_TO_KN_M,
+        IN_TO_MM,
+        US_TO_SI,
+        UNIT_SYSTEMS,
+        UNIT_SUFFIXES,
+        convertValue,
+        parseQuantity,
+        roundTo,
+        formatQuantity
+    };
+}));
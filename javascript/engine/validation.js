@@ -0,0 +1,283 @@
+/*
+Input validation.
+validateInputs checks a BearingCapacity inputs object against INPUT_SCHEMA and returns typed, per-field errors,
+which stop a calculation, and engineering warnings, which don't. The app, the batch mode and the command line
+tool all report these messages, so the same input gets the same message everywhere.
+*/
+
+(function (root, factory) {
+    //CommonJS in Node, globals in the browser, where the modules it depends on have already been loaded
+    if (typeof module === "object" && module.exports) module.exports = factory(Object.assign({}, require("./units"), require("./factors"), require("./bearing-capacity")));
+    else Object.assign(root, factory(root));
+}(this, function (engine) {
+    const {UNIT_SYSTEMS, parseQuantity, roundTo, MAX_PHI, FOOTING_SHAPES, FAILURE_MODES, loadQuantity, momentQuantity} = engine;
+
+    //Warning thresholds
+    const HIGH_PHI = 40; //degrees, friction angles above this are rare and the factors grow very quickly
+    const SHALLOW_DEPTH_RATIO = 1; //largest D/B of Terzaghi's shallow foundation assumption
+    const MIN_RECOMMENDED_FS = 2; //bearing capacity factors of safety are typically 2 to 3
+
+    function usesUndrained(inputs) {
+        return inputs.analysisCase === "undrained" || inputs.analysisCase === "both";
+    }
+
+    //key=input key, value=rule. Rules may have:
+    //label: name used in messages, quantity: quantity for parseQuantity, or a function of the shape,
+    //required: true if the input must be given, choices: list of allowed values,
+    //min: smallest allowed value, max: largest allowed value, positive: true if the value must be above 0,
+    //unit: unit shown after the range in messages, requiredWith: input key that makes this input required when it is given
+    const INPUT_SCHEMA = {
+        units: {label: "unit system", choices: Object.keys(UNIT_SYSTEMS)},
+        shape: {label: "footing shape", choices: FOOTING_SHAPES},
+        cohesion: {label: "cohesion", quantity: "stress", required: true, min: 0},
+        phi: {label: "phi", required: true, min: 0, max: MAX_PHI, unit: "degrees"},
+        unitWeight: {label: "unit weight", quantity: "unitWeight", required: true, positive: true},
+        depth: {label: "depth", quantity: "length", required: true, min: 0},
+        width: {label: "width", quantity: "length", required: true, positive: true},
+        length: {label: "length", quantity: "length", positive: true},
+        groundwaterDepth: {label: "groundwater depth", quantity: "length"}, //negative above the ground surface
+        verticalLoad: {label: "vertical load", quantity: loadQuantity, min: 0},
+        horizontalLoad: {label: "horizontal load", quantity: loadQuantity, min: 0},
+        momentB: {label: "moment along B", quantity: momentQuantity, min: 0},
+        momentL: {label: "moment along L", quantity: momentQuantity, min: 0},
+        FS: {label: "FS", required: true, positive: true},
+        factorMethod: {label: "factor method", choices: ["table", "closedForm"]},
+        failureMode: {label: "failure mode", choices: Object.keys(FAILURE_MODES)},
+        relativeDensity: {label: "relative density", min: 0, max: 100, unit: "percent"},
+        //"both" runs the drained and the undrained case, see compareAnalysisCases (analysis-cases.js)
+        analysisCase: {label: "analysis case", choices: ["drained", "undrained", "both"]},
+        undrainedShearStrength: {label: "undrained shear strength", quantity: "stress", positive: true},
+        //the ground factors reach 0 at 45 degrees
+        slopeAngle: {label: "slope angle", min: 0, max: 45, unit: "degrees"},
+        setback: {label: "setback from the crest", quantity: "length", min: 0},
+        //settlement inputs, used by settlementAnalysis (settlement.js)
+        elasticModulus: {label: "elastic modulus", quantity: "stress", positive: true},
+        poissonRatio: {label: "Poisson's ratio", min: 0, max: 0.5},
+        compressionIndex: {label: "compression index", min: 0},
+        recompressionIndex: {label: "recompression index", min: 0},
+        voidRatio: {label: "void ratio", positive: true, requiredWith: "compressionIndex"},
+        preconsolidationStress: {label: "preconsolidation stress", quantity: "stress", positive: true},
+        stressDistribution: {label: "stress distribution", choices: ["twoToOne", "boussinesq"]},
+        allowableSettlement: {label: "allowable settlement", quantity: "settlement", positive: true}
+    };
+
+    //Rules for each layer of a layered profile. The last layer's thickness is not used
+    const LAYER_SCHEMA = {
+        thickness: {label: "thickness", quantity: "length", required: true, positive: true},
+        cohesion: {label: "cohesion", quantity: "stress", required: true, min: 0},
+        phi: {label: "phi", required: true, min: 0, max: MAX_PHI, unit: "degrees"},
+        unitWeight: {label: "unit weight", quantity: "unitWeight", required: true, positive: true},
+        saturatedUnitWeight: {label: "saturated unit weight", quantity: "unitWeight", positive: true},
+        undrainedShearStrength: {label: "undrained shear strength", quantity: "stress", positive: true},
+        compressionIndex: {label: "compression index", min: 0},
+        recompressionIndex: {label: "recompression index", min: 0},
+        voidRatio: {label: "void ratio", positive: true, requiredWith: "compressionIndex"},
+        preconsolidationStress: {label: "preconsolidation stress", quantity: "stress", positive: true}
+    };
+
+    class InputValidationError extends Error {
+        /*
+        Thrown by calculateBearingCapacity (methods.js) when its inputs are invalid.
+        errors = list of {field, type, message} from validateInputs
+        */
+        constructor(errors) {
+            super(errors.map(error => error.message).join("; "));
+            this.name = "InputValidationError";
+            this.errors = errors;
+        }
+    }
+
+    function isBlank(value) {
+        return value === undefined || value === null || value === "";
+    }
+
+    function checkValue(value, rule, units, shape) {
+        /*
+        Checks one value against a rule.
+        Returns {value} with the parsed value (undefined if it was left blank),
+        or {type, message} if it breaks the rule, where message follows the label, e.g. "should not be negative".
+        */
+        if (isBlank(value)) {
+            return rule.required ? {type: "missing", message: "is missing"} : {value: undefined};
+        }
+        if (rule.choices) {
+            return rule.choices.includes(value) ? {value: value} : {type: "invalidChoice", message: `should be one of ${rule.choices.join(", ")}`};
+        }
+        let quantity = typeof rule.quantity === "function" ? rule.quantity(shape) : rule.quantity;
+        let parsed = parseQuantity(value, quantity, units);
+        if (isNaN(parsed)) return {type: "notANumber", message: "is not a number"};
+        if (rule.max !== undefined && (parsed < rule.min || parsed > rule.max)) {
+            return {type: "outOfRange", message: `should be from ${rule.min} to ${rule.max}${rule.unit ? ` ${rule.unit}` : ""}`};
+        }
+        if (rule.positive && parsed <= 0) return {type: "outOfRange", message: "should be greater than 0"};
+        if (parsed < rule.min) return {type: "outOfRange", message: "should not be negative"};
+        return {value: parsed};
+    }
+
+    function fieldRule(field, inputs, options={}) {
+        /*
+        Returns the rule for field in the context of inputs, or undefined if the field is not used.
+        A layered profile makes the soil inputs optional, length is only used by rectangular footings,
+        momentL is not used by continuous footings, and relativeDensity is only used by the auto failure mode.
+        The undrained analysis case makes cohesion and phi optional, and needs undrainedShearStrength unless the layers give it.
+        setback is only used on sloping ground.
+        A rule with requiredWith is required when its other input is given.
+        options: required = list of further input keys that must be given, optional = list of input keys that may be left blank
+        */
+        let rule = INPUT_SCHEMA[field];
+        if (!rule) return undefined;
+        let shape = inputs.shape || "continuous";
+        if (field === "length" && shape !== "rectangular") return undefined;
+        if (field === "momentL" && shape === "continuous") return undefined;
+        if (field === "relativeDensity" && inputs.failureMode !== "auto") return undefined;
+        if (field === "setback" && !(parseFloat(inputs.slopeAngle) > 0)) return undefined;
+        let layered = Array.isArray(inputs.layers) && inputs.layers.length > 0;
+        let required = rule.required && !(layered && ["cohesion", "phi", "unitWeight"].includes(field));
+        if (inputs.analysisCase === "undrained" && ["cohesion", "phi"].includes(field)) required = false;
+        if (field === "undrainedShearStrength" && usesUndrained(inputs) && !layered) required = true;
+        if (rule.requiredWith && !isBlank(inputs[rule.requiredWith])) required = true;
+        if ((options.required || []).includes(field)) required = true;
+        if ((options.optional || []).includes(field)) required = false;
+        return {...rule, required: required};
+    }
+
+    function validateValue(value, rule, units="US", shape="continuous") {
+        /*
+        Checks a single value against rule, which may be a rule of INPUT_SCHEMA or one of the caller's own in the same form.
+        Returns {type, message}, or undefined if the value is valid.
+        */
+        let check = checkValue(value, rule, units, shape);
+        return check.type ? {type: check.type, message: `${rule.label} ${check.message}`} : undefined;
+    }
+
+    function validateField(field, inputs, options={}) {
+        /*
+        Checks the single input field of inputs, for checking a form field as it is typed.
+        Returns {field, type, message}, or undefined if the field is valid.
+        options: as for fieldRule
+        */
+        let rule = fieldRule(field, inputs, options);
+        if (!rule) return undefined;
+        let units = inputs.units in UNIT_SYSTEMS ? inputs.units : "US";
+        let error = validateValue(inputs[field], rule, units, inputs.shape || "continuous");
+        return error && {field: field, ...error};
+    }
+
+    function validateLayers(layers, units="US", analysisCase="drained") {
+        /*
+        Checks every layer of a layered profile against LAYER_SCHEMA.
+        analysisCase: the undrained case needs undrainedShearStrength for every layer instead of cohesion and phi,
+            and "both" needs all three
+        Returns {errors, layers}. errors is a list of {field: "layers", layer, key, type, message}, where layer is numbered from 1.
+        layers holds the parsed values of each layer.
+        */
+        let errors = [];
+        let parsed = layers.map((layer, i) => {
+            let values = {};
+            Object.keys(LAYER_SCHEMA).forEach(key => {
+                if (key === "thickness" && i === layers.length - 1) return;
+                let rule = LAYER_SCHEMA[key];
+                if (rule.requiredWith && !isBlank(layer[rule.requiredWith])) rule = {...rule, required: true};
+                if (analysisCase === "undrained" && ["cohesion", "phi"].includes(key)) rule = {...rule, required: false};
+                if (key === "undrainedShearStrength" && usesUndrained({analysisCase: analysisCase})) rule = {...rule, required: true};
+                let check = checkValue(layer[key], rule, units);
+                if (check.type) errors.push({field: "layers", layer: i + 1, key: key, type: check.type, message: `layer ${i + 1} ${rule.label} ${check.message}`});
+                else values[key] = check.value;
+            });
+            return values;
+        });
+        return {errors: errors, layers: parsed};
+    }
+
+    function engineeringWarnings(values, layers, units) {
+        /*
+        Returns a list of {field, type, message} for valid inputs that are outside the usual assumptions of the theories.
+        values: parsed inputs, layers: parsed layers or undefined
+        */
+        const unitWeightWater = UNIT_SYSTEMS[units].unitWeightWater;
+        const unitLabels = UNIT_SYSTEMS[units];
+        let warnings = [];
+        let phis = layers ? layers.map(layer => layer.phi) : [values.phi];
+        let phi = Math.max(...phis.filter(value => value !== undefined));
+        if (phi > HIGH_PHI) {
+            warnings.push({field: "phi", type: "highPhi", message: `phi of ${phi} degrees is above ${HIGH_PHI}. Friction angles this high are rare, and the factors grow very quickly with phi`});
+        }
+        if (values.depth !== undefined && values.width !== undefined && values.depth / values.width > SHALLOW_DEPTH_RATIO) {
+            warnings.push({field: "depth", type: "deepFooting", message: `D/B = ${roundTo(values.depth / values.width, 2)} is more than ${SHALLOW_DEPTH_RATIO}, outside the shallow foundation assumption D ≤ B of Terzaghi's theory`});
+        }
+        //soil lighter than water has a negative effective unit weight once it is submerged
+        let submergedUnitWeights = layers ? layers.map(layer => layer.saturatedUnitWeight === undefined ? layer.unitWeight : layer.saturatedUnitWeight) : [values.unitWeight];
+        let groundwaterMatters = layers ? values.groundwaterDepth !== undefined :
+            values.groundwaterDepth !== undefined && values.depth !== undefined && values.width !== undefined && values.groundwaterDepth < values.depth + values.width;
+        if (groundwaterMatters && submergedUnitWeights.some(unitWeight => unitWeight !== undefined && unitWeight < unitWeightWater)) {
+            warnings.push({field: layers ? "layers" : "unitWeight", type: "negativeEffectiveUnitWeight",
+                message: `unit weight below groundwater is less than the unit weight of water (${unitWeightWater} ${unitLabels.unitWeight}), so the effective unit weight is negative`});
+        }
+        //phi = 0 with cohesion is an undrained strength, which belongs with total stresses
+        let phiZeroCohesion = layers ? layers.some(layer => layer.phi === 0 && layer.cohesion > 0) : values.phi === 0 && values.cohesion > 0;
+        if (phiZeroCohesion && (values.analysisCase || "drained") === "drained") {
+            warnings.push({field: layers ? "layers" : "phi", type: "undrainedParameters",
+                message: "phi = 0 with cohesion is an undrained strength, but the drained case uses effective stresses. Use the undrained analysis case for a total stress analysis"});
+        }
+        if (values.FS !== undefined && values.FS < MIN_RECOMMENDED_FS) {
+            warnings.push({field: "FS", type: "lowFS", message: `FS of ${values.FS} is below ${MIN_RECOMMENDED_FS}. Bearing capacity factors of safety are typically 2 to 3`});
+        }
+        return warnings;
+    }
+
+    function validateInputs(inputs, options={}) {
+        /*
+        Checks a BearingCapacity inputs object against INPUT_SCHEMA, and a layered profile against LAYER_SCHEMA.
+        options: required = list of further input keys that must be given, optional = list of input keys that may be left blank,
+            e.g. {optional: ["width"], required: ["verticalLoad"]} when designing the width
+        Returns {valid, errors, warnings, values}
+        valid = true if there are no errors
+        errors = list of {field, type, message}, where type is missing, notANumber, outOfRange or invalidChoice.
+            A slope angle of phi or more is outOfRange.
+            Layer errors also have layer and key, see validateLayers
+        warnings = list of {field, type, message} of engineering checks: highPhi, deepFooting, negativeEffectiveUnitWeight,
+            undrainedParameters, lowFS.
+            Warnings are only given for fields without errors
+        values = parsed values of the valid fields
+        */
+        let units = inputs.units in UNIT_SYSTEMS ? inputs.units : "US";
+        let errors = [];
+        let values = {};
+        Object.keys(INPUT_SCHEMA).forEach(field => {
+            let rule = fieldRule(field, inputs, options);
+            if (!rule) return;
+            let check = checkValue(inputs[field], rule, units, inputs.shape || "continuous");
+            if (check.type) errors.push({field: field, type: check.type, message: `${rule.label} ${check.message}`});
+            else if (check.value !== undefined) values[field] = check.value;
+        });
+        //a frictional slope steeper than phi is not stable on its own, so the ground factors mean nothing
+        if (values.slopeAngle > 0 && values.phi > 0 && values.slopeAngle >= values.phi && inputs.analysisCase !== "undrained") {
+            errors.push({field: "slopeAngle", type: "outOfRange", message: `slope angle should be less than phi (${roundTo(values.phi, 2)} degrees), or the slope itself is not stable`});
+        }
+        let layers;
+        if (Array.isArray(inputs.layers) && inputs.layers.length) {
+            let profile = validateLayers(inputs.layers, units, inputs.analysisCase);
+            errors.push(...profile.errors);
+            layers = profile.layers;
+        }
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            warnings: engineeringWarnings(values, layers, units),
+            values: values
+        };
+    }
+
+    return {
+        HIGH_PHI,
+        SHALLOW_DEPTH_RATIO,
+        MIN_RECOMMENDED_FS,
+        INPUT_SCHEMA,
+        LAYER_SCHEMA,
+        InputValidationError,
+        validateValue,
+        validateField,
+        validateLayers,
+        validateInputs
+    };
+}));
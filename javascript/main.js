@@ -0,0 +1,17 @@
+/*
+Entry point of the app, bundled with React, the engine and the stylesheets into app.js and app.css by scripts/build.js.
+Renders BearingCapacityApp, and registers the service worker that keeps the built app working offline.
+*/
+
+import React from "react";
+import ReactDOM from "react-dom";
+import "../css/style.css";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {BearingCapacityApp} from "./terzaghi";
+
+ReactDOM.render(<BearingCapacityApp/>, document.getElementById('bearing-capacity-app'));
+
+//Development builds leave the service worker out, so a cached copy never hides an edit
+if (process.env.NODE_ENV === "production" && "serviceWorker" in navigator) {
+    window.addEventListener("load", () => navigator.serviceWorker.register("./sw.js"));
+}
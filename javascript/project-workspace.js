@@ -0,0 +1,289 @@
+/*
+Project workspace of the app: the soil and groundwater of one site, entered once, and any number of named footings checked against them.
+The project is independent of the single footing form, so ProjectWorkspace keeps its own state. It follows the app's unit system.
+*/
+
+import React from "react";
+import {UNIT_SYSTEMS, FOOTING_SHAPES, loadQuantity, blankFooting, blankProject, checkProject, convertProject, parseProject, projectToJson} from "./engine";
+import {TEXT_BOX_SIZE} from "./app-state";
+import {downloadFile} from "./batch-calculator";
+
+//Site inputs. [input key, label, quantity], phi has no unit
+const SITE_INPUTS = [
+    ["cohesion", "cohesion", "stress"],
+    ["phi", "phi", undefined],
+    ["unitWeight", "unit weight", "unitWeight"],
+    ["groundwaterDepth", "groundwater depth", "length"]
+];
+
+//Dimensional inputs of each footing. [input key, heading, quantity]
+const FOOTING_INPUTS = [
+    ["width", "B", "length"],
+    ["length", "L", "length"],
+    ["depth", "D", "length"],
+    ["FS", "FS", undefined]
+];
+
+class ProjectWorkspace extends React.Component {
+    /*
+    props: units = unit system of the app. The project's values are converted when it changes
+    */
+    constructor(props) {
+        super(props);
+        this.state = {
+            project: blankProject(props.units),
+            results: undefined,
+            error: undefined
+        };
+        this.handleName = this.handleName.bind(this);
+        this.handleSite = this.handleSite.bind(this);
+        this.handleFooting = this.handleFooting.bind(this);
+        this.handleAddFooting = this.handleAddFooting.bind(this);
+        this.handleRemoveFooting = this.handleRemoveFooting.bind(this);
+        this.handleCheck = this.handleCheck.bind(this);
+        this.handleImport = this.handleImport.bind(this);
+        this.handleExport = this.handleExport.bind(this);
+    }
+
+    componentDidUpdate(prevProps) {
+        //keeps the project, and any results, in the app's unit system
+        if (prevProps.units === this.props.units) return;
+        this.setState(state => {
+            let project = convertProject(state.project, this.props.units);
+            return {
+                ...state,
+                project: project,
+                results: state.results && checkProject(project)
+            };
+        });
+    }
+
+    handleName(event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            project: {...state.project, name: value}
+        }));
+    }
+
+    handleSite(key, event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            project: {...state.project, site: {...state.project.site, [key]: value}}
+        }));
+    }
+
+    handleFooting(index, key, event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            project: {
+                ...state.project,
+                footings: state.project.footings.map((footing, i) => i === index ? {...footing, [key]: value} : footing)
+            }
+        }));
+    }
+
+    handleAddFooting() {
+        this.setState(state => ({
+            ...state,
+            project: {
+                ...state.project,
+                footings: [...state.project.footings, blankFooting(`F${state.project.footings.length + 1}`)]
+            }
+        }));
+    }
+
+    handleRemoveFooting(index) {
+        this.setState(state => ({
+            ...state,
+            project: {
+                ...state.project,
+                footings: state.project.footings.filter((footing, i) => i !== index)
+            }
+        }));
+    }
+
+    handleCheck() {
+        /*
+        Checks every footing against the site. Errors in single footings are shown in the summary table.
+        */
+        this.setState(state => ({
+            ...state,
+            results: checkProject(state.project),
+            error: state.project.footings.length ? undefined : "The project has no footings"
+        }));
+    }
+
+    handleImport(event) {
+        /*
+        Reads a project file, converts it into the app's unit system and checks it.
+        A file that can't be read sets this.state.error and leaves the current project as it was.
+        */
+        let file = event.target.files[0];
+        if (!file) return;
+        let reader = new FileReader();
+        reader.onload = () => {
+            let project;
+            try {
+                project = convertProject(parseProject(reader.result), this.props.units);
+            } catch (error) {
+                this.setState(state => ({
+                    ...state,
+                    error: `Cannot read the project: ${error.message}`
+                }));
+                return;
+            }
+            this.setState(state => ({
+                ...state,
+                project: project,
+                results: checkProject(project),
+                error: undefined
+            }));
+        };
+        reader.readAsText(file);
+    }
+
+    handleExport() {
+        //the file is named after the project, in characters any file system accepts
+        let name = this.state.project.name.trim().replace(/[^A-Za-z0-9_-]+/g, '-') || 'bearing-capacity-project';
+        downloadFile(`${name}.json`, 'application/json', projectToJson(this.state.project));
+    }
+
+    renderSummary(results) {
+        /*
+        Renders the summary table, one row per footing.
+        */
+        const units = UNIT_SYSTEMS[results.units];
+        //footings are not calculated while their own inputs or the site's have errors
+        const checked = row => row.utilisation !== undefined;
+        const failing = results.footings.filter(row => checked(row) && !row.passes).length;
+        const invalid = results.footings.filter(row => !checked(row)).length;
+        return (
+            <div id='project-results'>
+                {results.errors.map(message => <p class='error-message' key={message}>{message}</p>)}
+                <p class="results">
+                    {results.footings.length - invalid - failing} of {results.footings.length} footings pass.
+                    {failing > 0 && ` ${failing} ${failing === 1 ? 'is' : 'are'} overloaded.`}
+                    {invalid > 0 && ` ${invalid} cannot be checked.`}
+                </p>
+                <div class='table-responsive'>
+                    <table class="table table-condensed" id='project-table'>
+                        <thead>
+                            <tr>
+                                <th>footing</th>
+                                <th>shape</th>
+                                <th>B ({units.length})</th>
+                                <th>D ({units.length})</th>
+                                <th>q ult ({units.stress})</th>
+                                <th>q allow ({units.stress})</th>
+                                <th>applied pressure ({units.stress})</th>
+                                <th>utilisation</th>
+                                <th>check</th>
+                                <th>notes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {results.footings.map((row, i) => (
+                                <tr key={i} class={!checked(row) || !row.passes ? 'danger' : (row.warnings.length ? 'warning' : '')}>
+                                    <td>{row.name}</td>
+                                    <td>{row.shape}{row.shape === 'rectangular' && row.length && ` (L = ${row.length})`}</td>
+                                    <td>{row.width}</td>
+                                    <td>{row.depth}</td>
+                                    <td>{row.bearingCapacity}</td>
+                                    <td>{row.allowableCapacity}</td>
+                                    <td>{row.appliedPressure}</td>
+                                    <td>{checked(row) && (row.utilisation === Infinity ? '∞' : `${Math.round(row.utilisation * 100)}%`)}</td>
+                                    <td>{checked(row) && (row.passes ? 'OK' : 'NOT OK')}</td>
+                                    <td>{[...row.errors, ...row.warnings].join('; ')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
+    }
+
+    render() {
+        const units = UNIT_SYSTEMS[this.props.units];
+        const project = this.state.project;
+        const quantityLabel = quantity => quantity ? ` (${units[quantity]})` : '';
+        return (
+            <div id='project'>
+                <h4>Project workspace</h4>
+                <p class='layer-note'>
+                    Enter the site's soil and groundwater once, then check any number of footings against them with Terzaghi's method.
+                    A blank groundwater depth means there is no groundwater.
+                </p>
+                <div class="row input">
+                    <div class="col-xs-4 input-label">
+                        <span>project name</span>
+                    </div>
+                    <div class="col-xs-8 input-box">
+                        <input id='project-name' autoComplete="off" value={project.name} onChange={this.handleName}></input>
+                    </div>
+                </div>
+                {SITE_INPUTS.map(([key, label, quantity]) => (
+                    <div class="row input" key={key}>
+                        <div class="col-xs-4 input-label">
+                            <span>{label}{quantity ? quantityLabel(quantity) : ' (degrees)'}</span>
+                        </div>
+                        <div class="col-xs-3 input-box">
+                            <input id={`project-${key}`} autoComplete="off" size={TEXT_BOX_SIZE} value={project.site[key]} onChange={event => this.handleSite(key, event)}></input>
+                        </div>
+                    </div>
+                ))}
+                <table class="table table-condensed" id='project-footings'>
+                    <thead>
+                        <tr>
+                            <th>footing</th>
+                            <th>shape</th>
+                            {FOOTING_INPUTS.map(([key, heading, quantity]) => <th key={key}>{heading}{quantityLabel(quantity)}</th>)}
+                            <th>load</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {project.footings.map((footing, i) => (
+                            <tr key={i}>
+                                <td>
+                                    <input class='layer-input' id={`footing-name-${i}`} autoComplete="off" size={TEXT_BOX_SIZE} value={footing.name} onChange={event => this.handleFooting(i, 'name', event)}></input>
+                                </td>
+                                <td>
+                                    <select id={`footing-shape-${i}`} value={footing.shape} onChange={event => this.handleFooting(i, 'shape', event)}>
+                                        {FOOTING_SHAPES.map(shape => <option key={shape} value={shape}>{shape}</option>)}
+                                    </select>
+                                </td>
+                                {FOOTING_INPUTS.map(([key]) => (
+                                    <td key={key}>
+                                        <input class='layer-input' id={`footing-${key}-${i}`} autoComplete="off" size={TEXT_BOX_SIZE} value={footing[key]}
+                                            disabled={key === 'length' && footing.shape !== 'rectangular'} onChange={event => this.handleFooting(i, key, event)}></input>
+                                    </td>
+                                ))}
+                                <td>
+                                    <input class='layer-input' id={`footing-verticalLoad-${i}`} autoComplete="off" size={TEXT_BOX_SIZE} value={footing.verticalLoad} onChange={event => this.handleFooting(i, 'verticalLoad', event)}></input>
+                                    <span class='layer-note'> {units[loadQuantity(footing.shape)]}</span>
+                                </td>
+                                <td><button type='button' class='btn btn-default btn-xs' onClick={() => this.handleRemoveFooting(i)}>✕</button></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <button type='button' class='btn btn-default btn-sm' id='add-footing' onClick={this.handleAddFooting}>Add footing</button>
+                <span class='layer-note'> L is only used by rectangular footings. The load of a continuous footing is per unit length.</span>
+                <div>
+                    <button class='btn btn-primary' id='check-project' onClick={this.handleCheck}>Check footings</button>
+                    <button class='btn btn-default' id='export-project' onClick={this.handleExport}>Export project</button>
+                    <label class='btn btn-default' for='import-project'>Import project</label>
+                    <input type='file' id='import-project' accept='.json,application/json' style={{display: 'none'}} onChange={this.handleImport}></input>
+                </div>
+                {this.state.error && <p class='error-message'>{this.state.error}</p>}
+                {this.state.results && this.state.results.footings.length > 0 && this.renderSummary(this.state.results)}
+            </div>
+        );
+    }
+}
+
+export {ProjectWorkspace};
@@ -0,0 +1,187 @@
+/*
+Reliability mode of the app.
+ReliabilityAnalysis gives the soil inputs of the calculated footing distributions instead of single values,
+and runs reliabilityAnalysis on them to report the spread of q_ult, the probability of failure and β, with a histogram.
+*/
+
+import React from "react";
+import {UNIT_SYSTEMS, roundTo, InputValidationError, RELIABILITY_PARAMETERS, DISTRIBUTIONS, DEFAULT_SAMPLES, DEFAULT_SEED, percentile, histogram, reliabilityAnalysis} from "./engine";
+import {TEXT_BOX_SIZE} from "./app-state";
+import {Histogram} from "./charts";
+
+class ReliabilityAnalysis extends React.Component {
+    /*
+    props: inputs = BearingCapacity inputs of the rendered results, method = bearing capacity method key
+    A parameter left as fixed keeps its value from the form. A blank mean uses the form's value.
+    */
+    constructor(props) {
+        super(props);
+        let variables = {};
+        Object.keys(RELIABILITY_PARAMETERS).forEach(parameter => variables[parameter] = {distribution: "", mean: "", cov: ""});
+        this.state = {
+            variables: variables,
+            samples: "",
+            seed: "",
+            appliedPressure: "",
+            analysis: undefined,
+            errors: []
+        };
+        this.handleVariable = this.handleVariable.bind(this);
+        this.handleOption = this.handleOption.bind(this);
+        this.handleRunReliability = this.handleRunReliability.bind(this);
+    }
+
+    componentDidUpdate(prevProps) {
+        //a new calculation makes the analysis out of date
+        if (prevProps.inputs !== this.props.inputs && this.state.analysis) {
+            this.setState(state => ({
+                ...state,
+                analysis: undefined
+            }));
+        }
+    }
+
+    handleVariable(parameter, key, event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            variables: {...state.variables, [parameter]: {...state.variables[parameter], [key]: value}}
+        }));
+    }
+
+    handleOption(key, event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            [key]: value
+        }));
+    }
+
+    handleRunReliability() {
+        /*
+        Runs reliabilityAnalysis with the parameters that have a distribution.
+        Invalid inputs are listed in this.state.errors.
+        */
+        let variables = {};
+        Object.keys(this.state.variables).forEach(parameter => {
+            let variable = this.state.variables[parameter];
+            if (!variable.distribution) return;
+            let mean = variable.mean === "" ? this.props.inputs[parameter] : variable.mean;
+            variables[parameter] = {...variable, mean: mean};
+        });
+        if (Object.keys(variables).length === 0) {
+            this.setState(state => ({
+                ...state,
+                analysis: undefined,
+                errors: ["Give at least one parameter a distribution"]
+            }));
+            return;
+        }
+        let options = {samples: this.state.samples, seed: this.state.seed, appliedPressure: this.state.appliedPressure};
+        try {
+            let analysis = reliabilityAnalysis(this.props.inputs, variables, options, this.props.method);
+            this.setState(state => ({
+                ...state,
+                analysis: analysis,
+                errors: []
+            }));
+        } catch (error) {
+            if (!(error instanceof InputValidationError)) throw error;
+            this.setState(state => ({
+                ...state,
+                analysis: undefined,
+                errors: error.errors.map(inputError => inputError.message)
+            }));
+        }
+    }
+
+    render() {
+        const units = UNIT_SYSTEMS[this.props.inputs.units];
+        const analysis = this.state.analysis;
+        return (
+            <div id='reliability'>
+                <h4>Reliability</h4>
+                <p class='layer-note'>
+                    Give the soil parameters a distribution by their mean and coefficient of variation (COV = standard deviation / mean).
+                    A blank mean uses the value above. The same seed always gives the same results.
+                </p>
+                <table class='table table-condensed' id='reliability-inputs'>
+                    <thead>
+                        <tr>
+                            <th>Parameter</th>
+                            <th>Distribution</th>
+                            <th>Mean</th>
+                            <th>COV</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.keys(RELIABILITY_PARAMETERS).map(parameter => {
+                            const [label, quantity] = RELIABILITY_PARAMETERS[parameter];
+                            const variable = this.state.variables[parameter];
+                            return (
+                                <tr key={parameter}>
+                                    <td>{label}{quantity ? ` (${units[quantity]})` : ' (degrees)'}</td>
+                                    <td>
+                                        <select id={`distribution-${parameter}`} value={variable.distribution} onChange={event => this.handleVariable(parameter, 'distribution', event)}>
+                                            <option value=''>fixed</option>
+                                            {Object.keys(DISTRIBUTIONS).map(key => <option key={key} value={key}>{DISTRIBUTIONS[key]}</option>)}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input class='layer-input' id={`mean-${parameter}`} autoComplete="off" placeholder={this.props.inputs[parameter]}
+                                            disabled={!variable.distribution} value={variable.mean} onChange={event => this.handleVariable(parameter, 'mean', event)}></input>
+                                    </td>
+                                    <td>
+                                        <input class='layer-input' id={`cov-${parameter}`} autoComplete="off" placeholder='0.1'
+                                            disabled={!variable.distribution} value={variable.cov} onChange={event => this.handleVariable(parameter, 'cov', event)}></input>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+                {[["samples", "samples", DEFAULT_SAMPLES], ["seed", "seed", DEFAULT_SEED], ["appliedPressure", `applied pressure (${units.stress}, optional)`, ""]].map(([key, label, placeholder]) => (
+                    <div class="row input" key={key}>
+                        <div class="col-xs-6 input-label">
+                            <span>{label}</span>
+                        </div>
+                        <div class="col-xs-6 input-box">
+                            <input id={`reliability-${key}`} autoComplete="off" size={TEXT_BOX_SIZE} placeholder={placeholder}
+                                value={this.state[key]} onChange={event => this.handleOption(key, event)}></input>
+                        </div>
+                    </div>
+                ))}
+                <button class='btn btn-primary' id='run-reliability' onClick={this.handleRunReliability}>Run reliability analysis</button>
+                {this.state.errors.map(message => <p class='error-message' key={message}>{message}</p>)}
+                {analysis &&
+                    <div id='reliability-results'>
+                        <p class="results">
+                            {analysis.samples} samples, seed {analysis.seed}. q ult at the means: {analysis.baseCapacity} {units.stress}
+                        </p>
+                        <p class="results">
+                            q ult: mean {analysis.mean} {units.stress}, standard deviation {analysis.standardDeviation} {units.stress}, COV {analysis.cov}
+                        </p>
+                        <p class="results">
+                            5th percentile {analysis.percentiles.p5} {units.stress}, median {analysis.percentiles.p50} {units.stress}, 95th percentile {analysis.percentiles.p95} {units.stress}
+                        </p>
+                        {analysis.invalidSamples > 0 &&
+                            <p class="results" id='invalid-samples'>
+                                {analysis.invalidSamples} of {analysis.samples} samples have invalid inputs, so they have no q ult and count as failures: {analysis.invalidMessages.join('; ')}.
+                            </p>
+                        }
+                        {analysis.appliedPressure === undefined ?
+                            <p class="results">Give a vertical load or an applied pressure for the probability of failure.</p> :
+                            <p class="results" id='probability-of-failure'>
+                                P(q ult &lt; {analysis.appliedPressure} {units.stress}) = {roundTo(analysis.probabilityOfFailure, 4)} ({analysis.failures} of {analysis.samples} samples),
+                                β = {analysis.reliabilityIndex === undefined ? 'undefined, since q ult does not vary' : analysis.reliabilityIndex}
+                            </p>
+                        }
+                        <Histogram bins={analysis.histogram} xLabel={`q ult (${units.stress})`} marker={analysis.appliedPressure} markerLabel='applied pressure'></Histogram>
+                    </div>
+                }
+            </div>
+        );
+    }
+}
+
+export {ReliabilityAnalysis};
@@ -0,0 +1,200 @@
+/*
+Printable calculation report.
+reportData collects everything the calc sheet shows from a finished calculation, and CalculationReport
+lays it out as a one page document. The print stylesheet in style.css hides the rest of the app
+while the report is open, so the browser's print to PDF produces just the report.
+*/
+
+import React from "react";
+import {UNIT_SYSTEMS, roundTo, GROUNDWATER_CASES, ANALYSIS_CASES, loadQuantity, momentQuantity} from "./engine";
+
+function reportData(result, analysis, label) {
+    /*
+    Returns the values shown in the report as plain data, so the report doesn't change when the form does.
+    result: the method's BearingCapacity instance
+    analysis: the result of layeredBearingCapacity for result
+    label: the method's label from BEARING_CAPACITY_METHODS
+    */
+    const units = result.unitSystem;
+    const decimals = units.decimals;
+    const loadUnits = units[loadQuantity(result.shape)];
+    const momentUnits = units[momentQuantity(result.shape)];
+    const undrained = result.analysisCase === "undrained";
+    let inputs = [
+        ["analysis case", "", ANALYSIS_CASES[result.analysisCase], ""],
+        ["footing shape", "", result.shape, ""],
+        ["width", "B", roundTo(result.width, 3), units.length]
+    ];
+    if (result.shape === "rectangular") inputs.push(["length", "L", roundTo(result.length, 3), units.length]);
+    inputs.push(["embedment depth", "D", roundTo(result.depth, 3), units.length]);
+    if (!result.profile) {
+        if (undrained) inputs.push(["undrained shear strength", "su", result.cohesion, units.stress]);
+        else inputs.push(["cohesion", "c", result.cohesion, units.stress], ["friction angle", "φ", result.phi, "degrees"]);
+        inputs.push(["unit weight", "γ", result.unitWeight, units.unitWeight]);
+    }
+    if (result.groundwaterDepth === undefined) inputs.push(["groundwater depth", "Dw", "no groundwater", ""]);
+    else inputs.push(["groundwater depth", "Dw", roundTo(result.groundwaterDepth, 3), units.length]);
+    if (result.slopeAngle) {
+        inputs.push(["slope angle", "β", result.slopeAngle, "degrees"], ["setback from the crest", "b", roundTo(result.setback, 3), units.length]);
+    }
+    if (result.verticalLoad) inputs.push(["vertical load", "V", result.verticalLoad, loadUnits]);
+    if (result.horizontalLoad) inputs.push(["horizontal load", "H", result.horizontalLoad, loadUnits]);
+    if (result.momentB) inputs.push(["moment along B", "MB", result.momentB, momentUnits]);
+    if (result.momentL) inputs.push(["moment along L", "ML", result.momentL, momentUnits]);
+    inputs.push(["factor of safety", "FS", result.FS, ""]);
+
+    const term = (symbol, coef, values, value) => ({
+        symbol: symbol,
+        substitution: `${coef} x ${values.map(x => roundTo(x, 3)).join(' x ')}`,
+        value: roundTo(value, decimals)
+    });
+    return {
+        units: result.units,
+        date: new Date().toLocaleDateString(),
+        method: label,
+        factorDescription: result.factorDescription,
+        failureMode: result.failureModeExplanation,
+        groundDescription: result.groundDescription,
+        inputs: inputs,
+        layers: result.profile ? result.profile.layers.map(layer => ({...layer, bottom: isFinite(layer.bottom) ? layer.bottom : undefined})) : undefined,
+        factors: {Nc: result.Nc, Nq: result.Nq, Ng: result.Ng},
+        coefficients: [result.coef1, result.coef2, result.coef3],
+        groundwaterCase: GROUNDWATER_CASES[result.groundwaterCase],
+        undrained: undrained,
+        overburdenStress: roundTo(result.overburdenStress, decimals),
+        effectiveUnitWeight: roundTo(result.effectiveUnitWeight, decimals),
+        equation: result.equation,
+        terms: [
+            term("c term", result.coef1, [result.cohesion, result.Nc], result.terms.c),
+            term("q term", result.coef2, [result.overburdenStress, result.Nq], result.terms.q),
+            term("γ term", result.coef3, [result.effectiveUnitWeight, result.effectiveWidth, result.Ng], result.terms.g)
+        ],
+        bearingCapacity: result.bearingCapacity,
+        governing: analysis.governing.key === "bearingLayer" ? undefined : analysis.explanation,
+        governingCapacity: analysis.bearingCapacity,
+        FS: result.FS,
+        allowableCapacity: analysis.allowableCapacity
+    };
+}
+
+function CalculationReport(props) {
+    /*
+    One page calculation sheet.
+    props: report = reportData(...), details = {project, location, engineer}, onDetail(key, event) updates a detail,
+    onPrint, onClose
+    The project details are inputs so they can be filled in on the report itself. They print as plain text.
+    */
+    const {report, details, onDetail, onPrint, onClose} = props;
+    const units = UNIT_SYSTEMS[report.units];
+    return (
+        <div id='report'>
+            <div class='no-print report-buttons'>
+                <button class='btn btn-primary' id='print-report' onClick={onPrint}>Print</button>
+                <button class='btn btn-default' id='close-report' onClick={onClose}>Close report</button>
+            </div>
+            <h3>Bearing Capacity Calculation</h3>
+            <table class='table table-condensed report-table'>
+                <tbody>
+                    {[["project", "Project"], ["location", "Location"], ["engineer", "Engineer"]].map(([key, label]) => (
+                        <tr key={key}>
+                            <th>{label}</th>
+                            <td><input class='report-detail' id={`report-${key}`} autoComplete="off" value={details[key]} onChange={event => onDetail(key, event)}></input></td>
+                        </tr>
+                    ))}
+                    <tr>
+                        <th>Date</th>
+                        <td>{report.date}</td>
+                    </tr>
+                    <tr>
+                        <th>Method</th>
+                        <td>{report.method}</td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <h4>1. Inputs</h4>
+            <table class='table table-condensed report-table' id='report-inputs'>
+                <tbody>
+                    {report.inputs.map(([label, symbol, value, unit]) => (
+                        <tr key={label}>
+                            <td>{label}</td>
+                            <td>{symbol}</td>
+                            <td>{value}</td>
+                            <td>{unit}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {report.layers &&
+                <table class='table table-condensed report-table' id='report-layers'>
+                    <thead>
+                        <tr>
+                            <th>Layer</th>
+                            <th>depth ({units.length})</th>
+                            <th>c ({units.stress})</th>
+                            <th>φ (degrees)</th>
+                            <th>γ ({units.unitWeight})</th>
+                            <th>γsat ({units.unitWeight})</th>
+                            {report.undrained && <th>su ({units.stress})</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.layers.map(layer => (
+                            <tr key={layer.number}>
+                                <td>{layer.number}</td>
+                                <td>{roundTo(layer.top, 3)} to {layer.bottom === undefined ? 'end of boring' : roundTo(layer.bottom, 3)}</td>
+                                <td>{layer.cohesion}</td>
+                                <td>{layer.phi}</td>
+                                <td>{layer.unitWeight}</td>
+                                <td>{layer.saturatedUnitWeight}</td>
+                                {report.undrained && <td>{layer.undrainedShearStrength}</td>}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            }
+
+            <h4>2. Bearing capacity factors</h4>
+            <p>Nc = {report.factors.Nc}, Nq = {report.factors.Nq}, Nγ = {report.factors.Ng} ({report.factorDescription})</p>
+            {report.failureMode && <p>{report.failureMode}.</p>}
+            {report.groundDescription && <p>{report.groundDescription}.</p>}
+            <p>Term coefficients: {report.coefficients.join(', ')}</p>
+
+            <h4>3. Groundwater and effective stress</h4>
+            <p>{report.groundwaterCase}</p>
+            {report.undrained ?
+                <p>Total stress at the footing base: σv = {report.overburdenStress} {units.stress}</p> :
+                <p>Effective stress at the footing base: σ'v = {report.overburdenStress} {units.stress}</p>
+            }
+            {report.undrained ?
+                <p>Unit weight below the footing: γ = {report.effectiveUnitWeight} {units.unitWeight}</p> :
+                <p>Effective unit weight below the footing: γ' = {report.effectiveUnitWeight} {units.unitWeight}</p>
+            }
+
+            <h4>4. Ultimate bearing capacity</h4>
+            <p>q ult = {report.equation}</p>
+            <table class='table table-condensed report-table' id='report-terms'>
+                <tbody>
+                    {report.terms.map(term => (
+                        <tr key={term.symbol}>
+                            <td>{term.symbol}</td>
+                            <td>{term.substitution}</td>
+                            <td>= {term.value} {units.stress}</td>
+                        </tr>
+                    ))}
+                    <tr>
+                        <th>q ult</th>
+                        <td></td>
+                        <th>= {report.bearingCapacity} {units.stress}</th>
+                    </tr>
+                </tbody>
+            </table>
+            {report.governing && <p>{report.governing}</p>}
+
+            <h4>5. Allowable bearing capacity</h4>
+            <p id='report-allowable'>q allow = q ult / FS = {report.governingCapacity} / {report.FS} = <strong>{report.allowableCapacity} {units.stress}</strong></p>
+        </div>
+    );
+}
+
+export {reportData, CalculationReport};
@@ -0,0 +1,37 @@
+/*
+Service worker of the built app, so it keeps working offline once it has been opened.
+scripts/build.js bundles this file into sw.js, and fills in CACHE_VERSION and PRECACHE_FILES from the files it built.
+The app's own files are cached when the service worker is installed. Anything else it fetches, such as the web font,
+is cached the first time it is fetched. Both are then served from the cache.
+The font's stylesheet is linked without CORS, so its response is opaque: its status can't be read, and it is cached anyway
+because it only comes from FONT_HOSTS. Other opaque responses are not cached, since they may be errors.
+*/
+
+const CACHE_NAME = `terzaghi-bearing-capacity-${CACHE_VERSION}`;
+//hosts of the web font, whose opaque responses are cached
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+    //a new build replaces the cache of the old one
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", event => {
+    let request = event.request;
+    if (request.method !== "GET" || !request.url.startsWith("http")) return;
+    event.respondWith(caches.match(request, {ignoreSearch: true}).then(cached => cached || fetch(request).then(response => {
+        if (response.ok || (response.type === "opaque" && FONT_HOSTS.includes(new URL(request.url).hostname))) {
+            let copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    })));
+});
@@ -0,0 +1,196 @@
+/*
+Settlement check of the calculated footing.
+SettlementCheck takes the inputs of the rendered results, adds its own settlement inputs, and runs settlementAnalysis
+to find the bearing pressure that limits the settlement and whether settlement or bearing capacity governs.
+*/
+
+import React from "react";
+import {UNIT_SYSTEMS, roundTo, InputValidationError, STRESS_DISTRIBUTIONS, DEFAULT_ALLOWABLE_SETTLEMENT, SETTLEMENT_DECIMALS, settlementAnalysis} from "./engine";
+import {TEXT_BOX_SIZE} from "./app-state";
+
+//Settlement inputs of a homogeneous soil. [state key, label, quantity for the unit label]
+const SETTLEMENT_INPUTS = [
+    ["elasticModulus", "elastic modulus, Es", "stress"],
+    ["poissonRatio", "Poisson's ratio, ν", ""],
+    ["compressionIndex", "compression index, Cc", ""],
+    ["recompressionIndex", "recompression index, Cr", ""],
+    ["voidRatio", "void ratio, e0", ""],
+    ["preconsolidationStress", "preconsolidation stress, σ'p", "stress"]
+];
+//Consolidation properties entered for each layer of a layered profile. [layer key, heading, quantity for the unit label]
+const LAYER_SETTLEMENT_INPUTS = [
+    ["compressionIndex", "Cc", ""],
+    ["recompressionIndex", "Cr", ""],
+    ["voidRatio", "e0", ""],
+    ["preconsolidationStress", "σ'p", "stress"]
+];
+
+class SettlementCheck extends React.Component {
+    /*
+    props: inputs = BearingCapacity inputs of the rendered results, method = bearing capacity method key
+    A layered profile takes Es and ν for the whole profile, and the consolidation properties for each clay layer.
+    */
+    constructor(props) {
+        super(props);
+        this.state = {
+            elasticModulus: "",
+            poissonRatio: "",
+            compressionIndex: "",
+            recompressionIndex: "",
+            voidRatio: "",
+            preconsolidationStress: "",
+            layerProperties: [],
+            stressDistribution: "twoToOne",
+            allowableSettlement: "",
+            analysis: undefined,
+            errors: []
+        };
+        this.handleInput = this.handleInput.bind(this);
+        this.handleLayerInput = this.handleLayerInput.bind(this);
+        this.handleCheckSettlement = this.handleCheckSettlement.bind(this);
+    }
+
+    componentDidUpdate(prevProps) {
+        //a new calculation makes the settlement check out of date
+        if (prevProps.inputs !== this.props.inputs && this.state.analysis) {
+            this.setState(state => ({
+                ...state,
+                analysis: undefined
+            }));
+        }
+    }
+
+    handleInput(key, event) {
+        let value = event.target.value;
+        this.setState(state => ({
+            ...state,
+            [key]: value
+        }));
+    }
+
+    handleLayerInput(index, key, event) {
+        let value = event.target.value;
+        this.setState(state => {
+            let layerProperties = [...state.layerProperties];
+            layerProperties[index] = {...layerProperties[index], [key]: value};
+            return {...state, layerProperties: layerProperties};
+        });
+    }
+
+    handleCheckSettlement() {
+        /*
+        Runs settlementAnalysis on the calculated footing with the settlement inputs.
+        Invalid inputs are listed in this.state.errors.
+        */
+        let inputs = {...this.props.inputs, stressDistribution: this.state.stressDistribution, allowableSettlement: this.state.allowableSettlement};
+        SETTLEMENT_INPUTS.forEach(([key]) => inputs[key] = this.state[key]);
+        if (inputs.layers) {
+            inputs.layers = inputs.layers.map((layer, i) => ({...layer, ...this.state.layerProperties[i]}));
+            LAYER_SETTLEMENT_INPUTS.forEach(([key]) => inputs[key] = undefined);
+        }
+        try {
+            let analysis = settlementAnalysis(inputs, this.props.method);
+            this.setState(state => ({
+                ...state,
+                analysis: analysis,
+                errors: []
+            }));
+        } catch (error) {
+            if (!(error instanceof InputValidationError)) throw error;
+            this.setState(state => ({
+                ...state,
+                analysis: undefined,
+                errors: error.errors.map(inputError => inputError.message)
+            }));
+        }
+    }
+
+    render() {
+        const units = UNIT_SYSTEMS[this.props.inputs.units];
+        const layers = this.props.inputs.layers;
+        const inputs = layers ? SETTLEMENT_INPUTS.filter(([key]) => !LAYER_SETTLEMENT_INPUTS.some(([layerKey]) => layerKey === key)) : SETTLEMENT_INPUTS;
+        const analysis = this.state.analysis;
+        const settlementText = settlement => (
+            `${settlement.total} ${units.settlement} (elastic ${settlement.elastic} ${units.settlement}, consolidation ${settlement.consolidation} ${units.settlement})`
+        );
+        return (
+            <div id='settlement'>
+                <h4>Settlement</h4>
+                <p class='layer-note'>
+                    Elastic settlement needs Es. Consolidation of clay needs Cc and e0, and is normally consolidated without σ'p.
+                    {layers && ' Give Cc, Cr, e0 and σ\'p for each clay layer.'}
+                </p>
+                {inputs.map(([key, label, quantity]) => (
+                    <div class="row input" key={key}>
+                        <div class="col-xs-6 input-label">
+                            <span>{label}{quantity && ` (${units[quantity]})`}</span>
+                        </div>
+                        <div class="col-xs-6 input-box">
+                            <input id={`settlement-${key}`} autoComplete="off" size={TEXT_BOX_SIZE} value={this.state[key]} onChange={event => this.handleInput(key, event)}></input>
+                        </div>
+                    </div>
+                ))}
+                {layers &&
+                    <table class='table table-condensed' id='settlement-layers'>
+                        <thead>
+                            <tr>
+                                <th>Layer</th>
+                                {LAYER_SETTLEMENT_INPUTS.map(([key, heading, quantity]) => <th key={key}>{heading}{quantity && ` (${units[quantity]})`}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {layers.map((layer, i) => (
+                                <tr key={i}>
+                                    <td>{i + 1}</td>
+                                    {LAYER_SETTLEMENT_INPUTS.map(([key]) => (
+                                        <td key={key}>
+                                            <input class='layer-input settlement-layer-input' autoComplete="off" value={(this.state.layerProperties[i] || {})[key] || ""} onChange={event => this.handleLayerInput(i, key, event)}></input>
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                }
+                <div class="row input">
+                    <div class="col-xs-6 input-label">
+                        <span>stress distribution</span>
+                    </div>
+                    <div class="col-xs-6 input-box">
+                        <select id='stress-distribution' value={this.state.stressDistribution} onChange={event => this.handleInput('stressDistribution', event)}>
+                            {Object.keys(STRESS_DISTRIBUTIONS).map(key => <option key={key} value={key}>{STRESS_DISTRIBUTIONS[key]}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div class="row input">
+                    <div class="col-xs-6 input-label">
+                        <span>allowable settlement ({units.settlement})</span>
+                    </div>
+                    <div class="col-xs-6 input-box">
+                        <input id='allowable-settlement' autoComplete="off" size={TEXT_BOX_SIZE} placeholder={DEFAULT_ALLOWABLE_SETTLEMENT[this.props.inputs.units]}
+                            value={this.state.allowableSettlement} onChange={event => this.handleInput('allowableSettlement', event)}></input>
+                    </div>
+                </div>
+                <button class='btn btn-primary' id='check-settlement' onClick={this.handleCheckSettlement}>Check settlement</button>
+                {this.state.errors.map(message => <p class='error-message' key={message}>{message}</p>)}
+                {analysis &&
+                    <div id='settlement-results'>
+                        <p class="results">
+                            Pressure that limits settlement to {roundTo(analysis.allowableSettlement, SETTLEMENT_DECIMALS[this.props.inputs.units])} {units.settlement} ({STRESS_DISTRIBUTIONS[analysis.distribution]}): {analysis.settlementPressure} {units.stress}
+                        </p>
+                        <p class="results">Allowable bearing capacity: {analysis.bearingPressure} {units.stress}</p>
+                        <p class="results" id='settlement-governing'>{analysis.explanation}.</p>
+                        <p class="results">
+                            Allowable bearing pressure: <span id='allowable-pressure'>{analysis.allowablePressure} {units.stress}</span>, which settles {settlementText(analysis.settlement)}
+                        </p>
+                        {analysis.appliedSettlement &&
+                            <p class="results" id='applied-settlement'>Settlement under the applied pressure of {analysis.result.appliedPressure} {units.stress}: {settlementText(analysis.appliedSettlement)}</p>
+                        }
+                    </div>
+                }
+            </div>
+        );
+    }
+}
+
+export {SettlementCheck};
@@ -0,0 +1,44 @@
+/*
+Worked solution.
+Renders the steps of BearingCapacity.workedSolution() as formatted math, one step per row:
+the symbol, the formula, the values substituted into it, and the result.
+*/
+
+import React from "react";
+
+function MathText(props) {
+    /*
+    Renders engine math text, with the letters after an underscore as a subscript, e.g. "σ'_v" or "q_ult".
+    props: text
+    */
+    //split keeps the captured subscripts at the odd indexes
+    const parts = String(props.text).split(/_([A-Za-zγ]+)/);
+    return (
+        <span class='math'>
+            {parts.map((part, i) => i % 2 ? <sub key={i}>{part}</sub> : part)}
+        </span>
+    );
+}
+
+function WorkedSolution(props) {
+    /*
+    Table of the steps of a worked solution.
+    props: steps = list of {symbol, label, formula, substitution, result, units} from BearingCapacity.workedSolution()
+    */
+    return (
+        <table class='table table-condensed' id='worked-solution'>
+            <tbody>
+                {props.steps.map(step => (
+                    <tr key={step.symbol} title={step.label}>
+                        <td><MathText text={step.symbol}></MathText></td>
+                        <td>= <MathText text={step.formula}></MathText></td>
+                        <td>= {step.substitution}</td>
+                        <td>= <strong>{step.result}</strong> {step.units}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+export {WorkedSolution};
@@ -0,0 +1,115 @@
+/*
+Persisting calculations.
+The inputs of a calculation can be encoded into the URL hash, so a link reproduces the calculation,
+and kept in a named list of saved calculations in localStorage.
+Inputs are the raw form values held in BearingCapacityApp's state, so a saved calculation loads back
+into the form exactly as it was typed.
+*/
+
+import {UNIT_SYSTEMS, FOOTING_SHAPES} from "./engine";
+
+//State keys saved with a calculation. Values are strings, except the ones in JSON_INPUTS
+const PERSISTED_INPUTS = [
+    "units", "shape", "cohesion", "phi", "unitWeight", "depth", "width", "length", "groundwaterDepth",
+    "verticalLoad", "horizontalLoad", "momentB", "momentL", "FS", "factorMethod", "failureMode", "relativeDensity", "methods",
+    "soilModel", "layers", "analysisCase", "undrainedShearStrength", "slopeAngle", "setback"
+];
+//Inputs that are lists, stored as JSON
+const JSON_INPUTS = ["methods", "layers"];
+const SAVED_CALCULATIONS_KEY = "terzaghi-bearing-capacity.saved-calculations";
+
+function pickInputs(state) {
+    /*
+    Returns the PERSISTED_INPUTS of state, skipping empty values.
+    The layered profile is only kept when the soil model is layered, and the groundwater depth when there is groundwater,
+    so a calculation without a groundwater depth has no groundwater.
+    */
+    let inputs = {};
+    PERSISTED_INPUTS.forEach(key => {
+        let value = state[key];
+        if (value === undefined || value === "") return;
+        if (key === "layers" && state.soilModel !== "layered") return;
+        if (key === "groundwaterDepth" && state.noGroundwater) return;
+        inputs[key] = value;
+    });
+    return inputs;
+}
+
+function encodeInputs(inputs) {
+    /*
+    Encodes inputs as a query string, e.g. "units=US&shape=square&cohesion=0&phi=32".
+    */
+    let params = new URLSearchParams();
+    PERSISTED_INPUTS.forEach(key => {
+        if (inputs[key] === undefined || inputs[key] === "") return;
+        params.set(key, JSON_INPUTS.includes(key) ? JSON.stringify(inputs[key]) : String(inputs[key]));
+    });
+    return params.toString();
+}
+
+function decodeInputs(query) {
+    /*
+    Decodes a query string or URL hash made by encodeInputs.
+    Unknown keys, unknown unit systems and shapes, and malformed lists are dropped.
+    Returns the inputs object, which is empty if query holds no inputs.
+    */
+    let params = new URLSearchParams(query.replace(/^[#?]/, ""));
+    let inputs = {};
+    PERSISTED_INPUTS.forEach(key => {
+        if (!params.has(key)) return;
+        let value = params.get(key);
+        if (JSON_INPUTS.includes(key)) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return;
+            }
+            if (!Array.isArray(value)) return;
+        }
+        inputs[key] = value;
+    });
+    if (inputs.units && !(inputs.units in UNIT_SYSTEMS)) delete inputs.units;
+    if (inputs.shape && !FOOTING_SHAPES.includes(inputs.shape)) delete inputs.shape;
+    return inputs;
+}
+
+function loadSavedCalculations() {
+    /*
+    Returns the list of saved calculations, each {id, name, savedAt, inputs}.
+    Returns an empty list if localStorage is unavailable or holds nothing readable.
+    */
+    try {
+        let saved = JSON.parse(window.localStorage.getItem(SAVED_CALCULATIONS_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function storeSavedCalculations(calculations) {
+    /*
+    Writes the list of saved calculations to localStorage.
+    Returns false if it could not be stored (storage full, or disabled by the browser).
+    */
+    try {
+        window.localStorage.setItem(SAVED_CALCULATIONS_KEY, JSON.stringify(calculations));
+        return true;
+    } catch (error) {
+        console.log('Error: could not store saved calculations');
+        return false;
+    }
+}
+
+function savedCalculation(name, inputs) {
+    /*
+    Returns a new saved calculation with a unique id.
+    */
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name,
+        savedAt: new Date().toISOString(),
+        inputs: inputs
+    };
+}
+
+export {PERSISTED_INPUTS, pickInputs, encodeInputs, decodeInputs, loadSavedCalculations, storeSavedCalculations, savedCalculation};
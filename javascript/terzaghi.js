@@ -1,591 +1,670 @@
-const unitWeightWater = 62.4; //pcf, constant
-
-const TEXT_BOX_SIZE = 5;
-
-//Terzaghi bearing capacity factors. key=phi, value=[Nc, Nq, Ng]
-const NTerzaghi = {0:[5.7,1,0],
-                1:[6,1.1,.1],
-                2:[6.3,1.2,.1],
-                3:[6.6,1.3,.2],
-                4:[7,1.5,.3],
-                5:[7.3,1.6,.4],
-                6:[7.7,1.8,.5],
-                7:[8.2,2,.6],
-                8:[8.6,2.2,.7],
-                9:[9.1,2.4,.9],
-                10:[9.6,2.7,1],
-                11:[10.2,3,1.2],
-                12:[10.8,3.3,1.4],
-                13:[11.4,3.6,1.6],
-                14:[12.1,4,1.9],
-                15:[12.9,4.4,2.2],
-                16:[13.7,4.9,2.5],
-                17:[14.6,5.5,2.9],
-                18:[15.5,6,3.3],
-                19:[16.6,6.7,3.8],
-                20:[17.7,7.4,4.4],
-                21:[18.9,8.3,5.1],
-                22:[20.3,9.2,5.9],
-                23:[21.7,10.2,6.8],
-                24:[23.4,11.4,7.9],
-                25:[25.1,12.7,9.2],
-                26:[27.1,14.2,10.7],
-                27:[29.2,15.9,12.5],
-                28:[31.6,17.8,14.6],
-                29:[34.2,20,17.1],
-                30:[37.2,22.5,20.1],
-                31:[40.4,25.3,23.7],
-                32:[44,28.5,28],
-                33:[48.1,32.2,33.3],
-                34:[52.6,36.5,39.6],
-                35:[57.8,41.4,47.3],
-                36:[63.5,47.2,56.7],
-                37:[70.1,53.8,68.1],
-                38:[77.5,61.5,82.3],
-                39:[86,70.6,99.8],
-                40:[95.7,81.3,121.5],
-                41:[106.8,93.8,148.5]};
-
-class TerzaghiBearingCapacity {
-    /*
-    For more information on bearing capacity calculations, visit https://civilengineeringbible.com/subtopics.php?i=1
-
-    GLOBAL VALUES
-    This class only works with the unitWeightWater and NTerzaghi global values defined.
-    unitWeightWater = 62.4 pounds per cubic foot [pcf]
-    NTerzaghi = unitless, empirical values
-
-    INPUT VALUES
-    ---There is no data validation in the class itself. All data validation should be done in the UI.---
-    cohesion: non-negative number (typically 0 to 4500) [pounds per square foot, psf]
-    phi: integer from 0 to 41 (typically 28 to 35) [degrees]
-    depth: embedment depth, non-negative number (3.5 is standard frost depth in MI) [feet]
-    unitWeight: positive number (typically 100 to 140) [pounds per cubit foot, pcf]
-    width: width of square or continous footing, or diameter of circular footing (typically >=1) [feet]
-    shape: must be in ["square", "circular", "continuous"]. Bad input defaults to continuous
-    groundwaterDepth: non-negative number, undefined or very large if no groundwater present [feet]
-        If groundwaterDepth is undefined, constructor sets to 2*(depth+width) to get it out of influence zone
-    FS: Factor of Safety, typically 2 for low risk structures, or 3 for higher risk structures. 
-
-    CALCULATED VALUES
-    All calculated values are calculated when the instance is constructed. None of the parameters should
-    be modified after creating the instance. If the calculation needs to change, create a new instance.
-
-    totalStress[psf] = unitWeight[pcf] * depth[ft]
-    porePressure[psf] = (depth[ft] - groundwaterDepth[ft]) * unitWeightWater[pcf]
-    effectiveStress[psf] = totalStress[psf] - porePressure[psf]
-    Nc = bearing capacity factor for cohesion term = from lookup table
-    Nq = bearing capacity factor for friction = from lookup table
-    Ng = bearing capacity factor for effective stress = from lookup table
-    coef1, coef2, coef3 = based on shape
-    bearingCapacity[psf] = (coef1 * cohesion[psf] * Nc)+ (coef2 * effectiveStress[psf] * Nq) + (coef3 * effectiveUnitWeight[pcf] * width[ft] * Ng)
-    allowableCapacity[psf] = bearingCapacity[psf] / FS
-    equation = bearing capacity formula as a string, based on shape
-    calculation = written out calculation as a string, based on equation
-    */
-    constructor(cohesion, phi, depth, unitWeight, width, shape, groundwaterDepth=undefined, FS) {
-        this.cohesion = cohesion;
-        this.phi = phi;
-        this.depth = depth;
-        this.unitWeight = unitWeight;
-        this.width = width;
-        this.shape = shape;
-        this.groundwaterDepth = groundwaterDepth;
-        this.FS = FS;
-
-        //Set groundwater depth outside of zone of influence if not present
-        if (!this.groundwaterDepth) this.groundwaterDepth = 2 * (this.depth + this.width);
-
-        //Determine effective unit weight if groundwater is in influence zone
-        if (this.groundwaterDepth <= this.depth) {
-            this.effectiveUnitWeight = this.unitWeight - unitWeightWater;
-        } else if (this.depth < this.groundwaterDepth && this.groundwaterDepth < (this.depth + this.width)) {
-            this.effectiveUnitWeight = this.unitWeight - unitWeightWater * (1 - (this.groundwaterDepth - this.depth) / this.width);
-        } else {
-            this.effectiveUnitWeight = this.unitWeight;
-        }
-
-        //Calculate effective stress
-        if (this.groundwaterDepth >= this.depth) this.effectiveStress = this.unitWeight * this.depth;
-        else {
-            let totalStress = unitWeight * depth;
-            let porePressure = (depth - groundwaterDepth) * unitWeightWater;
-            this.effectiveStress = totalStress - porePressure;
-        }
-
-        //Determine bearing capacity factors
-        this.Nc = NTerzaghi[this.phi][0];
-        this.Nq = NTerzaghi[this.phi][1];
-        this.Ng = NTerzaghi[this.phi][2];
-
-        //Determine term coefficients
-        switch (this.shape) {
-            case "square":
-                this.coef1 = 1.3;
-                this.coef2 = 1;
-                this.coef3 = 0.4;
-                this.equation = `(1.3 c * Nq) + (Eff.Stress * Nq) + (0.4 * gamma * B * Ng)`;
-                break;
-            case "continuous":
-                this.coef1 = 1;
-                this.coef2 = 1;
-                this.coef3 = 0.5;
-                this.equation = `(c * Nq) + (Eff.Stress * Nq) + (0.5 * gamma * B * Ng)`;
-                break;
-            case "circular":
-                this.coef1 = 1.3;
-                this.coef2 = 1;
-                this.coef3 = 0.3;
-                this.equation = `(1.3 c * Nq) + (Eff.Stress * Nq) + (0.3 * gamma * B * Ng)`;
-                break;
-            default:
-                this.coef1 = 1;
-                this.coef2 = 1;
-                this.coef3 = 0.5;
-                this.equation = `(c * Nq) + (Eff.Stress * Nq) + (0.5 * gamma * B * Ng)`;
-                console.log('Error: bad shape choice. Defaulting to continuous');
-                break;
-        }
-
-        //calculate bearing capacity
-        this.bearingCapacity = Math.round((this.coef1 * this.cohesion * this.Nc)+ (this.coef2 * this.effectiveStress * this.Nq) + (this.coef3 * this.effectiveUnitWeight * this.width * this.Ng));
-        //calculate allowable capacity
-        this.allowableCapacity = Math.round(this.bearingCapacity / this.FS);
-        this.calculation = `(${this.coef1} x ${this.cohesion} x ${this.Nc}) + (${this.coef2} x ${Math.round(this.effectiveStress)} x ${this.Nq}) + (${this.coef3} x ${Math.round(this.effectiveUnitWeight)} x ${this.width} x ${this.Ng}) = ${this.bearingCapacity}`;
-    }
-}
-
-function getRadioValue() {
-    /*
-    reads radio button. Defaults to continuous
-    */
-    let element = document.getElementsByName('foundation-type');
-    for(let i=0; i<element.length; i++) {
-        if (element[i].checked) {
-            return element[i].value;
-        }
-    }
-    return 'continuous';
-}
-
-const startState = {
-    shape: "continuous",
-    cohesion: undefined,
-    phi: undefined,
-    unitWeight: undefined,
-    depth: undefined,
-    width: undefined,
-    groundwaterDepth: undefined,
-    fs: 3,
-    renderedFS: 3,
-    bearingCapacity: undefined,
-    allowableCapacity: undefined,
-    calculation: undefined,
-    equation: undefined,
-    calculated: false,
-    error: {
-        cohesion: false,
-        phi: false,
-        unitWeight: false,
-        depth: false,
-        width: false,
-        groundwaterDepth: false,
-        fs: false,
-        undefinedInput: false,
-        cannotEvaluate: false
-    }
-};
+/*
+The bearing capacity calculator.
+BearingCapacityApp renders the form and the results from its state, which only changes through the reducer in app-state.js.
+Its handlers turn events into actions, and keep the URL hash and the saved calculations in localStorage up to date.
+*/
+
+import React from "react";
+import {
+    UNIT_SYSTEMS, roundTo, loadQuantity, momentQuantity, FACTOR_METHODS, FAILURE_MODES, LOCAL_SHEAR_PHI, GENERAL_SHEAR_PHI,
+    ANALYSIS_CASES, GROUNDWATER_CASES, SLOPE_SETBACK_WIDTHS, BEARING_CAPACITY_METHODS, DEFAULT_WIDTH_INCREMENT, SWEEP_PARAMETERS, TORNADO_VARIATION
+} from "./engine";
+import {pickInputs, encodeInputs, decodeInputs, loadSavedCalculations, storeSavedCalculations, savedCalculation} from "./storage";
+import {TEXT_BOX_SIZE, LAYER_FIELDS, initialState, reducer} from "./app-state";
+import {LineChart, TornadoChart} from "./charts";
+import {WorkedSolution} from "./solution";
+import {CrossSection} from "./cross-section";
+import {CalculationReport} from "./report";
+import {BatchCalculator} from "./batch-calculator";
+import {ProjectWorkspace} from "./project-workspace";
+import {SettlementCheck} from "./settlement-check";
+import {ReliabilityAnalysis} from "./reliability-analysis";
+
+//Optional load inputs. [state key, input id, label]
+const LOAD_INPUTS = [
+    ["verticalLoad", "vertical-load", "vertical load"],
+    ["horizontalLoad", "horizontal-load", "horizontal load"],
+    ["momentB", "moment-b", "moment along B"],
+    ["momentL", "moment-l", "moment along L"]
+];
 
 class BearingCapacityApp extends React.Component {
     constructor(props) {
         super(props);
-        this.state = startState; //this is actually a assigning a reference to start state, but there is no native deep clone and this works for now
-        console.log(this.state);
-        this.isValidFloat = this.isValidFloat.bind(this);
-        this.isValidInt = this.isValidInt.bind(this);
-        this.handleCohesion = this.handleCohesion.bind(this);
-        this.handlePhi = this.handlePhi.bind(this);
-        this.handleUnitWeight = this.handleUnitWeight.bind(this);
-        this.handleDepth = this.handleDepth.bind(this);
-        this.handleWidth = this.handleWidth.bind(this);
-        this.handleGroundwaterDepth = this.handleGroundwaterDepth.bind(this);
-        this.handleFS = this.handleFS.bind(this);
+        this.state = initialState();
+        this.dispatch = this.dispatch.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleNoGroundwater = this.handleNoGroundwater.bind(this);
+        this.handleUnitSystem = this.handleUnitSystem.bind(this);
+        this.handleMethod = this.handleMethod.bind(this);
+        this.handleLayer = this.handleLayer.bind(this);
+        this.handleAddLayer = this.handleAddLayer.bind(this);
+        this.handleRemoveLayer = this.handleRemoveLayer.bind(this);
+        this.handleSweep = this.handleSweep.bind(this);
         this.handleCalculateBearingCapacity = this.handleCalculateBearingCapacity.bind(this);
-        this.allFieldsAreDefined = this.allFieldsAreDefined.bind(this);
+        this.handleDesignWidth = this.handleDesignWidth.bind(this);
+        this.handleRunSweep = this.handleRunSweep.bind(this);
         this.handleReset = this.handleReset.bind(this);
+        this.updateSavedCalculations = this.updateSavedCalculations.bind(this);
+        this.handleSaveName = this.handleSaveName.bind(this);
+        this.handleSaveCalculation = this.handleSaveCalculation.bind(this);
+        this.handleLoadCalculation = this.handleLoadCalculation.bind(this);
+        this.handleRenameCalculation = this.handleRenameCalculation.bind(this);
+        this.handleDeleteCalculation = this.handleDeleteCalculation.bind(this);
+        this.handleDuplicateCalculation = this.handleDuplicateCalculation.bind(this);
+        this.handleReportDetail = this.handleReportDetail.bind(this);
+        this.handleShowReport = this.handleShowReport.bind(this);
+        this.handleCloseReport = this.handleCloseReport.bind(this);
         this.handleEnterKey = this.handleEnterKey.bind(this);
     }
 
-    isValidFloat(string, parameter) {
+    componentDidMount() {
         /*
-        Checks input string against valid form for parameter.
-        String should be a non-negative number.
-        Sets parameter error state accordingly.
-        Returns true if valid, false otherwise.
+        Loads the saved calculations, and the calculation encoded in the URL hash if there is one.
         */
-        let updatedError = this.state.error;
-        if (string.search(/^[0-9]+[.]?[0-9]*$|^[.][0-9]+$/) > -1) {
-            updatedError[parameter] = false;
-            this.setState(state => ({
-                ...state,
-                error: updatedError
-            }));
-            return true;
-        } else {
-            updatedError[parameter] = true;
-            this.setState(state => ({
-                ...state,
-                error: updatedError
-            }));
-            return false;
-        }
+        let inputs = decodeInputs(window.location.hash);
+        this.dispatch({type: "savedCalculations", calculations: loadSavedCalculations(), stored: true});
+        if (Object.keys(inputs).length) this.dispatch({type: "applyInputs", inputs: inputs});
     }
 
-    isValidInt(string, parameter) {
+    componentDidUpdate(prevProps, prevState) {
         /*
-        Checks input string against valid form for parameter.
-        Thie only parameter that uses this is phi.
-        String should be an integer, 0 to 41.
-        Sets parameter error state accordingly.
-        Returns true if valid, false otherwise.
+        Keeps the inputs of new results in the URL, so the page can be bookmarked or shared.
         */
-        let updatedError = this.state.error;
-        if (string.search(/^[0-9]+$/) > -1 && string < 42) {
-            updatedError[parameter] = false;
-            this.setState(state => ({
-                ...state,
-                error: updatedError
-            }));
-            return true;
-        } else {
-            updatedError[parameter] = true;
-            this.setState(state => ({
-                ...state,
-                error: updatedError
-            }));
-            return false;
+        if (this.state.results && this.state.results !== prevState.results) {
+            window.history.replaceState(null, "", `#${encodeInputs(pickInputs(this.state))}`);
         }
     }
 
-    handleCohesion(event) {
-        /*
-        Continuously update cohesion in state.
-        Note that an invalid value for cohesion can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.cohesion = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
-        */      
-        this.setState(state => ({
-            ...state,
-            cohesion: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.cohesion, 'cohesion');
-        }); 
-    }
-
-    handlePhi(event) {
+    dispatch(action) {
         /*
-        Continuously update phi in state.
-        Note that an invalid value for phi can be saved into state,
-        but the isValidInt callback will cause an error message,
-        and the this.state.error.phi = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Replaces the state with the reducer's new state for action.
         */
-       this.setState(state => ({
-            ...state,
-            phi: event.target.value
-        }), () => {
-            this.isValidInt(this.state.phi, 'phi');
-        }); 
+        this.setState(state => reducer(state, action));
     }
 
-    handleUnitWeight(event) {
+    handleInput(parameter, event) {
         /*
-        Continuously update unitWeight in state.
-        Note that an invalid value for cohesion can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.unitWeight = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Continuously update one of the form's inputs in state.
+        Note that an invalid value can be saved into state, but the reducer checks it and sets its error message,
+        and the error will stop handleCalculateBearingCapacity from carrying out the calculation.
         */
-        this.setState(state => ({
-            ...state,
-            unitWeight: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.unitWeight, 'unitWeight');
-        }); 
+        this.dispatch({type: "input", parameter: parameter, value: event.target.value});
+    }
+
+    handleNoGroundwater(event) {
+        this.dispatch({type: "noGroundwater", checked: event.target.checked});
+    }
+
+    handleUnitSystem(event) {
+        this.dispatch({type: "units", units: event.target.value});
+    }
+
+    handleMethod(event) {
+        this.dispatch({type: "method", method: event.target.value, checked: event.target.checked});
+    }
+
+    handleLayer(index, key, event) {
+        this.dispatch({type: "layer", index: index, key: key, value: event.target.value});
+    }
+
+    handleAddLayer() {
+        this.dispatch({type: "addLayer"});
+    }
+
+    handleRemoveLayer(index) {
+        this.dispatch({type: "removeLayer", index: index});
+    }
+
+    handleSweep(index, key, event) {
+        this.dispatch({type: "sweep", index: index, key: key, value: event.target.value});
+    }
+
+    handleCalculateBearingCapacity() {
+        this.dispatch({type: "calculate"});
+    }
+
+    handleDesignWidth() {
+        this.dispatch({type: "designWidth"});
     }
 
-    handleDepth(event) {
+    handleRunSweep() {
+        this.dispatch({type: "runSweep"});
+    }
+
+    handleReset() {
         /*
-        Continuously update depth in state.
-        Note that an invalid value for depth can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.depth = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Resets the app to initial conditions, and takes the calculation out of the URL.
         */
-        this.setState(state => ({
-            ...state,
-            depth: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.depth, 'depth');
-        }); 
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+        this.dispatch({type: "reset"});
     }
 
-    handleWidth(event) {
+    updateSavedCalculations(calculations) {
         /*
-        Continuously update depth in state.
-        Note that an invalid value for width can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.width = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Stores the new list of saved calculations and puts it in state.
         */
-        this.setState(state => ({
-            ...state,
-            width: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.width, 'width');
-        }); 
+        let stored = storeSavedCalculations(calculations);
+        this.dispatch({type: "savedCalculations", calculations: calculations, stored: stored});
+    }
+
+    handleSaveName(event) {
+        this.dispatch({type: "saveName", value: event.target.value});
     }
 
-    handleGroundwaterDepth(event) {
+    handleSaveCalculation() {
         /*
-        Continuously update groundwaterDepth in state.
-        Note that an invalid value for groundwaterDepth can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.groundwaterDepth = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Saves the current inputs under the typed name, or a numbered name if none is typed.
         */
-        this.setState(state => ({
-            ...state,
-            groundwaterDepth: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.groundwaterDepth, 'groundwaterDepth');
-        }); 
+        let name = this.state.saveName.trim() || `Calculation ${this.state.savedCalculations.length + 1}`;
+        this.updateSavedCalculations([...this.state.savedCalculations, savedCalculation(name, pickInputs(this.state))]);
+        this.dispatch({type: "saveName", value: ""});
+    }
+
+    handleLoadCalculation(id) {
+        let calculation = this.state.savedCalculations.find(saved => saved.id === id);
+        if (calculation) this.dispatch({type: "applyInputs", inputs: calculation.inputs});
+    }
+
+    handleRenameCalculation(id, event) {
+        let name = event.target.value;
+        this.updateSavedCalculations(this.state.savedCalculations.map(saved => saved.id === id ? {...saved, name: name} : saved));
     }
 
-    handleFS(event) {
+    handleDeleteCalculation(id) {
+        this.updateSavedCalculations(this.state.savedCalculations.filter(saved => saved.id !== id));
+    }
+
+    handleDuplicateCalculation(id) {
         /*
-        Continuously update FS in state.
-        Note that an invalid value for FS can be saved into state,
-        but the isValidFloat callback will cause an error message,
-        and the this.state.error.FS = true will stop handleCalculateBearingCapacity
-        from carrying out the calculation.
+        Inserts a copy of a saved calculation right after it.
         */
-        this.setState(state => ({
-            ...state,
-            FS: event.target.value
-        }), () => {
-            this.isValidFloat(this.state.FS, 'FS');
+        let calculations = [];
+        this.state.savedCalculations.forEach(saved => {
+            calculations.push(saved);
+            if (saved.id === id) calculations.push(savedCalculation(`${saved.name} (copy)`, saved.inputs));
         });
+        this.updateSavedCalculations(calculations);
     }
 
-    handleCalculateBearingCapacity() {
+    handleReportDetail(key, event) {
+        this.dispatch({type: "reportDetail", key: key, value: event.target.value});
+    }
+
+    handleShowReport() {
+        this.dispatch({type: "showReport", show: true});
+    }
+
+    handleCloseReport() {
+        this.dispatch({type: "showReport", show: false});
+    }
+
+    handleEnterKey(event) {
+        if (event.key === "Enter") this.handleCalculateBearingCapacity();
+    }
+
+    renderLoadResult(load, results) {
         /*
-        If all user fields are defined and valid, Calculates bearingCapacity, allowableBearingCapacity, calculation, and equation.
-        Sets this.state.calulated to true, triggering the rendering of the results.
-        Otherwise sets this.state.error.cannotEvalue to true, triggering rendering of error message.
+        Renders the effective area, kern check, and load check for an eccentric or inclined load.
         */
-       let shape = getRadioValue(); // pull shape from radio value, or set to continuous if none selected
-       let updatedError = this.state.error; // This is needed to update error state later
-
-       //If all fields are defined AND valid, evaluates inputs
-       if (this.allFieldsAreDefined() &&
-        this.isValidFloat(this.state.cohesion, 'cohesion') &&
-        this.isValidInt(this.state.phi, 'phi') &&
-        this.isValidFloat(this.state.unitWeight, 'unitWeight') &&
-        this.isValidFloat(this.state.depth, 'depth') &&
-        this.isValidFloat(this.state.width, 'width') &&
-        this.isValidFloat(this.state.groundwaterDepth, 'groundwaterDepth') &&
-        this.isValidFloat(this.state.FS, 'FS')) {
-            updatedError.cannotEvaluate = false;
-            let result = new TerzaghiBearingCapacity(this.state.cohesion, this.state.phi, this.state.depth, this.state.unitWeight, this.state.width, shape, this.state.groundwaterDepth, this.state.FS);
-            //load calculated values into state
-            this.setState(state => ({
-                    ...state,
-                    shape: shape,
-                    renderedFS: state.FS, //this is needed so that the rendered FS doesn't change if user changes FS input field
-                    bearingCapacity: result.bearingCapacity,
-                    allowableCapacity: result.allowableCapacity,
-                    calculation: result.calculation,
-                    equation: result.equation,
-                    calculated: true
-                })); 
-        } else {
-            updatedError.cannotEvaluate = true;
-            this.setState(state => ({
-                ...state,
-                error: updatedError,
-                calculated: false
-            }));
-        }
+        const units = UNIT_SYSTEMS[results.units];
+        const loadUnits = units[loadQuantity(results.shape)];
+        const continuous = results.shape === 'continuous';
+        return (
+            <div id='load-results'>
+                <p class="results">
+                    Eccentricity: eB = {roundTo(load.eccentricityB, 2)} {units.length}
+                    {!continuous && `, eL = ${roundTo(load.eccentricityL, 2)} ${units.length}`}.
+                    Load inclination: {roundTo(load.loadInclination, 1)} degrees.
+                </p>
+                <p class="results">
+                    Effective footing: B' = {roundTo(load.effectiveWidth, 2)} {units.length}
+                    {!continuous && `, L' = ${roundTo(load.effectiveLength, 2)} ${units.length}`},
+                    A' = {roundTo(load.effectiveArea, 2)} {continuous ? `${units.length}²/${units.length}` : `${units.length}²`}
+                </p>
+                {load.withinKern ?
+                    <p class="results">Resultant is within the kern, so the whole base stays in compression.</p> :
+                    <p class="results error-message">Resultant is outside the kern, so part of the base lifts off. Consider a larger footing.</p>
+                }
+                <p class="results">Ultimate load: {load.ultimateLoad} {loadUnits}, allowable load: {load.allowableLoad} {loadUnits}</p>
+                <p class="results">
+                    Applied pressure on the effective area: {load.appliedPressure} {units.stress}
+                    {load.appliedPressure <= results.allowableCapacity ?
+                        <span id='load-check'> is within the allowable bearing capacity. OK</span> :
+                        <span id='load-check' class='error-message'> exceeds the allowable bearing capacity. NOT OK</span>
+                    }
+                </p>
+            </div>
+        );
     }
 
-    allFieldsAreDefined() {
+    renderDesign(design) {
         /*
-        Checks to make sure all user inputted fields have been defined.
-        Skips shape because calculation defaults to continuous if radio buttons are unchecked.
-        Sets this.state.error.undefinedInput to true if any fields are undefined, which triggers rendering of an error message.
+        Renders the iteration history and the final check of a footing width design.
         */
-        let updatedError = this.state.error;
-        if (!this.state.cohesion ||
-            !this.state.phi ||
-            !this.state.unitWeight ||
-            !this.state.depth ||
-            !this.state.width ||
-            !this.state.groundwaterDepth ||
-            !this.state.FS) {            
-                updatedError.undefinedInput = true;
-                this.setState(state => ({
-                    ...state,
-                    error: updatedError
-                }));
-                return false;
-            } else {
-                updatedError.undefinedInput = false;
-                this.setState(state=> ({
-                    ...state,
-                    error: updatedError
-                }));
-                return true;
-            }
+        const units = UNIT_SYSTEMS[design.units];
+        return (
+            <div id='design-results'>
+                <table class="table table-condensed" id='design-history'>
+                    <thead>
+                        <tr>
+                            <th>Step</th>
+                            <th></th>
+                            <th>trial B ({units.length})</th>
+                            <th>q allow ({units.stress})</th>
+                            <th>required B ({units.length})</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {design.history.map(row => (
+                            <tr key={row.step}>
+                                <td>{row.step}</td>
+                                <td>{row.stage === 'round' ? 'rounded up' : 'iterate'}</td>
+                                <td>{roundTo(row.width, 3)}</td>
+                                <td>{row.allowableCapacity}</td>
+                                <td>{isFinite(row.requiredWidth) ? roundTo(row.requiredWidth, 3) : 'no capacity'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {!design.converged && <p class="results error-message">The iteration did not converge. Check the inputs.</p>}
+                {design.explanation && <p class="results">{design.explanation}.</p>}
+                <p class="results">
+                    Design width ({design.method}): <span id='design-width'>B = {design.width} {units.length}</span>
+                    {design.length !== undefined && `, L = ${design.length} ${units.length}`}
+                </p>
+                <p class="results">
+                    Applied pressure: {design.appliedPressure} {units.stress}, allowable bearing capacity: {design.allowableCapacity} {units.stress},
+                    utilisation: {design.utilisation}
+                    {design.utilisation <= 1 ?
+                        <span id='design-check'>. OK</span> :
+                        <span id='design-check' class='error-message'>. NOT OK</span>
+                    }
+                </p>
+            </div>
+        );
     }
 
-    handleReset() {
+    renderSweep(sweep) {
         /*
-        Resets the app to initial conditions. 
-        TODO: Figure out a way to deep clone the initialState to reset that way
+        Renders the sweep results as a table and a line chart, and the tornado chart.
+        With two parameters there is one column and one line per value of the second parameter.
+        Points with invalid inputs are left blank, with their reasons listed below the table.
         */
-        Array.from(document.querySelectorAll("input")).forEach(input => (input.value = ""));
-        this.setState(state => ({
-            shape: "continuous",
-            cohesion: undefined,
-            phi: undefined,
-            unitWeight: undefined,
-            depth: undefined,
-            width: undefined,
-            groundwaterDepth: undefined,
-            fs: 3,
-            renderedFS: 3,
-            bearingCapacity: undefined,
-            allowableCapacity: undefined,
-            calculation: undefined,
-            equation: undefined,
-            calculated: false,
-            error: {
-                cohesion: false,
-                phi: false,
-                unitWeight: false,
-                depth: false,
-                width: false,
-                groundwaterDepth: false,
-                fs: false,
-                undefinedInput: false,
-                cannotEvaluate: false
-            }
-        }));
+        const units = UNIT_SYSTEMS[sweep.units];
+        const axisLabel = parameter => {
+            let [label, quantity] = SWEEP_PARAMETERS[parameter];
+            return `${label} (${quantity ? units[quantity] : 'degrees'})`;
+        };
+        const [xValues, outerValues] = sweep.values;
+        const twoParameters = sweep.parameters.length > 1;
+        //points are ordered with the first parameter varying fastest
+        const column = j => sweep.points.slice(j * xValues.length, (j + 1) * xValues.length);
+        const series = twoParameters ?
+            outerValues.map((value, j) => ({label: `${SWEEP_PARAMETERS[sweep.parameters[1]][0]} = ${value}`, values: column(j).map(point => point.allowableCapacity)})) :
+            [{label: 'q allow', values: column(0).map(point => point.allowableCapacity)}];
+        const skipped = [...new Set(sweep.points.filter(point => point.skipped).map(point => point.skipped))];
+        return (
+            <div id='sweep-results'>
+                <p class="results">Method: {sweep.method}</p>
+                <table class="table table-condensed" id='sweep-table'>
+                    <thead>
+                        <tr>
+                            <th>{axisLabel(sweep.parameters[0])}</th>
+                            {twoParameters ?
+                                outerValues.map(value => <th key={value}>q allow ({units.stress}), {SWEEP_PARAMETERS[sweep.parameters[1]][0]} = {value}</th>) :
+                                [<th key='ult'>q ult ({units.stress})</th>, <th key='allow'>q allow ({units.stress})</th>]
+                            }
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {xValues.map((value, i) => (
+                            <tr key={value}>
+                                <td>{value}</td>
+                                {twoParameters ?
+                                    outerValues.map((outer, j) => <td key={outer}>{column(j)[i].allowableCapacity}</td>) :
+                                    [<td key='ult'>{sweep.points[i].bearingCapacity}</td>, <td key='allow'>{sweep.points[i].allowableCapacity}</td>]
+                                }
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {skipped.length > 0 &&
+                    <p class='layer-note' id='sweep-skipped'>Blank points were skipped because their inputs are invalid: {skipped.join('; ')}.</p>
+                }
+                {sweep.points.some(point => !point.skipped) &&
+                    <LineChart xValues={xValues} series={series} xLabel={axisLabel(sweep.parameters[0])} yLabel={`q allow (${units.stress})`}/>
+                }
+                <p class="results">Sensitivity of q allow to a {TORNADO_VARIATION * 100}% change in each input about the base case:</p>
+                <TornadoChart baseCapacity={sweep.tornado.baseCapacity} bars={sweep.tornado.bars} stress={units.stress}/>
+                {sweep.tornado.skipped.map(({parameter, label, message}) => (
+                    <p class='layer-note' key={parameter}>{label} cannot be varied: {message}.</p>
+                ))}
+            </div>
+        );
     }
 
-    handleEnterKey(event) {
-        if (event.key === "Enter") this.handleCalculateBearingCapacity();
+    renderSoilProfile(units) {
+        /*
+        Renders the soil profile table, one row per layer from the ground surface down.
+        */
+        const quantityLabel = quantity => quantity ? units[quantity] : "degrees";
+        return (
+            <div class="soil-profile">
+                <table class="table table-condensed" id='soil-profile-table'>
+                    <thead>
+                        <tr>
+                            <th>layer</th>
+                            {LAYER_FIELDS.map(([key, quantity, label]) => <th key={key}>{label} ({quantityLabel(quantity)})</th>)}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {this.state.layers.map((layer, i) => (
+                            <tr key={i}>
+                                <td>{i + 1}</td>
+                                {LAYER_FIELDS.map(([key]) => (
+                                    <td key={key}>
+                                        <input class='layer-input' autoComplete="off" size={TEXT_BOX_SIZE} value={layer[key]}
+                                            placeholder={key === 'thickness' && i === this.state.layers.length - 1 ? '∞' : ''}
+                                            onChange={event => this.handleLayer(i, key, event)} onKeyPress={this.handleEnterKey}></input>
+                                    </td>
+                                ))}
+                                <td><button type='button' class='btn btn-default btn-xs' onClick={() => this.handleRemoveLayer(i)}>✕</button></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <button type='button' class='btn btn-default btn-sm' id='add-layer' onClick={this.handleAddLayer}>Add layer</button>
+                <span class='layer-note'> The last layer extends indefinitely. A blank γsat uses γ. su is only needed by the undrained analysis case.</span>
+                {this.state.error.layers && this.state.error.layers.map(message => <p class='error-message' key={message}>{message}</p>)}
+            </div>
+        );
     }
 
     render() {
+        const units = UNIT_SYSTEMS[this.state.units];
+        const results = this.state.results;
+        const renderedUnits = results && UNIT_SYSTEMS[results.units];
         return (
-            <div>
+            //While the report is open the rest of the app is hidden, but stays rendered so the form keeps its values
+            <div class={this.state.showReport ? 'report-open' : ''}>
+                {this.state.showReport && results &&
+                    <CalculationReport report={results.report} details={this.state.reportDetails} onDetail={this.handleReportDetail}
+                        onPrint={() => window.print()} onClose={this.handleCloseReport}/>
+                }
+                {/*Diagram of the footing, redrawn from the form as it is typed. Beside the form on wide screens, above it otherwise */}
+                <div id='cross-section-panel'>
+                    <CrossSection width={this.state.width} depth={this.state.depth}
+                        phi={this.state.analysisCase === 'undrained' ? 0 : this.state.soilModel === 'layered' ? undefined : this.state.phi}
+                        layers={this.state.soilModel === 'layered' ? this.state.layers : undefined}
+                        groundwaterDepth={this.state.noGroundwater ? undefined : this.state.groundwaterDepth}
+                        slopeAngle={this.state.slopeAngle} setback={this.state.setback} units={units}></CrossSection>
+                </div>
                 <p id="info">For more information on bearing capacity calculation, take a look at <a href="https://en.wikipedia.org/wiki/Bearing_capacity#Terzaghi's_Bearing_Capacity_Theory" target="_blank">the wikipedia page for Bearing Capacity</a>.</p>
                 <form>
+                {/*Radio buttons for unit system selection */}
+                <div class="row">
+                    <div class="col-xs-12 unit-system">
+                        {Object.keys(UNIT_SYSTEMS).map(key => (
+                            <span key={key}>
+                                <input type='radio' id={`${key.toLowerCase()}-units-radio-button`} name='unit-system' value={key} checked={this.state.units === key} onChange={this.handleUnitSystem}></input>
+                                <label for={`${key.toLowerCase()}-units-radio-button`}>{UNIT_SYSTEMS[key].label}</label>
+                            </span>
+                        ))}
+                    </div>
+                </div>
+
                 {/*Radio buttons for foundation type selection */}
-                <input type='radio' id='continuous-radio-button' name='foundation-type' value='continuous'></input>
+                <input type='radio' id='continuous-radio-button' name='foundation-type' value='continuous' checked={this.state.shape === 'continuous'} onChange={event => this.handleInput('shape', event)}></input>
                 <label for='continuous'>continuous</label>
-                <input type='radio' id='square-radio-button' name='foundation-type' value='square'></input>
+                <input type='radio' id='square-radio-button' name='foundation-type' value='square' checked={this.state.shape === 'square'} onChange={event => this.handleInput('shape', event)}></input>
                 <label for='square'>square</label>
-                <input type='radio' id='circular-radio-button' name='foundation-type' value='circular'></input>
+                <input type='radio' id='circular-radio-button' name='foundation-type' value='circular' checked={this.state.shape === 'circular'} onChange={event => this.handleInput('shape', event)}></input>
                 <label for='circular'>circular</label>
+                <input type='radio' id='rectangular-radio-button' name='foundation-type' value='rectangular' checked={this.state.shape === 'rectangular'} onChange={event => this.handleInput('shape', event)}></input>
+                <label for='rectangular'>rectangular</label>
 
 
-                {/* Input fields for cohesion, phi, unitWeight, depth, width, groundwaterDepth=undefined, FS
-                    Each input field has a corresponding error message that displays when invalid input is entered */}
-                <div class="row">
+                <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>cohesion (psf)</span>
+                        <span>Terzaghi factors</span>
                     </div>
-                    <div class="col-xs-3 input-box">
-                        <input id='cohesion' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleCohesion} onKeyPress={this.handleEnterKey}></input>
+                    <div class="col-xs-8 input-box">
+                        <select id='factor-method' value={this.state.factorMethod} onChange={event => this.handleInput('factorMethod', event)}>
+                            <option value='table'>{FACTOR_METHODS.table}</option>
+                            <option value='closedForm'>{FACTOR_METHODS.closedForm}</option>
+                        </select>
                     </div>
-                    <div class="col-xs-5 error-message">
-                        {this.state.error.cohesion && <span>invalid cohesion</span>}
+                </div>
+
+                <div class="row input">
+                    <div class="col-xs-4 input-label">
+                        <span>Terzaghi failure mode</span>
+                    </div>
+                    <div class="col-xs-8 input-box">
+                        <select id='failure-mode-select' value={this.state.failureMode} onChange={event => this.handleInput('failureMode', event)}>
+                            {Object.keys(FAILURE_MODES).map(key => <option key={key} value={key}>{FAILURE_MODES[key]}</option>)}
+                        </select>
+                        <span class='layer-note'> Auto uses the relative density if given, otherwise phi ({LOCAL_SHEAR_PHI} to {GENERAL_SHEAR_PHI} degrees).</span>
+                    </div>
+                </div>
+                <div class="row input">
+                    <div class="col-xs-4 input-label">
+                        <span>analysis case</span>
+                    </div>
+                    <div class="col-xs-8 input-box">
+                        <select id='analysis-case' value={this.state.analysisCase} onChange={event => this.handleInput('analysisCase', event)}>
+                            {Object.keys(ANALYSIS_CASES).map(key => <option key={key} value={key}>{ANALYSIS_CASES[key]}</option>)}
+                            <option value='both'>both, the lower governs</option>
+                        </select>
+                        <span class='layer-note'> Undrained uses su with phi = 0 and total stresses, drained uses c', phi' and effective stresses.</span>
                     </div>
                 </div>
+                {this.state.failureMode === 'auto' &&
+                    <div class="row input">
+                        <div class="col-xs-4 input-label">
+                            <span>relative density (%, optional)</span>
+                        </div>
+                        <div class="col-xs-3 input-box">
+                            <input id='relative-density' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.relativeDensity} onChange={event => this.handleInput('relativeDensity', event)} onKeyPress={this.handleEnterKey}></input>
+                        </div>
+                        <div class="col-xs-5 error-message">
+                            {this.state.error.relativeDensity && <span class='error-message'>{this.state.error.relativeDensity}</span>}
+                        </div>
+                    </div>
+                }
 
+                {/*Checkboxes for the bearing capacity methods to run */}
                 <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>phi (degrees)</span>
+                        <span>methods</span>
                     </div>
-                    <div class="col-xs-3 input-box">
-                        <input id='phi' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handlePhi} onKeyPress={this.handleEnterKey}></input>
+                    <div class="col-xs-8 input-box method-selection">
+                        {Object.keys(BEARING_CAPACITY_METHODS).map(key => (
+                            <span key={key}>
+                                <input type='checkbox' id={`${key}-method-checkbox`} value={key} checked={this.state.methods.includes(key)} onChange={this.handleMethod}></input>
+                                <label for={`${key}-method-checkbox`}>{BEARING_CAPACITY_METHODS[key][0]}</label>
+                            </span>
+                        ))}
                     </div>
-                    <div class="col-xs-5 error-message">
-                        {this.state.error.phi && <span class='error-message'>invalid phi</span>}
+                </div>
+
+                {/*Radio buttons for a single soil or a layered soil profile */}
+                <div class="row input">
+                    <div class="col-xs-4 input-label">
+                        <span>soil</span>
+                    </div>
+                    <div class="col-xs-8 input-box">
+                        <input type='radio' id='homogeneous-radio-button' name='soil-model' value='homogeneous' checked={this.state.soilModel === 'homogeneous'} onChange={event => this.handleInput('soilModel', event)}></input>
+                        <label for='homogeneous-radio-button'>single soil</label>
+                        <input type='radio' id='layered-radio-button' name='soil-model' value='layered' checked={this.state.soilModel === 'layered'} onChange={event => this.handleInput('soilModel', event)}></input>
+                        <label for='layered-radio-button'>layered profile</label>
                     </div>
                 </div>
 
+                {/* Input fields for cohesion, phi, unitWeight, depth, width, groundwaterDepth=undefined, FS
+                    Each input field has a corresponding error message that displays when invalid input is entered */}
+                {this.state.soilModel === 'layered' ? this.renderSoilProfile(units) :
+                    <div>
+                        <div class="row">
+                            <div class="col-xs-4 input-label">
+                                <span>cohesion ({units.stress})</span>
+                            </div>
+                            <div class="col-xs-3 input-box">
+                                <input id='cohesion' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.cohesion} onChange={event => this.handleInput('cohesion', event)} onKeyPress={this.handleEnterKey}></input>
+                            </div>
+                            <div class="col-xs-5 error-message">
+                                {this.state.error.cohesion && <span class='error-message'>{this.state.error.cohesion}</span>}
+                            </div>
+                        </div>
+
+                        <div class="row input">
+                            <div class="col-xs-4 input-label">
+                                <span>phi (degrees)</span>
+                            </div>
+                            <div class="col-xs-3 input-box">
+                                <input id='phi' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.phi} onChange={event => this.handleInput('phi', event)} onKeyPress={this.handleEnterKey}></input>
+                            </div>
+                            <div class="col-xs-5 error-message">
+                                {this.state.error.phi && <span class='error-message'>{this.state.error.phi}</span>}
+                            </div>
+                        </div>
+
+                        {this.state.analysisCase !== 'drained' &&
+                            <div class="row input">
+                                <div class="col-xs-4 input-label">
+                                    <span>undrained shear strength, su ({units.stress})</span>
+                                </div>
+                                <div class="col-xs-3 input-box">
+                                    <input id='undrained-shear-strength' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.undrainedShearStrength} onChange={event => this.handleInput('undrainedShearStrength', event)} onKeyPress={this.handleEnterKey}></input>
+                                </div>
+                                <div class="col-xs-5 error-message">
+                                    {this.state.error.undrainedShearStrength && <span class='error-message'>{this.state.error.undrainedShearStrength}</span>}
+                                </div>
+                            </div>
+                        }
+
+                        <div class="row input">
+                            <div class="col-xs-4 input-label">
+                                <span>unit weight ({units.unitWeight})</span>
+                            </div>
+                            <div class="col-xs-3 input-box">
+                                <input id='unit-weight' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.unitWeight} onChange={event => this.handleInput('unitWeight', event)} onKeyPress={this.handleEnterKey}></input>
+                            </div>
+                            <div class="col-xs-5 error-message">
+                                {this.state.error.unitWeight && <span class='error-message'>{this.state.error.unitWeight}</span>}
+                            </div>
+                        </div>
+                    </div>
+                }
+
                 <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>unit weight (pcf)</span>
+                        <span>depth ({units.length})</span>
                     </div>
                     <div class="col-xs-3 input-box">
-                        <input id='unit-weight' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleUnitWeight} onKeyPress={this.handleEnterKey}></input>
+                        <input id='depth' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.depth} onChange={event => this.handleInput('depth', event)} onKeyPress={this.handleEnterKey}></input>
                     </div>
-                    <div clas="col-xs-5 error-message">
-                        {this.state.error.unitWeight && <span class='error-message'>invalid unit weight</span>}
+                    <div class="col-xs-5 error-message">
+                        {this.state.error.depth && <span class='error-message'>{this.state.error.depth}</span>}
                     </div>
                 </div>
 
                 <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>depth (ft)</span>
+                        <span>width ({units.length})</span>
                     </div>
                     <div class="col-xs-3 input-box">
-                        <input id='depth' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleDepth} onKeyPress={this.handleEnterKey}></input>
+                        <input id='width' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.width} onChange={event => this.handleInput('width', event)} onKeyPress={this.handleEnterKey}></input>
                     </div>
                     <div class="col-xs-5 error-message">
-                        {this.state.error.depth && <span class='error-message'>invalid depth</span>}
+                        {this.state.error.width && <span class='error-message'>{this.state.error.width}</span>}
                     </div>
                 </div>
 
+                {this.state.shape === 'rectangular' &&
+                    <div class="row input">
+                        <div class="col-xs-4 input-label">
+                            <span>length ({units.length})</span>
+                        </div>
+                        <div class="col-xs-3 input-box">
+                            <input id='length' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.length} onChange={event => this.handleInput('length', event)} onKeyPress={this.handleEnterKey}></input>
+                        </div>
+                        <div class="col-xs-5 error-message">
+                            {this.state.error.length && <span class='error-message'>{this.state.error.length}</span>}
+                        </div>
+                    </div>
+                }
+
                 <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>width (ft)</span>
+                        <span>groundwater depth ({units.length}, negative above the ground)</span>
                     </div>
                     <div class="col-xs-3 input-box">
-                        <input id='width' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleWidth} onKeyPress={this.handleEnterKey}></input>
+                        <input id='groundwater-depth' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.groundwaterDepth} disabled={this.state.noGroundwater} onChange={event => this.handleInput('groundwaterDepth', event)} onKeyPress={this.handleEnterKey}></input>
+                        <label class='no-groundwater' for='no-groundwater'>
+                            <input type='checkbox' id='no-groundwater' checked={this.state.noGroundwater} onChange={this.handleNoGroundwater}></input> no groundwater
+                        </label>
                     </div>
                     <div class="col-xs-5 error-message">
-                        {this.state.error.width && <span class='error-message'>invalid width</span>}
+                        {this.state.error.groundwaterDepth && <span class='error-message'>{this.state.error.groundwaterDepth}</span>}
                     </div>
                 </div>
 
+                {/* Optional sloping ground next to the footing */}
                 <div class="row input">
                     <div class="col-xs-4 input-label">
-                        <span>groundwater depth (ft)</span>
+                        <span>slope angle (degrees, optional)</span>
                     </div>
                     <div class="col-xs-3 input-box">
-                        <input id='groundwater-depth' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleGroundwaterDepth} onKeyPress={this.handleEnterKey}></input>
+                        <input id='slope-angle' autoComplete="off" size={TEXT_BOX_SIZE} placeholder='0' value={this.state.slopeAngle} onChange={event => this.handleInput('slopeAngle', event)} onKeyPress={this.handleEnterKey}></input>
                     </div>
                     <div class="col-xs-5 error-message">
-                        {this.state.error.groundwaterDepth && <span class='error-message'>invalid groundwater depth</span>}
+                        {this.state.error.slopeAngle && <span class='error-message'>{this.state.error.slopeAngle}</span>}
                     </div>
                 </div>
+                {parseFloat(this.state.slopeAngle) > 0 &&
+                    <div>
+                        <div class="row input">
+                            <div class="col-xs-4 input-label">
+                                <span>setback from the crest ({units.length})</span>
+                            </div>
+                            <div class="col-xs-3 input-box">
+                                <input id='setback' autoComplete="off" size={TEXT_BOX_SIZE} placeholder='0' value={this.state.setback} onChange={event => this.handleInput('setback', event)} onKeyPress={this.handleEnterKey}></input>
+                            </div>
+                            <div class="col-xs-5 error-message">
+                                {this.state.error.setback && <span class='error-message'>{this.state.error.setback}</span>}
+                            </div>
+                        </div>
+                        <p class='layer-note'>The setback b is measured from the edge of the footing to the crest. The slope has no effect beyond {SLOPE_SETBACK_WIDTHS}B.</p>
+                    </div>
+                }
+
+                {/* Optional service loads for eccentric and inclined loading. moment along L has no meaning for continuous footings */}
+                {LOAD_INPUTS.filter(([parameter]) => parameter !== 'momentL' || this.state.shape !== 'continuous').map(([parameter, inputId, label]) => (
+                    <div class="row input" key={parameter}>
+                        <div class="col-xs-4 input-label">
+                            <span>{label} ({units[(parameter.startsWith('moment') ? momentQuantity : loadQuantity)(this.state.shape)]}, optional)</span>
+                        </div>
+                        <div class="col-xs-3 input-box">
+                            <input id={inputId} autoComplete="off" size={TEXT_BOX_SIZE} value={this.state[parameter]} onChange={event => this.handleInput(parameter, event)} onKeyPress={this.handleEnterKey}></input>
+                        </div>
+                        <div class="col-xs-5 error-message">
+                            {this.state.error[parameter] && <span class='error-message'>{this.state.error[parameter]}</span>}
+                        </div>
+                    </div>
+                ))}
 
                 <div class="row input">
                     <div class="col-xs-4 input-label">
                         <span>factor of safety</span>
                     </div>
                     <div class="col-xs-3 input-box">
-                        <input id='fs' autoComplete="off" size={TEXT_BOX_SIZE} onChange={this.handleFS} onKeyPress={this.handleEnterKey}></input>
+                        <input id='fs' autoComplete="off" size={TEXT_BOX_SIZE} value={this.state.FS} onChange={event => this.handleInput('FS', event)} onKeyPress={this.handleEnterKey}></input>
                     </div>
                     <div class="col-xs-5 error-message">
-                        {this.state.error.FS && <span class='error-message'>invalid FS</span>}
+                        {this.state.error.FS && <span class='error-message'>{this.state.error.FS}</span>}
                     </div>
                 </div>
 
@@ -593,21 +672,207 @@ class BearingCapacityApp extends React.Component {
                 </form>
                 <button class='btn btn-primary' id='calculate-bearing-capacity' onClick={this.handleCalculateBearingCapacity}>Calculate bearing capacity</button>
                 <button class='btn btn-danger' id='reset' onClick={this.handleReset}>Reset</button>
+                {this.state.warnings.length > 0 &&
+                    <div id='warnings'>
+                        {this.state.warnings.map(warning => <p class='warning-message' key={warning.type}>Warning: {warning.message}</p>)}
+                    </div>
+                }
 
                 {/* Results to render after clicking 'Calculate bearing capacity */}
-                {this.state.calculated && 
+                {results &&
                     <div id='results'>
-                        <p class="results">{this.state.equation}</p>
-                        <p class="results">{this.state.calculation}</p>
-                        <p class="results">Ultimate bearing capacity: {this.state.bearingCapacity} psf</p>
-                        <p class="results">Allowable bearing capacity with a factor of safety of {this.state.renderedFS}: <span id='allowable-capacity'>{this.state.allowableCapacity} psf</span></p>
+                        <p class="results">Method: {results.method}</p>
+                        {results.analysisCases &&
+                            <div id='analysis-cases'>
+                                <table class="table table-condensed">
+                                    <thead>
+                                        <tr>
+                                            <th>Analysis case</th>
+                                            <th>q ult ({renderedUnits.stress})</th>
+                                            <th>q allow ({renderedUnits.stress})</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.analysisCases.cases.map(row => (
+                                            <tr key={row.analysisCase}>
+                                                <td>{row.label}</td>
+                                                <td>{row.bearingCapacity}</td>
+                                                <td>{row.allowableCapacity}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <p class="results" id='governing-case'>{results.analysisCases.explanation}. The results below are for the governing case.</p>
+                            </div>
+                        }
+                        <p class="results">{results.equation}</p>
+                        <p class="results" id='factors'>Nc = {results.factors.Nc}, Nq = {results.factors.Nq}, Ng = {results.factors.Ng} ({results.factors.description})</p>
+                        {results.failureModeExplanation && <p class="results" id='failure-mode'>{results.failureModeExplanation}.</p>}
+                        {results.groundDescription && <p class="results" id='ground-factors'>{results.groundDescription}.</p>}
+                        <p class="results" id='groundwater-case'>
+                            {GROUNDWATER_CASES[results.groundwater.case]}. {results.groundwater.undrained ? 'γ' : "γ'"} = {results.groundwater.effectiveUnitWeight} {renderedUnits.unitWeight},
+                            {results.groundwater.undrained ? 'σv' : "σ'v"} = {results.groundwater.overburdenStress} {renderedUnits.stress}
+                        </p>
+                        <WorkedSolution steps={results.solution}></WorkedSolution>
+                        {results.layerChecks &&
+                            <div id='layer-checks'>
+                                <table class="table table-condensed">
+                                    <thead>
+                                        <tr>
+                                            <th>Check</th>
+                                            <th>q ult ({renderedUnits.stress})</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.layerChecks.checks.map(check => (
+                                            <tr key={check.key}>
+                                                <td>{check.label}</td>
+                                                <td>{check.bearingCapacity}</td>
+                                                <td>{check.description}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <p class="results">{results.layerChecks.explanation}</p>
+                            </div>
+                        }
+                        <p class="results">Ultimate bearing capacity: {results.bearingCapacity} {renderedUnits.stress}</p>
+                        <p class="results">Allowable bearing capacity with a factor of safety of {results.FS}: <span id='allowable-capacity'>{results.allowableCapacity} {renderedUnits.stress}</span></p>
+                        {results.loadResult && this.renderLoadResult(results.loadResult, results)}
+                        <SettlementCheck inputs={results.inputs} method={results.methodKey}></SettlementCheck>
+                        <ReliabilityAnalysis inputs={results.inputs} method={results.methodKey}></ReliabilityAnalysis>
+                        <button class='btn btn-default' id='show-report' onClick={this.handleShowReport}>Calculation report</button>
+                        {results.comparison.length > 1 &&
+                            <table class="table table-condensed" id='comparison-table'>
+                                <thead>
+                                    <tr>
+                                        <th>Method</th>
+                                        <th>Nc</th>
+                                        <th>Nq</th>
+                                        <th>Ng</th>
+                                        <th>q ult ({renderedUnits.stress})</th>
+                                        <th>q allow ({renderedUnits.stress})</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {results.comparison.map(row => (
+                                        <tr key={row.method}>
+                                            <td>{row.label}</td>
+                                            <td>{row.Nc}</td>
+                                            <td>{row.Nq}</td>
+                                            <td>{row.Ng}</td>
+                                            <td>{row.bearingCapacity}</td>
+                                            <td>{row.allowableCapacity}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        }
                     </div>
                 }
                 {this.state.error.cannotEvaluate && <p class='error-message'>Cannot evaluate. Make sure all inputs are valid.</p>}
+
+                {/* Saved calculations, kept in localStorage */}
+                <div id='saved-calculations'>
+                    <h4>Saved calculations</h4>
+                    <div class="row input">
+                        <div class="col-xs-7 input-box">
+                            <input class='saved-calculation-input' id='save-name' autoComplete="off" placeholder='name' value={this.state.saveName} onChange={this.handleSaveName}></input>
+                        </div>
+                        <div class="col-xs-5">
+                            <button class='btn btn-default' id='save-calculation' onClick={this.handleSaveCalculation}>Save inputs</button>
+                        </div>
+                    </div>
+                    {this.state.savedCalculations.length > 0 &&
+                        <table class="table table-condensed" id='saved-calculations-table'>
+                            <tbody>
+                                {this.state.savedCalculations.map(saved => (
+                                    <tr key={saved.id}>
+                                        <td>
+                                            <input class='saved-calculation-input layer-input' autoComplete="off" value={saved.name} onChange={event => this.handleRenameCalculation(saved.id, event)}></input>
+                                        </td>
+                                        <td>{new Date(saved.savedAt).toLocaleDateString()}</td>
+                                        <td>
+                                            <button class='btn btn-default btn-xs' onClick={() => this.handleLoadCalculation(saved.id)}>Load</button>
+                                            <button class='btn btn-default btn-xs' onClick={() => this.handleDuplicateCalculation(saved.id)}>Duplicate</button>
+                                            <button class='btn btn-default btn-xs' onClick={() => this.handleDeleteCalculation(saved.id)}>Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    }
+                    {this.state.error.storage && <p class='error-message'>The browser would not store the saved calculations. They will be lost when the page is closed.</p>}
+                </div>
+
+                {/* Design mode: solves for the smallest width that carries the vertical load */}
+                <div id='design'>
+                    <h4>Design footing width</h4>
+                    <div class="row input">
+                        <div class="col-xs-4 input-label">
+                            <span>width increment ({units.length}, optional)</span>
+                        </div>
+                        <div class="col-xs-3 input-box">
+                            <input id='width-increment' autoComplete="off" size={TEXT_BOX_SIZE} placeholder={DEFAULT_WIDTH_INCREMENT[this.state.units]} value={this.state.widthIncrement} onChange={event => this.handleInput('widthIncrement', event)}></input>
+                        </div>
+                        <div class="col-xs-5 error-message">
+                            {this.state.error.widthIncrement && <span class='error-message'>{this.state.error.widthIncrement}</span>}
+                        </div>
+                    </div>
+                    <button class='btn btn-primary' id='solve-width' onClick={this.handleDesignWidth}>Solve for width</button>
+                    {this.state.design && this.renderDesign(this.state.design)}
+                    {this.state.error.cannotDesign && <p class='error-message'>Cannot design. Enter a vertical load and make sure all inputs other than the width are valid.</p>}
+                </div>
+
+                {/* Sweep mode: runs the calculation over a range of one or two parameters */}
+                <div id='sweep'>
+                    <h4>Sensitivity sweep</h4>
+                    <table class="table table-condensed" id='sweep-inputs'>
+                        <thead>
+                            <tr>
+                                <th>parameter</th>
+                                <th>from</th>
+                                <th>to</th>
+                                <th>step</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {this.state.sweeps.map((sweep, i) => (
+                                <tr key={i}>
+                                    <td>
+                                        <select id={`sweep-parameter-${i}`} value={sweep.parameter} onChange={event => this.handleSweep(i, 'parameter', event)}>
+                                            {i > 0 && <option value=''>none</option>}
+                                            {Object.keys(SWEEP_PARAMETERS).map(key => (
+                                                <option key={key} value={key}>{SWEEP_PARAMETERS[key][0]} ({SWEEP_PARAMETERS[key][1] ? units[SWEEP_PARAMETERS[key][1]] : 'degrees'})</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    {['from', 'to', 'step'].map(key => (
+                                        <td key={key}>
+                                            <input class='layer-input' id={`sweep-${key}-${i}`} autoComplete="off" value={sweep[key]} disabled={!sweep.parameter}
+                                                onChange={event => this.handleSweep(i, key, event)}></input>
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {this.state.error.sweeps && this.state.error.sweeps.map(message => <p class='error-message' key={message}>{message}</p>)}
+                    <button class='btn btn-primary' id='run-sweep' onClick={this.handleRunSweep}>Run sweep</button>
+                    {this.state.sweep && this.renderSweep(this.state.sweep)}
+                    {this.state.error.cannotSweep && <p class='error-message'>Cannot run the sweep. Make sure all inputs and sweep ranges are valid.</p>}
+                </div>
+
+                {/* Batch mode: calculates a schedule of footings in the current units with the first selected method */}
+                <BatchCalculator units={this.state.units} method={this.state.methods.length ? this.state.methods[0] : "terzaghi"}/>
+
+                {/* Project workspace: one site's soil and groundwater with many footings, in the current units */}
+                <ProjectWorkspace units={this.state.units}/>
             </div>
         );
     }
 }
 
-ReactDOM.render(<BearingCapacityApp/>, document.getElementById('bearing-capacity-app'));
+export {BearingCapacityApp};
 
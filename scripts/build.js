@@ -0,0 +1,89 @@
+/*
+Builds the app into dist/ as static files, to be served as they are, e.g. by GitHub Pages:
+index.html, app.js and app.css bundled from javascript/main.js with Bootstrap's fonts, the images, the web app manifest,
+and sw.js, the service worker that caches every one of them so the app works offline.
+node scripts/build.js --serve rebuilds the app on every change and serves dist/ at http://localhost:8000, unminified and without the service worker.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const esbuild = require("esbuild");
+
+const ROOT = path.join(__dirname, "..");
+const DIST = path.join(ROOT, "dist");
+//Files copied into dist/ as they are
+const STATIC_FILES = ["index.html", "manifest.webmanifest", "favicon-32x32.png", "images/logo.png"];
+const PORT = 8000;
+
+function appOptions(production=true) {
+    /*
+    Returns the esbuild options that bundle the app, also used by the tests to load it into jsdom.
+    The UI files are plain .js files with JSX.
+    */
+    return {
+        entryPoints: [path.join(ROOT, "javascript", "main.js")],
+        bundle: true,
+        outdir: DIST,
+        entryNames: "app",
+        assetNames: "fonts/[name]-[hash]",
+        loader: {".js": "jsx", ".eot": "file", ".svg": "file", ".ttf": "file", ".woff": "file", ".woff2": "file"},
+        define: {"process.env.NODE_ENV": JSON.stringify(production ? "production" : "development")},
+        minify: production,
+        sourcemap: !production,
+        target: "es2018",
+        logLevel: "warning"
+    };
+}
+
+function listFiles(directory) {
+    //paths of every file below directory, relative to it and with forward slashes
+    return fs.readdirSync(directory, {withFileTypes: true}).flatMap(entry => entry.isDirectory() ?
+        listFiles(path.join(directory, entry.name)).map(file => `${entry.name}/${file}`) :
+        [entry.name]);
+}
+
+function buildServiceWorker() {
+    /*
+    Writes dist/sw.js, caching every file in dist/ and the app's own URL.
+    The cache version is a hash of the files, so any change to the app replaces the cached copy.
+    */
+    let files = listFiles(DIST).filter(file => file !== "sw.js" && !file.endsWith(".map")).sort();
+    let hash = crypto.createHash("sha256");
+    files.forEach(file => hash.update(file).update(fs.readFileSync(path.join(DIST, file))));
+    esbuild.buildSync({
+        entryPoints: [path.join(ROOT, "javascript", "service-worker.js")],
+        outfile: path.join(DIST, "sw.js"),
+        define: {
+            CACHE_VERSION: JSON.stringify(hash.digest("hex").slice(0, 12)),
+            PRECACHE_FILES: JSON.stringify(["./", ...files.map(file => `./${file}`)])
+        },
+        minify: true,
+        logLevel: "warning"
+    });
+}
+
+async function build(serve=false) {
+    fs.rmSync(DIST, {recursive: true, force: true});
+    fs.mkdirSync(path.join(DIST, "images"), {recursive: true});
+    STATIC_FILES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(DIST, file)));
+    if (serve) {
+        let context = await esbuild.context(appOptions(false));
+        await context.watch();
+        await context.serve({servedir: DIST, port: PORT});
+        console.log(`Serving the app at http://localhost:${PORT}/`);
+        return;
+    }
+    await esbuild.build(appOptions());
+    buildServiceWorker();
+    console.log(`Built the app into ${path.relative(process.cwd(), DIST) || "."}`);
+}
+
+if (require.main === module) {
+    build(process.argv.includes("--serve")).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {appOptions};
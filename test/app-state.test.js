@@ -0,0 +1,162 @@
+/*
+Unit tests of the app's reducer: every action returns a new state and leaves the old one as it was.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadModule} = require("./load-app");
+
+const {initialState, reducer} = loadModule("app-state.js");
+
+//the README's example: 6635 psf allowable
+const FOOTING = {shape: "square", cohesion: "100", phi: "32", unitWeight: "120", depth: "3", width: "5", groundwaterDepth: "4", FS: "3"};
+
+function run(state, ...actions) {
+    /*
+    Returns the state after each action in turn, checking that none of them changes the state it was given.
+    */
+    return actions.reduce((previous, action) => {
+        const before = structuredClone(previous);
+        const next = reducer(previous, action);
+        assert.deepEqual(previous, before, `${action.type} changed the old state`);
+        return next;
+    }, state);
+}
+
+function filled(values=FOOTING) {
+    return run(initialState(), ...Object.keys(values).map(key => ({type: "input", parameter: key, value: values[key]})));
+}
+
+test("each initial state is a new object", () => {
+    const first = initialState();
+    first.error.phi = "phi is missing";
+    first.layers[0].phi = "30";
+    assert.equal(initialState().error.phi, false);
+    assert.equal(initialState().layers[0].phi, "");
+    assert.equal(initialState("SI").units, "SI");
+});
+
+test("inputs are checked as they are typed", () => {
+    let state = run(initialState(), {type: "input", parameter: "phi", value: "60"});
+    assert.equal(state.phi, "60");
+    assert.equal(state.error.phi, "phi should be from 0 to 50 degrees");
+    state = run(state, {type: "input", parameter: "FS", value: "0"});
+    assert.equal(state.error.FS, "FS should be greater than 0");
+    assert.equal(state.fs, undefined);
+});
+
+test("calculating valid inputs gives the results, and invalid inputs an error", () => {
+    let state = run(filled(), {type: "calculate"});
+    assert.equal(state.results.bearingCapacity, 19904);
+    assert.equal(state.results.allowableCapacity, 6635);
+    assert.equal(state.results.FS, "3");
+    assert.equal(state.error.cannotEvaluate, false);
+
+    state = run(state, {type: "input", parameter: "depth", value: "x"}, {type: "calculate"});
+    assert.equal(state.results, undefined);
+    assert.equal(state.error.cannotEvaluate, true);
+    assert.equal(state.error.depth, "depth is not a number");
+});
+
+test("no groundwater clears the groundwater depth's error", () => {
+    let state = run(filled({...FOOTING, groundwaterDepth: "x"}));
+    assert.ok(state.error.groundwaterDepth);
+    state = run(state, {type: "noGroundwater", checked: true});
+    assert.equal(state.error.groundwaterDepth, false);
+    state = run(state, {type: "calculate"});
+    assert.equal(state.results.groundwater.case, "none");
+    state = run(state, {type: "noGroundwater", checked: false});
+    assert.ok(state.error.groundwaterDepth);
+});
+
+test("changing the unit system converts the inputs and recalculates", () => {
+    let state = run(filled(), {type: "calculate"}, {type: "units", units: "SI"});
+    assert.equal(state.units, "SI");
+    assert.equal(state.depth, "0.9144");
+    assert.equal(state.phi, "32");
+    assert.equal(state.results.units, "SI");
+    state = run(state, {type: "units", units: "US"});
+    assert.equal(state.depth, "3");
+    assert.equal(state.results.allowableCapacity, 6635);
+});
+
+test("layers, methods and sweeps are replaced rather than changed", () => {
+    let state = run(initialState(),
+        {type: "addLayer"},
+        {type: "layer", index: 1, key: "phi", value: "28"},
+        {type: "removeLayer", index: 0},
+        {type: "method", method: "vesic", checked: true},
+        {type: "sweep", index: 1, key: "parameter", value: "width"},
+        {type: "sweep", index: 1, key: "step", value: "1"}
+    );
+    assert.equal(state.layers.length, 1);
+    assert.equal(state.layers[0].phi, "28");
+    assert.deepEqual(state.methods, ["terzaghi", "vesic"]);
+    assert.deepEqual(state.sweeps[1], {parameter: "width", from: "", to: "", step: "1"});
+});
+
+test("reset empties the form but keeps the unit system, saved calculations and project details", () => {
+    const saved = [{id: "1", name: "F1", savedAt: "2024-01-01T00:00:00.000Z", inputs: {phi: "30"}}];
+    let state = run(filled(),
+        {type: "units", units: "SI"},
+        {type: "savedCalculations", calculations: saved, stored: false},
+        {type: "reportDetail", key: "project", value: "Warehouse"},
+        {type: "calculate"},
+        {type: "reset"}
+    );
+    assert.deepEqual(state, {
+        ...initialState("SI"),
+        savedCalculations: saved,
+        reportDetails: {project: "Warehouse", location: "", engineer: ""},
+        error: {...initialState().error, storage: true}
+    });
+});
+
+test("applying saved inputs replaces the form and calculates", () => {
+    let state = run(filled({...FOOTING, verticalLoad: "1000"}), {type: "applyInputs", inputs: FOOTING});
+    assert.equal(state.verticalLoad, "");
+    assert.equal(state.noGroundwater, false);
+    assert.equal(state.results.allowableCapacity, 6635);
+    //without a groundwater depth there is no groundwater
+    state = run(state, {type: "applyInputs", inputs: {...FOOTING, groundwaterDepth: undefined}});
+    assert.equal(state.groundwaterDepth, "");
+    assert.equal(state.noGroundwater, true);
+    assert.equal(state.results.groundwater.case, "none");
+});
+
+test("an unknown action is an error", () => {
+    assert.throws(() => reducer(initialState(), {type: "nothing"}), /unknown action nothing/);
+});
+
+test("a sweep across the slope angle skips the invalid points instead of throwing", () => {
+    let state = run(filled({...FOOTING, phi: "30", groundwaterDepth: "", slopeAngle: "28", setback: "2"}),
+        {type: "noGroundwater", checked: true},
+        {type: "sweep", index: 0, key: "parameter", value: "phi"},
+        {type: "sweep", index: 0, key: "from", value: "20"},
+        {type: "sweep", index: 0, key: "to", value: "40"},
+        {type: "sweep", index: 0, key: "step", value: "5"},
+        {type: "runSweep"}
+    );
+    assert.equal(state.error.cannotSweep, false);
+    assert.deepEqual(state.sweep.points.map(point => point.skipped === undefined), [false, false, true, true, true]);
+    assert.equal(state.sweep.tornado.bars.find(bar => bar.parameter === "phi").low, 29);
+});
+
+test("with both analysis cases, the design and the sweep follow the governing case", () => {
+    const clay = {...FOOTING, phi: "28", analysisCase: "both", undrainedShearStrength: "500", verticalLoad: "200000"};
+    let state = run(filled(clay),
+        {type: "calculate"},
+        {type: "designWidth"},
+        {type: "sweep", index: 0, key: "parameter", value: "width"},
+        {type: "sweep", index: 0, key: "from", value: "4"},
+        {type: "sweep", index: 0, key: "to", value: "8"},
+        {type: "sweep", index: 0, key: "step", value: "2"},
+        {type: "runSweep"}
+    );
+    assert.match(state.results.analysisCases.explanation, /^The undrained \(short term\) case governs/);
+    const undrained = run(filled({...clay, analysisCase: "undrained"}), {type: "designWidth"});
+    assert.equal(state.design.width, undrained.design.width);
+    assert.match(state.design.explanation, /^The undrained \(short term\) case governs/);
+    assert.deepEqual(state.sweep.points.map(point => point.analysisCase), ["undrained", "undrained", "undrained"]);
+    assert.equal(state.sweep.tornado.analysisCase, "undrained");
+});
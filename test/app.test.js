@@ -0,0 +1,181 @@
+/*
+Component tests of BearingCapacityApp: validation messages, the reset button and the project workspace, in the page from index.html.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadApp} = require("./load-app");
+
+//the README's example: 6635 psf allowable
+const FOOTING = [["#cohesion", "100"], ["#phi", "32"], ["#unit-weight", "120"], ["#depth", "3"], ["#width", "5"], ["#groundwater-depth", "4"], ["#fs", "3"]];
+
+function fillFooting(app, values=FOOTING) {
+    app.click("#square-radio-button");
+    values.forEach(([selector, value]) => app.fill(selector, value));
+}
+
+function errorMessages(app) {
+    return [...app.document.querySelectorAll("span.error-message")].map(span => span.textContent);
+}
+
+test("calculating an empty form lists every missing input", () => {
+    const app = loadApp();
+    app.click("#calculate-bearing-capacity");
+    assert.deepEqual(errorMessages(app), [
+        "cohesion is missing",
+        "phi is missing",
+        "unit weight is missing",
+        "depth is missing",
+        "width is missing",
+        "groundwater depth is missing",
+        "FS is missing"
+    ]);
+    assert.equal(app.text("#results"), undefined);
+});
+
+test("invalid values are reported as they are typed", () => {
+    const app = loadApp();
+    app.fill("#phi", "abc");
+    assert.deepEqual(errorMessages(app), ["phi is not a number"]);
+    app.fill("#phi", "60");
+    assert.deepEqual(errorMessages(app), ["phi should be from 0 to 50 degrees"]);
+    app.fill("#phi", "30");
+    assert.deepEqual(errorMessages(app), []);
+    app.fill("#width", "-2");
+    assert.deepEqual(errorMessages(app), ["width should be greater than 0"]);
+});
+
+test("an invalid input stops the calculation", () => {
+    const app = loadApp();
+    fillFooting(app, FOOTING.map(([selector, value]) => [selector, selector === "#depth" ? "x" : value]));
+    app.click("#calculate-bearing-capacity");
+    assert.equal(app.text("#results"), undefined);
+    assert.ok(errorMessages(app).some(message => /depth/.test(message)));
+});
+
+test("no groundwater does not need a groundwater depth", () => {
+    const app = loadApp();
+    fillFooting(app, FOOTING.filter(([selector]) => selector !== "#groundwater-depth"));
+    app.click("#no-groundwater");
+    app.click("#calculate-bearing-capacity");
+    assert.deepEqual(errorMessages(app), []);
+    assert.match(app.text("#results"), /Allowable bearing capacity/);
+});
+
+test("valid inputs give the README's result", () => {
+    const app = loadApp();
+    fillFooting(app);
+    app.click("#calculate-bearing-capacity");
+    assert.deepEqual(errorMessages(app), []);
+    assert.match(app.text("#results"), /19904 psf/);
+    assert.match(app.text("#results"), /6635 psf/);
+});
+
+test("reset clears the inputs, errors and results", () => {
+    const app = loadApp();
+    fillFooting(app);
+    app.click("#calculate-bearing-capacity");
+    app.fill("#phi", "abc");
+    assert.equal(errorMessages(app).length, 1);
+
+    app.click("#reset");
+    assert.equal(app.text("#results"), undefined);
+    assert.deepEqual(errorMessages(app), []);
+    FOOTING.forEach(([selector]) => assert.equal(app.document.querySelector(selector).value, "", selector));
+    assert.equal(app.document.querySelector("#continuous-radio-button").checked, true);
+    assert.equal(app.document.querySelector("#no-groundwater").checked, false);
+    assert.equal(app.window.location.hash, "");
+
+    //the old values are gone, so calculating again asks for them
+    app.click("#calculate-bearing-capacity");
+    assert.ok(errorMessages(app).includes("phi is missing"));
+});
+
+test("reset keeps the unit system", () => {
+    const app = loadApp();
+    app.click("#si-units-radio-button");
+    fillFooting(app);
+    app.click("#reset");
+    assert.equal(app.document.querySelector("#si-units-radio-button").checked, true);
+    assert.match(app.document.querySelector("#bearing-capacity-app").textContent, /kPa|kN/);
+});
+
+test("a shared link fills the form and calculates", () => {
+    const app = loadApp("#units=US&shape=square&cohesion=100&phi=32&unitWeight=120&depth=3&width=5&groundwaterDepth=4&FS=3");
+    FOOTING.forEach(([selector, value]) => assert.equal(app.document.querySelector(selector).value, value, selector));
+    assert.equal(app.document.querySelector("#square-radio-button").checked, true);
+    assert.match(app.text("#results"), /6635 psf/);
+});
+
+test("switching the unit system converts the typed inputs", () => {
+    const app = loadApp();
+    fillFooting(app);
+    app.click("#si-units-radio-button");
+    assert.equal(app.document.querySelector("#depth").value, "0.9144");
+    assert.equal(app.document.querySelector("#phi").value, "32");
+    app.click("#us-units-radio-button");
+    assert.equal(app.document.querySelector("#depth").value, "3");
+});
+
+test("the project workspace checks every footing against the same site", () => {
+    const app = loadApp();
+    [["#project-cohesion", "100"], ["#project-phi", "32"], ["#project-unitWeight", "120"], ["#project-groundwaterDepth", "4"]].forEach(([selector, value]) => app.fill(selector, value));
+    app.click("#add-footing");
+    app.click("#add-footing");
+    //4000 psf under the README's footing, 20000 psf under the same footing, and a rectangular footing without L
+    [["width", "5"], ["depth", "3"], ["FS", "3"], ["verticalLoad", "100000"]].forEach(([key, value]) => [0, 1, 2].forEach(i => app.fill(`#footing-${key}-${i}`, value)));
+    app.fill("#footing-verticalLoad-1", "500000");
+    app.select("#footing-shape-2", "rectangular");
+    app.click("#check-project");
+
+    const rows = [...app.document.querySelectorAll("#project-table tbody tr")].map(row => [...row.cells].map(cell => cell.textContent));
+    assert.deepEqual(rows[0].slice(0, 9), ["F1", "square", "5", "3", "19904", "6635", "4000", "60%", "OK"]);
+    assert.deepEqual(rows[1].slice(6, 9), ["20000", "301%", "NOT OK"]);
+    assert.equal(rows[2][8], "");
+    assert.match(rows[2][9], /length is missing/);
+    assert.match(app.text("#project-results"), /1 of 3 footings pass\. 1 is overloaded\. 1 cannot be checked\./);
+});
+
+test("the project workspace follows the unit system", () => {
+    const app = loadApp();
+    app.fill("#project-cohesion", "100");
+    app.fill("#footing-width-0", "5");
+    app.fill("#footing-verticalLoad-0", "1000");
+    app.click("#si-units-radio-button");
+    assert.equal(app.document.querySelector("#project-cohesion").value, "4.78803");
+    assert.equal(app.document.querySelector("#footing-width-0").value, "1.524");
+    assert.equal(app.document.querySelector("#footing-verticalLoad-0").value, "4.44822");
+    app.click("#us-units-radio-button");
+    assert.equal(app.document.querySelector("#footing-verticalLoad-0").value, "1000");
+});
+
+test("a project file is imported in the app's units and checked", async () => {
+    const app = loadApp("#units=SI");
+    const importFile = text => {
+        let input = app.document.querySelector("#import-project");
+        Object.defineProperty(input, "files", {value: [new app.window.File([text], "project.json")], configurable: true});
+        //resolves on the load event of the reader the workspace opens, which follows its own onload handler
+        const FileReader = app.window.FileReader;
+        const readAsText = FileReader.prototype.readAsText;
+        let loaded = new Promise(resolve => {
+            FileReader.prototype.readAsText = function (file) {
+                FileReader.prototype.readAsText = readAsText;
+                this.addEventListener("load", resolve);
+                readAsText.call(this, file);
+            };
+        });
+        input.dispatchEvent(new app.window.Event("change", {bubbles: true}));
+        return loaded;
+    };
+    await importFile(JSON.stringify({version: 1, name: "Warehouse", units: "US",
+        site: {cohesion: 100, phi: 32, unitWeight: 120, groundwaterDepth: 4},
+        footings: [{name: "A1", shape: "square", width: 5, depth: 3, FS: 3, verticalLoad: 100000}]}));
+    assert.equal(app.document.querySelector("#project-name").value, "Warehouse");
+    assert.equal(app.document.querySelector("#footing-width-0").value, "1.524");
+    assert.match(app.text("#project-table tbody tr"), /^A1square/);
+    assert.match(app.text("#project-table tbody tr"), /60%OK/);
+
+    await importFile("not a project");
+    assert.match(app.text("#project"), /Cannot read the project: the file is not JSON/);
+    assert.equal(app.document.querySelector("#project-name").value, "Warehouse");
+});
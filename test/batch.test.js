@@ -0,0 +1,58 @@
+/*
+Unit tests of the batch mode: reading a schedule, and validating and calculating each of its rows on its own.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+const HEADINGS = "id,shape,c,phi,gamma,D,B,L,Dw,FS";
+
+function runCsv(...rows) {
+    return engine.runBatch(engine.parseBatch([HEADINGS, ...rows].join("\n")), "US");
+}
+
+test("a rectangular footing without a length is an error, not a square footing", () => {
+    const [rectangular, square] = runCsv("F1,rectangular,100,32,120,3,5,,4,3", "F2,square,100,32,120,3,5,,4,3");
+    assert.deepEqual(rectangular.errors, ["length is missing"]);
+    assert.equal(rectangular.bearingCapacity, undefined);
+    assert.deepEqual(square.errors, []);
+    assert.equal(square.allowableCapacity, 6635);
+});
+
+test("CSV fields may be quoted, with commas, doubled quotes and either line ending", () => {
+    assert.deepEqual(engine.parseCsv('a,"b,c","d ""q"""\r\n\r\n1,2,3'), [["a", "b,c", 'd "q"'], ["1", "2", "3"]]);
+});
+
+test("headings are matched by their short names, without units, and unknown columns are ignored", () => {
+    const [row] = engine.parseBatch("Mark,Shape,C (psf),φ,γ (pcf),D (ft),B (ft),Dw (ft),FS,notes\nF1,Square,100,32,120,3,5,4,3,x");
+    assert.deepEqual(row, {id: "F1", shape: "Square", cohesion: "100", phi: "32", unitWeight: "120", depth: "3", width: "5", groundwaterDepth: "4", FS: "3"});
+    //shapes are not case sensitive
+    assert.equal(engine.runBatch([row], "US")[0].allowableCapacity, 6635);
+});
+
+test("a JSON list gives the same rows as CSV, and other JSON is an error", () => {
+    const json = engine.parseBatch(JSON.stringify([{id: "F1", shape: "square", c: 100, phi: 32, gamma: 120, D: 3, B: 5, Dw: 4, FS: 3}]));
+    assert.equal(engine.runBatch(json, "US")[0].allowableCapacity, 6635);
+    assert.throws(() => engine.parseBatch("[1, 2]"), /JSON should be a list of footings/);
+    assert.throws(() => engine.parseBatch("[{"), SyntaxError);
+});
+
+test("a bad row is reported without stopping the others, and keeps its values as written", () => {
+    const [good, bad] = runCsv("F1,square,100,32,120,3,5,,4,3", ",continuous,x,30,115,2,3,,,3");
+    assert.equal(good.bearingCapacity, 19904);
+    assert.deepEqual(bad.errors, ["cohesion is not a number"]);
+    assert.equal(bad.cohesion, "x");
+    //rows without an id are numbered
+    assert.equal(bad.id, "2");
+});
+
+test("results are written as CSV with units in the headings", () => {
+    const csv = engine.batchToCsv(runCsv("F1,square,100,32,120,3,5,,4,3", "F2,continuous,x,30,115,2,3,,,3"), engine.UNIT_SYSTEMS.US);
+    assert.deepEqual(csv.split("\n"), [
+        "id,shape,c (psf),phi,gamma (pcf),D (ft),B (ft),L (ft),Dw (ft),FS,Nc,Nq,Ng,q ult (psf),q allow (psf),errors,warnings",
+        "F1,square,100,32,120,3,5,,4,3,44,28.5,28,19904,6635,,",
+        "F2,continuous,x,30,115,2,3,,,3,,,,,,cohesion is not a number,",
+        ""
+    ]);
+});
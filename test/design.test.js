@@ -0,0 +1,85 @@
+/*
+Unit tests of footing design: the smallest width, rounded up to the increment, whose allowable capacity carries the load.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+const METHODS = Object.keys(engine.BEARING_CAPACITY_METHODS);
+//the README's soil and groundwater, without a width
+const SITE = {cohesion: 100, phi: 32, unitWeight: 120, depth: 3, groundwaterDepth: 4, FS: 3};
+//[shape, vertical load], per unit length for continuous footings
+const LOADS = [["square", 200000], ["circular", 150000], ["continuous", 30000], ["rectangular", 300000]];
+
+function utilisation(inputs, method) {
+    let result = engine.calculateBearingCapacity(inputs, method);
+    return result.appliedPressure / result.allowableCapacity;
+}
+
+METHODS.forEach(method => {
+    LOADS.forEach(([shape, load]) => {
+        test(`${method}, ${shape}: the design width carries the load and one increment less does not`, () => {
+            const inputs = {...SITE, shape: shape, verticalLoad: load, width: 1, length: shape === "rectangular" ? 2 : undefined};
+            const design = engine.designFootingWidth(inputs, method);
+            const increment = engine.DEFAULT_WIDTH_INCREMENT.US;
+            assert.equal(design.converged, true);
+            assert.ok(Math.abs(design.width / increment - Math.round(design.width / increment)) < 1e-9, `${design.width} is not a multiple of ${increment}`);
+            assert.ok(design.utilisation <= 1, `utilisation ${design.utilisation}`);
+            //rectangular footings keep their L/B of 2
+            const size = width => ({...inputs, width: width, length: shape === "rectangular" ? 2 * width : undefined});
+            if (shape === "rectangular") assert.equal(design.length, 2 * design.width);
+            assert.ok(utilisation(size(design.width), method) <= 1);
+            assert.ok(utilisation(size(design.width - increment), method) > 1, `${design.width - increment} also carries the load`);
+        });
+    });
+});
+
+test("the iteration converges before the width is rounded up", () => {
+    const design = engine.designFootingWidth({...SITE, shape: "square", verticalLoad: 200000, width: 1});
+    const iterations = design.history.filter(step => step.stage === "iterate");
+    const last = iterations[iterations.length - 1];
+    assert.ok(Math.abs(last.requiredWidth - last.width) < engine.DESIGN_TOLERANCE);
+    assert.deepEqual(design.history.filter(step => step.stage === "round").map(step => step.width), [5.5]);
+    assert.equal(design.width, 5.5);
+    assert.equal(design.allowableCapacity, engine.calculateBearingCapacity({...SITE, shape: "square", width: 5.5}).allowableCapacity);
+});
+
+test("a larger increment rounds up further, and the load never exceeds the capacity", () => {
+    const inputs = {...SITE, shape: "square", verticalLoad: 200000};
+    assert.equal(engine.designFootingWidth(inputs, "terzaghi", 2).width, 6);
+    assert.equal(engine.designFootingWidth(inputs, "terzaghi", 0.1).width, 5.5);
+    //heavier loads need wider footings
+    let widths = [50000, 100000, 200000, 400000, 800000].map(load => engine.designFootingWidth({...inputs, verticalLoad: load}).width);
+    widths.slice(1).forEach((width, i) => assert.ok(width > widths[i], widths.join(", ")));
+});
+
+test("a missing, blank or non-positive vertical load is an input error", () => {
+    const inputs = {...SITE, shape: "square"};
+    [undefined, "", "x", 0, -1000].forEach(load => {
+        assert.throws(() => engine.designFootingWidth({...inputs, verticalLoad: load}), engine.InputValidationError, `load ${load}`);
+    });
+    assert.throws(() => engine.designFootingWidth({...inputs, verticalLoad: ""}), {message: "vertical load is missing"});
+    assert.throws(() => engine.designFootingWidth({...inputs, verticalLoad: 0}), {message: "vertical load should be greater than 0"});
+});
+
+test("a soil with no capacity stops the design without converging", () => {
+    //no strength and no overburden, so no width carries any load
+    const design = engine.designFootingWidth({...SITE, cohesion: 0, phi: 0, depth: 0, shape: "square", verticalLoad: 1000});
+    assert.equal(design.converged, false);
+    assert.equal(design.allowableCapacity, 0);
+    assert.ok(design.history.length <= 2 * engine.MAX_DESIGN_ITERATIONS);
+});
+
+test("with both analysis cases, the footing is designed for the case that needs it wider", () => {
+    //a clay whose short term capacity is far below its long term one
+    const clay = {...SITE, phi: 28, undrainedShearStrength: 500, shape: "square", verticalLoad: 200000};
+    const drained = engine.designFootingWidth({...clay, analysisCase: "drained"});
+    const undrained = engine.designFootingWidth({...clay, analysisCase: "undrained"});
+    assert.ok(undrained.width > drained.width, `${undrained.width} ft undrained, ${drained.width} ft drained`);
+    const both = engine.designFootingWidth({...clay, analysisCase: "both"});
+    assert.equal(both.width, undrained.width);
+    assert.equal(both.analysisCase, "undrained");
+    assert.equal(both.allowableCapacity, undrained.allowableCapacity);
+    assert.match(both.explanation, /^The undrained \(short term\) case governs/);
+});
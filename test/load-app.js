@@ -0,0 +1,94 @@
+/*
+Loads the app into jsdom for the component tests, the way the browser loads the built app:
+index.html with app.js bundled in memory by esbuild, with the options of scripts/build.js.
+Each call gives a new window, with its own localStorage, rendering a new BearingCapacityApp.
+loadModule bundles a single UI module for Node, for testing its functions without a page.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {JSDOM, VirtualConsole} = require("jsdom");
+const esbuild = require("esbuild");
+const {appOptions} = require("../scripts/build");
+
+const ROOT = path.join(__dirname, "..");
+const HTML = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+
+let appScript; //bundled once for every window
+
+function bundledApp() {
+    /*
+    Returns app.js as the build makes it, without writing it to dist/.
+    */
+    if (appScript) return appScript;
+    const output = esbuild.buildSync({...appOptions(), minify: false, write: false}).outputFiles.find(file => file.path.endsWith(".js"));
+    appScript = new vm.Script(output.text, {filename: "app.js"});
+    return appScript;
+}
+
+function loadModule(file) {
+    /*
+    Returns the exports of the UI module javascript/file, bundled with its imports into CommonJS.
+    */
+    const output = esbuild.buildSync({
+        entryPoints: [path.join(ROOT, "javascript", file)],
+        bundle: true,
+        write: false,
+        format: "cjs",
+        platform: "node",
+        loader: {".js": "jsx"},
+        logLevel: "warning"
+    }).outputFiles[0];
+    const module = {exports: {}};
+    new Function("module", "exports", "require", output.text)(module, module.exports, require);
+    return module.exports;
+}
+
+function loadApp(hash="") {
+    /*
+    Returns {window, document, fill, click, text, select} for a new page.
+    hash: URL hash the page opens with, e.g. "#units=SI"
+    fill(selector, value) types value into an input, click(selector) clicks an element,
+    text(selector) = textContent of the first match or undefined, select(selector, value) picks an option
+    */
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", error => {
+        throw error;
+    });
+    const dom = new JSDOM(HTML.replace(/<script[\s\S]*?<\/script>/g, ""), {runScripts: "outside-only", url: `http://localhost/${hash}`, virtualConsole: virtualConsole});
+    bundledApp().runInContext(dom.getInternalVMContext());
+
+    const window = dom.window;
+    const document = window.document;
+    const element = selector => {
+        let found = document.querySelector(selector);
+        if (!found) throw new Error(`${selector} is not on the page`);
+        return found;
+    };
+    //React tracks the value it last saw, so values are set through the prototype's setter
+    const setValue = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, "value").set;
+    return {
+        window: window,
+        document: document,
+        fill(selector, value) {
+            let input = element(selector);
+            setValue.call(input, value);
+            input.dispatchEvent(new window.Event("input", {bubbles: true}));
+        },
+        click(selector) {
+            element(selector).dispatchEvent(new window.MouseEvent("click", {bubbles: true}));
+        },
+        text(selector) {
+            let found = document.querySelector(selector);
+            return found ? found.textContent : undefined;
+        },
+        select(selector, value) {
+            let input = element(selector);
+            input.value = value;
+            input.dispatchEvent(new window.Event("change", {bubbles: true}));
+        }
+    };
+}
+
+module.exports = {loadApp, loadModule};
@@ -0,0 +1,61 @@
+/*
+Unit tests of the footing geometry under load: Meyerhof's effective area for eccentric loads,
+and rectangular footings, which should approach a continuous footing as L/B grows.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+const METHODS = Object.keys(engine.BEARING_CAPACITY_METHODS);
+//the README's example: 6635 psf allowable
+const FOOTING = {cohesion: 100, phi: 32, unitWeight: 120, depth: 3, width: 5, groundwaterDepth: 4, shape: "square", FS: 3};
+
+test("a moment reduces the width to B' = B - 2e, and the load spreads over B' L'", () => {
+    //e = 50000 / 100000 = 0.5 ft, B' = 5 - 2(0.5) = 4 ft, L' = 5 ft, q = 100000 / 20 = 5000 psf
+    const result = engine.calculateBearingCapacity({...FOOTING, verticalLoad: 100000, momentB: 50000});
+    assert.equal(result.eccentricityB, 0.5);
+    assert.equal(result.effectiveWidth, 4);
+    assert.equal(result.effectiveLength, 5);
+    assert.equal(result.effectiveShape, "rectangular");
+    assert.equal(result.effectiveArea, 20);
+    assert.equal(result.appliedPressure, 5000);
+});
+
+test("moments along both sides reduce both dimensions, and B' is the shorter", () => {
+    //eB = 0.2 ft, eL = 0.8 ft: B - 2eB = 4.6 ft, L - 2eL = 3.4 ft
+    const result = engine.calculateBearingCapacity({...FOOTING, verticalLoad: 100000, momentB: 20000, momentL: 80000});
+    assert.ok(Math.abs(result.effectiveWidth - 3.4) < 1e-9);
+    assert.ok(Math.abs(result.effectiveLength - 4.6) < 1e-9);
+    assert.ok(Math.abs(result.effectiveArea - 3.4 * 4.6) < 1e-9);
+});
+
+test("a continuous footing has B' = B - 2e per unit length", () => {
+    //e = 5000 / 10000 = 0.5 ft, B' = 4 ft, q = 10000 / 4 = 2500 psf
+    const result = engine.calculateBearingCapacity({...FOOTING, shape: "continuous", verticalLoad: 10000, momentB: 5000});
+    assert.equal(result.effectiveWidth, 4);
+    assert.equal(result.effectiveLength, Infinity);
+    assert.equal(result.effectiveArea, 4);
+    assert.equal(result.appliedPressure, 2500);
+});
+
+METHODS.forEach(method => {
+    test(`${method}: capacity and allowable load fall as the eccentricity grows`, () => {
+        let results = [0, 10000, 30000, 60000, 100000].map(momentB => engine.calculateBearingCapacity({...FOOTING, verticalLoad: 100000, momentB: momentB}, method));
+        results.slice(1).forEach((result, i) => {
+            assert.ok(result.allowableLoad < results[i].allowableLoad, `${results[i].allowableLoad} then ${result.allowableLoad}`);
+            assert.ok(result.appliedPressure > results[i].appliedPressure);
+        });
+    });
+
+    test(`${method}: a rectangular footing approaches the continuous footing as L/B grows`, () => {
+        const continuous = engine.calculateBearingCapacity({...FOOTING, shape: "continuous"}, method).bearingCapacity;
+        const square = engine.calculateBearingCapacity(FOOTING, method).bearingCapacity;
+        let capacities = [1, 2, 5, 10, 100, 1000].map(ratio => engine.calculateBearingCapacity({...FOOTING, shape: "rectangular", length: 5 * ratio}, method).bearingCapacity);
+        //L = B is a square footing
+        assert.equal(capacities[0], square);
+        capacities.slice(1).forEach((capacity, i) => assert.ok(capacity < capacities[i], capacities.join(", ")));
+        assert.ok(capacities.every(capacity => capacity >= continuous), `${capacities.join(", ")} against ${continuous}`);
+        assert.ok((capacities[capacities.length - 1] - continuous) / continuous < 0.001, `${capacities[capacities.length - 1]} against ${continuous}`);
+    });
+});
@@ -0,0 +1,63 @@
+/*
+Unit tests of project files: reading them, refusing files that aren't projects, and converting them between unit systems.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadModule} = require("./load-app");
+
+const {PROJECT_FILE_VERSION, parseProject, projectToJson, convertProject, checkProject} = loadModule("engine/project.js");
+
+const PROJECT = {version: 1, name: "Warehouse", units: "US",
+    site: {cohesion: 100, phi: 32, unitWeight: 120, groundwaterDepth: 4},
+    footings: [
+        {name: "A1", shape: "square", width: 5, depth: 3, FS: 3, verticalLoad: 100000},
+        {name: "W1", shape: "continuous", width: 3, depth: 2, FS: 3, verticalLoad: 10000}
+    ]};
+
+test("a project file is read with every value as a string, and written back unchanged", () => {
+    const project = parseProject(JSON.stringify(PROJECT));
+    assert.deepEqual(project.site, {cohesion: "100", phi: "32", unitWeight: "120", groundwaterDepth: "4"});
+    assert.deepEqual(project.footings[1], {name: "W1", shape: "continuous", width: "3", length: "", depth: "2", FS: "3", verticalLoad: "10000"});
+    assert.deepEqual(parseProject(projectToJson(project)), project);
+    assert.equal(JSON.parse(projectToJson(project)).version, PROJECT_FILE_VERSION);
+});
+
+test("missing values are blank, a missing unit system is US, and footings without a name are numbered", () => {
+    const project = parseProject(JSON.stringify({footings: [{}, {name: "B2"}]}));
+    assert.equal(project.units, "US");
+    assert.equal(project.name, "");
+    assert.deepEqual(project.site, {cohesion: "", phi: "", unitWeight: "", groundwaterDepth: ""});
+    assert.deepEqual(project.footings.map(footing => [footing.name, footing.shape]), [["F1", "square"], ["B2", "square"]]);
+});
+
+test("files that aren't projects are refused with a message", () => {
+    assert.throws(() => parseProject("{\"footings\": ["), {message: "the file is not JSON"});
+    assert.throws(() => parseProject(""), {message: "the file is not JSON"});
+    assert.throws(() => parseProject("[]"), {message: "a project should be an object with a list of footings"});
+    assert.throws(() => parseProject("null"), {message: "a project should be an object with a list of footings"});
+    assert.throws(() => parseProject(JSON.stringify({name: "Warehouse", footings: {}})), {message: "a project should be an object with a list of footings"});
+    assert.throws(() => parseProject(JSON.stringify({...PROJECT, version: PROJECT_FILE_VERSION + 1})),
+        {message: `the file is from a later version (${PROJECT_FILE_VERSION + 1}) of the project format`});
+    assert.throws(() => parseProject(JSON.stringify({...PROJECT, units: "imperial"})), {message: "unknown unit system imperial"});
+    assert.throws(() => parseProject(JSON.stringify({...PROJECT, footings: [PROJECT.footings[0], "W1"]})), {message: "footing 2 should be an object"});
+});
+
+test("converting a project converts each value by its quantity, and the load by the footing's shape", () => {
+    const project = parseProject(JSON.stringify({...PROJECT, site: {...PROJECT.site, groundwaterDepth: ""}}));
+    const si = convertProject(project, "SI");
+    assert.equal(si.units, "SI");
+    assert.deepEqual(si.site, {cohesion: "4.78803", phi: "32", unitWeight: "18.8505", groundwaterDepth: ""});
+    assert.deepEqual(si.footings.map(footing => [footing.width, footing.depth, footing.FS, footing.verticalLoad]),
+        [["1.524", "0.9144", "3", "444.822"], ["0.9144", "0.6096", "3", "145.939"]]);
+    //the original is unchanged, and converting back gives its values to 6 significant figures
+    assert.equal(project.site.cohesion, "100");
+    assert.deepEqual(convertProject(si, "US"), project);
+    assert.equal(convertProject(project, "US"), project);
+});
+
+test("a converted project checks to the same utilisation", () => {
+    const project = parseProject(JSON.stringify(PROJECT));
+    const utilisation = results => results.footings.map(row => row.utilisation);
+    assert.deepEqual(utilisation(checkProject(convertProject(project, "SI"))), utilisation(checkProject(project)));
+});
@@ -0,0 +1,155 @@
+/*
+Properties every bearing capacity calculation should have, checked over ranges of inputs
+and over random footings drawn with the engine's seeded generator, so a failure can be reproduced.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+const METHODS = Object.keys(engine.BEARING_CAPACITY_METHODS);
+const SHAPES = ["continuous", "square", "circular"];
+const FOOTING = {cohesion: 100, phi: 30, unitWeight: 120, depth: 3, width: 5, FS: 3};
+
+function capacity(inputs, method="terzaghi") {
+    return engine.calculateBearingCapacity(inputs, method).bearingCapacity;
+}
+
+function assertIncreasing(values, message) {
+    values.slice(1).forEach((value, i) => assert.ok(value > values[i], `${message}: ${values[i]} then ${value}`));
+}
+
+function randomFooting(random) {
+    //a valid footing: c 0 to 2000 psf, phi 0 to 40 degrees, γ 90 to 140 pcf, D 0 to 8 ft, B 1 to 15 ft, groundwater anywhere or none
+    const between = (from, to) => from + random() * (to - from);
+    return {
+        cohesion: Math.round(between(0, 2000)),
+        phi: Math.round(between(0, 40)),
+        unitWeight: Math.round(between(90, 140)),
+        depth: Math.round(between(0, 8) * 10) / 10,
+        width: Math.round(between(1, 15) * 10) / 10,
+        groundwaterDepth: random() < 0.3 ? undefined : Math.round(between(0, 25) * 10) / 10,
+        shape: SHAPES[Math.floor(random() * SHAPES.length)],
+        FS: 3
+    };
+}
+
+METHODS.forEach(method => {
+    SHAPES.forEach(shape => {
+        test(`${method}, ${shape}: capacity increases with phi`, () => {
+            let values = [];
+            for (let phi = 0; phi <= engine.MAX_TABLE_PHI; phi++) values.push(capacity({...FOOTING, shape: shape, phi: phi}, method));
+            assertIncreasing(values, "phi");
+        });
+    });
+
+    test(`${method}: capacity increases with cohesion`, () => {
+        assertIncreasing([0, 50, 100, 500, 1000].map(cohesion => capacity({...FOOTING, shape: "square", cohesion: cohesion}, method)), "cohesion");
+    });
+
+    test(`${method}: capacity increases with depth and width in dry sand`, () => {
+        assertIncreasing([0, 1, 2, 4, 8].map(depth => capacity({...FOOTING, shape: "square", cohesion: 0, depth: depth}, method)), "depth");
+        //on the surface, since depth factors that fall with D/B can outweigh the unit weight term
+        assertIncreasing([1, 2, 4, 8].map(width => capacity({...FOOTING, shape: "square", cohesion: 0, depth: 0, width: width}, method)), "width");
+    });
+
+    test(`${method}: rising groundwater never increases capacity`, () => {
+        //from below the influence zone to the ground surface, and above it
+        let values = [10, 8, 7, 6, 5, 4, 3, 2, 1, 0, -1].map(groundwaterDepth => capacity({...FOOTING, shape: "square", groundwaterDepth: groundwaterDepth}, method));
+        values.slice(1).forEach((value, i) => assert.ok(value <= values[i], `${values[i]} then ${value}`));
+        assert.equal(values[0], capacity({...FOOTING, shape: "square"}, method));
+    });
+});
+
+test("the allowable capacity is the ultimate capacity divided by FS", () => {
+    [1, 2, 2.5, 3, 4].forEach(FS => {
+        let result = engine.calculateBearingCapacity({...FOOTING, shape: "square", FS: FS});
+        assert.equal(result.allowableCapacity, engine.roundTo(result.bearingCapacity / FS, 0));
+    });
+});
+
+test("local shear gives less capacity than general shear", () => {
+    for (let phi = 1; phi <= engine.MAX_TABLE_PHI; phi++) {
+        SHAPES.forEach(shape => {
+            let general = capacity({...FOOTING, shape: shape, phi: phi, failureMode: "general"});
+            let local = capacity({...FOOTING, shape: shape, phi: phi, failureMode: "local"});
+            assert.ok(local < general, `phi = ${phi}, ${shape}: ${local} against ${general}`);
+        });
+    }
+});
+
+test("the closed-form equations reproduce the factor table", () => {
+    for (let phi = 0; phi <= engine.MAX_TABLE_PHI; phi++) {
+        assert.deepEqual(engine.terzaghiClosedFormFactors(phi), engine.NTerzaghi[phi], `phi = ${phi}`);
+    }
+});
+
+test("interpolated factors lie between the table rows", () => {
+    for (let phi = 0; phi < engine.MAX_TABLE_PHI; phi += 0.25) {
+        let factors = engine.interpolatedTerzaghiFactors(phi);
+        let [lower, upper] = [engine.NTerzaghi[Math.floor(phi)], engine.NTerzaghi[Math.ceil(phi)]];
+        factors.forEach((value, i) => assert.ok(value >= lower[i] && value <= upper[i], `phi = ${phi}`));
+    }
+});
+
+test("the same footing gives the same capacity in US and SI units", () => {
+    //1 ft = 0.3048 m, 1 psf = 0.04788 kPa, 1 pcf = 0.15709 kN/m³
+    const US = {cohesion: 400, phi: 28, unitWeight: 115, depth: 4, width: 6, groundwaterDepth: 6, shape: "square", FS: 3};
+    const SI = {
+        units: "SI",
+        cohesion: US.cohesion * 0.0478803,
+        phi: US.phi,
+        unitWeight: US.unitWeight * 0.157087,
+        depth: US.depth * 0.3048,
+        width: US.width * 0.3048,
+        groundwaterDepth: US.groundwaterDepth * 0.3048,
+        shape: US.shape,
+        FS: 3
+    };
+    METHODS.forEach(method => {
+        let us = capacity(US, method) * 0.0478803;
+        let si = capacity(SI, method);
+        assert.ok(Math.abs(us - si) / si < 0.001, `${method}: ${us} against ${si} kPa`);
+    });
+});
+
+test("random footings are valid and add up", () => {
+    const random = engine.seededRandom(2024);
+    for (let i = 0; i < 500; i++) {
+        let inputs = randomFooting(random);
+        assert.deepEqual(engine.validateInputs(inputs).errors, [], JSON.stringify(inputs));
+        METHODS.forEach(method => {
+            let result = engine.calculateBearingCapacity(inputs, method);
+            let sum = result.terms.c + result.terms.q + result.terms.g;
+            assert.ok(Number.isFinite(result.bearingCapacity) && result.bearingCapacity >= 0, `${method} ${JSON.stringify(inputs)}`);
+            assert.ok(Math.abs(result.bearingCapacity - sum) <= 0.5, `${method} ${JSON.stringify(inputs)}`);
+            assert.ok(result.effectiveUnitWeight <= inputs.unitWeight, `${method} ${JSON.stringify(inputs)}`);
+        });
+    }
+});
+
+function evaluateSubstitution(step) {
+    //the arithmetic of a substitution such as "0.4 x 57.6 x 5 x 28", or undefined if it is written in words
+    if (!/^[-0-9.() x+/]+$/.test(step.substitution)) return undefined;
+    return Function(`return ${step.substitution.replace(/x/g, "*")}`)();
+}
+
+test("every step of the worked solution reproduces its result", () => {
+    const random = engine.seededRandom(2025);
+    const footings = [
+        {...FOOTING, shape: "square", groundwaterDepth: 4},
+        {...FOOTING, shape: "circular", groundwaterDepth: 5.5, unitWeight: 117.5},
+        {...FOOTING, units: "SI", cohesion: 4.8, unitWeight: 18.85, depth: 0.9, width: 1.52, groundwaterDepth: 1.2, shape: "square"}
+    ];
+    for (let i = 0; i < 200; i++) footings.push(randomFooting(random));
+    footings.forEach(inputs => METHODS.forEach(method => {
+        let result = engine.calculateBearingCapacity(inputs, method);
+        //half a unit in the last place of the results
+        let tolerance = 0.5 * Math.pow(10, -result.unitSystem.decimals) + 1e-9;
+        result.workedSolution().forEach(step => {
+            let value = evaluateSubstitution(step);
+            if (value === undefined) return;
+            assert.ok(Math.abs(value - step.result) <= tolerance, `${method} ${step.symbol}: ${step.substitution} = ${value}, not ${step.result}, ${JSON.stringify(inputs)}`);
+        });
+    }));
+});
@@ -0,0 +1,69 @@
+/*
+Parity with terzaghi_bearing_capacity.py, the original Python version of the calculation.
+The factor table is read from the Python source, so the two copies cannot drift apart unnoticed.
+The calculations are compared by running the Python function, and are skipped where python3 is not installed.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {spawnSync} = require("child_process");
+const engine = require("../javascript/engine");
+
+const PYTHON_FILE = path.join(__dirname, "..", "terzaghi_bearing_capacity.py");
+
+function pythonTable() {
+    //key=phi, value=[Nc, Nq, Ng], from the N_Terzaghi dict
+    const source = fs.readFileSync(PYTHON_FILE, "utf8");
+    const dict = source.match(/N_Terzaghi\s*=\s*\{([\s\S]*?)\}/)[1];
+    let table = {};
+    for (const [, phi, factors] of dict.matchAll(/(\d+)\s*:\s*\[([^\]]*)\]/g)) table[phi] = factors.split(",").map(Number);
+    return table;
+}
+
+test("NTerzaghi matches the Python table", () => {
+    assert.deepEqual(pythonTable(), engine.NTerzaghi);
+});
+
+//footings run through both versions. The Python version has US units and Terzaghi's shapes, and no groundwater above the surface
+const CASES = [];
+["continuous", "square", "circular"].forEach(shape => {
+    [0, 15, 28, 34, 41].forEach(phi => {
+        [undefined, 0, 1, 2, 3, 4.5, 8, 12].forEach(groundwaterDepth => {
+            CASES.push({cohesion: 250, phi: phi, depth: 2, unitWeight: 118, width: 4, shape: shape, groundwaterDepth: groundwaterDepth});
+        });
+    });
+});
+
+function runPython(cases) {
+    /*
+    Returns the Python function's bearing capacity for each case, or undefined if python3 cannot be run.
+    */
+    const script = `
+import contextlib, io, json, sys
+sys.dont_write_bytecode = True
+sys.path.insert(0, sys.argv[1])
+with contextlib.redirect_stdout(io.StringIO()):
+    import terzaghi_bearing_capacity as module
+    results = [module.terzaghi_bearing_capacity(c["cohesion"], c["phi"], c["depth"], c["unitWeight"], c["width"], c["shape"], c.get("groundwaterDepth"))
+        for c in json.loads(sys.stdin.read())]
+print(json.dumps(results))
+`;
+    const python = spawnSync("python3", ["-c", script, path.dirname(PYTHON_FILE)], {input: JSON.stringify(cases), encoding: "utf8", timeout: 60000});
+    if (python.error || python.status !== 0) return undefined;
+    return JSON.parse(python.stdout);
+}
+
+test("the engine gives the Python function's bearing capacity", t => {
+    const expected = runPython(CASES);
+    if (expected === undefined) {
+        t.skip("python3 is not available");
+        return;
+    }
+    CASES.forEach((inputs, i) => {
+        let result = new engine.TerzaghiBearingCapacity(inputs);
+        //the engine rounds to whole psf
+        assert.ok(Math.abs(result.bearingCapacity - expected[i]) <= 0.5, `${JSON.stringify(inputs)}: ${result.bearingCapacity} against ${expected[i]}`);
+    });
+});
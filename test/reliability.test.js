@@ -0,0 +1,93 @@
+/*
+Unit tests of the Monte Carlo reliability analysis: reproducible samples, statistics that match the distributions,
+and the probability of failure and reliability index against an applied pressure.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+//the README's example: q_ult = 19904 psf
+const FOOTING = {cohesion: 100, phi: 32, unitWeight: 120, depth: 3, width: 5, groundwaterDepth: 4, shape: "square", FS: 3};
+const PHI = {phi: {distribution: "normal", mean: 32, cov: 0.1}};
+
+test("the same seed gives the same samples, and another seed different ones", () => {
+    const options = {samples: 1000, seed: 7, appliedPressure: 10000};
+    assert.deepEqual(engine.reliabilityAnalysis(FOOTING, PHI, options), engine.reliabilityAnalysis(FOOTING, PHI, options));
+    assert.notEqual(engine.reliabilityAnalysis(FOOTING, PHI, {...options, seed: 8}).mean, engine.reliabilityAnalysis(FOOTING, PHI, options).mean);
+    const random = engine.seededRandom(3);
+    const first = random();
+    assert.ok(first >= 0 && first < 1);
+    assert.equal(engine.seededRandom(3)(), first);
+});
+
+test("q_ult is linear in c, so a normal c gives a normal q_ult with the same coefficient", () => {
+    //q_c = 1.3 x c x 44, so the standard deviation of q_ult is 1.3 x 44 x 10 = 572 psf for c = 100 ± 10 psf
+    const analysis = engine.reliabilityAnalysis(FOOTING, {cohesion: {distribution: "normal", mean: 100, cov: 0.1}}, {samples: 5000});
+    assert.equal(analysis.baseCapacity, 19904);
+    assert.ok(Math.abs(analysis.mean - 19904) < 30, `mean ${analysis.mean}`);
+    assert.ok(Math.abs(analysis.standardDeviation - 572) / 572 < 0.05, `standard deviation ${analysis.standardDeviation}`);
+    assert.ok(analysis.percentiles.p5 < analysis.percentiles.p50 && analysis.percentiles.p50 < analysis.percentiles.p95);
+    assert.equal(analysis.histogram.reduce((count, bin) => count + bin.count, 0), 5000);
+});
+
+test("a variable with no spread gives the base case in every sample", () => {
+    const analysis = engine.reliabilityAnalysis(FOOTING, {phi: {distribution: "lognormal", mean: 32, cov: 0}}, {samples: 100});
+    assert.equal(analysis.mean, 19904);
+    assert.equal(analysis.standardDeviation, 0);
+    assert.equal(analysis.probabilityOfFailure, undefined);
+});
+
+test("the probability of failure and reliability index follow the applied pressure", () => {
+    const run = appliedPressure => engine.reliabilityAnalysis(FOOTING, PHI, {samples: 2000, appliedPressure: appliedPressure});
+    const analyses = [5000, 10000, 15000, 20000].map(run);
+    analyses.slice(1).forEach((analysis, i) => {
+        assert.ok(analysis.probabilityOfFailure >= analyses[i].probabilityOfFailure);
+        assert.ok(analysis.reliabilityIndex < analyses[i].reliabilityIndex);
+    });
+    analyses.forEach(analysis => {
+        assert.equal(analysis.failures, Math.round(analysis.probabilityOfFailure * 2000));
+        //Cornell's β = (mean - q) / σ
+        assert.ok(Math.abs(analysis.reliabilityIndex - (analysis.mean - analysis.appliedPressure) / analysis.standardDeviation) < 0.01);
+    });
+    //without an applied pressure, the vertical load gives it: 100000 lb on 25 ft²
+    assert.equal(engine.reliabilityAnalysis({...FOOTING, verticalLoad: 100000}, PHI, {samples: 100}).appliedPressure, 4000);
+});
+
+test("invalid variables are errors", () => {
+    assert.throws(() => engine.reliabilityAnalysis(FOOTING, {phi: {distribution: "lognormal", mean: 0, cov: 0.1}}),
+        {name: "InputValidationError", message: /phi mean should be greater than 0/});
+    assert.throws(() => engine.reliabilityAnalysis(FOOTING, {depth: {distribution: "normal", mean: 3, cov: 0.1}}),
+        {name: "InputValidationError", message: /depth should be one of/});
+});
+
+test("samples that make the slope unstable have no q_ult and count as failures", () => {
+    //phi = 30 ± 4.5 degrees under a 27 degree slope: about a quarter of the samples are at or below the slope angle
+    const slope = {...FOOTING, phi: 30, groundwaterDepth: undefined, slopeAngle: 27, setback: 0};
+    const variables = {phi: {distribution: "normal", mean: 30, cov: 0.15}};
+    const analysis = engine.reliabilityAnalysis(slope, variables, {samples: 2000, appliedPressure: 1});
+    assert.ok(analysis.invalidSamples > 300 && analysis.invalidSamples < 700, `${analysis.invalidSamples} invalid samples`);
+    assert.equal(analysis.invalidMessages.length, 1);
+    assert.match(analysis.invalidMessages[0], /slope angle should be less than phi/);
+    //no valid sample is below 1 psf, so the failures are the invalid samples
+    assert.equal(analysis.failures, analysis.invalidSamples);
+    assert.equal(analysis.histogram.reduce((count, bin) => count + bin.count, 0), 2000 - analysis.invalidSamples);
+    //the valid samples all have phi above the slope angle, so q_ult is never below that of a phi just above it
+    assert.ok(analysis.min >= engine.calculateBearingCapacity({...slope, phi: 27.01}).bearingCapacity, `min ${analysis.min}`);
+    assert.equal(engine.reliabilityAnalysis(FOOTING, PHI, {samples: 100}).invalidSamples, 0);
+});
+
+//a sand over a soft clay, where a check against the clay governs
+const LAYERED = {depth: 3, width: 5, shape: "square", FS: 3, groundwaterDepth: 20,
+    layers: [{thickness: 4, cohesion: 0, phi: 34, unitWeight: 120}, {thickness: 10, cohesion: 200, phi: 0, unitWeight: 110}]};
+
+test("on a layered profile, q_ult includes the checks against weaker layers", () => {
+    const layered = engine.layeredBearingCapacity(LAYERED);
+    assert.ok(layered.bearingCapacity < layered.result.bearingCapacity);
+    const analysis = engine.reliabilityAnalysis(LAYERED, {phi: {distribution: "normal", mean: 34, cov: 0}}, {samples: 10});
+    assert.equal(analysis.baseCapacity, layered.bearingCapacity);
+    assert.equal(analysis.mean, layered.bearingCapacity);
+    //the layers set the unit weight, so it can't be varied
+    assert.throws(() => engine.reliabilityAnalysis(LAYERED, {unitWeight: {distribution: "normal", mean: 120, cov: 0.1}}),
+        {name: "InputValidationError", message: /unit weight can't be given a distribution with a layered profile/});
+});
@@ -0,0 +1,93 @@
+/*
+Unit tests of the settlement estimate against hand calculations: the immediate settlement of an elastic soil,
+the consolidation of a clay layer, the stress distributions, and the pressure that limits the settlement.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+//the README's example: 6635 psf allowable, 360 psf total stress at the base
+const FOOTING = {cohesion: 100, phi: 32, unitWeight: 120, depth: 3, width: 5, groundwaterDepth: 4, shape: "square", FS: 3};
+
+function near(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ""} ${actual} against ${expected}`);
+}
+
+test("elastic influence factors match the published values", () => {
+    near(engine.elasticInfluenceFactor("square"), 1.12, 0.005);
+    near(engine.elasticInfluenceFactor("rectangular", 10), 2.54, 0.005);
+    assert.equal(engine.elasticInfluenceFactor("circular"), 1);
+});
+
+test("the stress increase below the centre of a square footing", () => {
+    //at the base, the whole net pressure
+    assert.equal(engine.stressIncrease(1000, 0, 5, 5, "square"), 1000);
+    //2:1 at z = B: 1000 x 5 x 5 / (10 x 10) = 250 psf
+    near(engine.stressIncrease(1000, 5, 5, 5, "square"), 250, 1e-9);
+    //Boussinesq at z = B: 4 corners of m = n = 0.5, I = 0.0840 each
+    near(engine.stressIncrease(1000, 5, 5, 5, "square", "boussinesq"), 336, 1);
+    //continuous footing, 2:1 at z = B: 1000 x 5 / 10
+    near(engine.stressIncrease(1000, 5, 5, undefined, "continuous"), 500, 1e-9);
+});
+
+test("immediate settlement of an elastic soil: Se = q B (1 - ν²) Iw / Es", () => {
+    //100000 lb on 5 ft x 5 ft: q = 4000 psf gross, 4000 - 360 = 3640 psf net
+    //Se = 3640 x 5 x (1 - 0.3²) x 1.122 / 2000000 = 0.00929 ft = 0.11 in
+    const analysis = engine.settlementAnalysis({...FOOTING, elasticModulus: 2000000, poissonRatio: 0.3, verticalLoad: 100000});
+    assert.deepEqual(analysis.appliedSettlement, {elastic: 0.11, consolidation: 0, total: 0.11});
+    //the stiff soil settles less than 1 in at the allowable bearing capacity, so bearing capacity governs
+    assert.equal(analysis.governing, "bearingCapacity");
+    assert.equal(analysis.allowablePressure, 6635);
+    assert.ok(analysis.settlementPressure > 6635);
+});
+
+test("settlement governs a soft soil at the pressure that settles by the allowable settlement", () => {
+    const inputs = {...FOOTING, elasticModulus: 200000, poissonRatio: 0.3};
+    const analysis = engine.settlementAnalysis(inputs);
+    assert.equal(analysis.governing, "settlement");
+    assert.equal(analysis.allowablePressure, analysis.settlementPressure);
+    assert.ok(analysis.settlementPressure < analysis.bearingPressure);
+    //Se = 1 in = 1/12 ft: q net = (1/12) x 200000 / (5 x 0.91 x 1.122) = 3264 psf, 3624 psf gross
+    const influence = engine.elasticInfluenceFactor("square");
+    near(analysis.settlementPressure, 360 + 200000 / 12 / (5 * 0.91 * influence), 1);
+    near(engine.settlementAt(inputs, analysis.result, analysis.settlementPressure).total, 1, 0.001);
+    assert.deepEqual(analysis.settlement, {elastic: 1, consolidation: 0, total: 1});
+});
+
+test("consolidation of a thin normally consolidated clay layer", () => {
+    //0.5 ft of clay from 8 to 8.5 ft, within one sublayer, in dry sand
+    const layers = [
+        {thickness: 8, cohesion: 0, phi: 32, unitWeight: 120},
+        {thickness: 0.5, cohesion: 0, phi: 32, unitWeight: 110, compressionIndex: 0.3, voidRatio: 0.9},
+        {cohesion: 0, phi: 32, unitWeight: 120}
+    ];
+    const inputs = {...FOOTING, cohesion: undefined, phi: undefined, unitWeight: undefined, groundwaterDepth: undefined, layers: layers};
+    const result = engine.calculateBearingCapacity(inputs);
+    //3360 psf gross is 3000 psf net. At the middle of the clay, z = 5.25 ft below the base:
+    //σ'0 = 8 x 120 + 0.25 x 110 = 987.5 psf, Δσ = 3000 x 5² / 10.25² = 713.9 psf
+    //S = 0.5 / 1.9 x 0.3 log10((987.5 + 713.9) / 987.5) = 0.01863 ft = 0.2236 in
+    const initialStress = 987.5;
+    const increase = 3000 * 25 / (10.25 * 10.25);
+    const expected = 0.5 / 1.9 * 0.3 * Math.log10((initialStress + increase) / initialStress) * 12;
+    const settlement = engine.settlementAt(inputs, result, 3360);
+    assert.equal(settlement.elastic, 0);
+    assert.equal(settlement.sublayers.length, 1);
+    near(settlement.sublayers[0].initialStress, initialStress, 1e-9);
+    near(settlement.sublayers[0].stressIncrease, increase, 1e-9);
+    near(settlement.consolidation, expected, 1e-9);
+    near(expected, 0.2236, 0.0005);
+});
+
+test("overconsolidated clay stays on the recompression line below its preconsolidation stress", () => {
+    const inputs = {...FOOTING, compressionIndex: 0.3, voidRatio: 0.9};
+    const result = engine.calculateBearingCapacity(inputs);
+    const normal = engine.settlementAt(inputs, result, 2000).consolidation;
+    const over = engine.settlementAt({...inputs, preconsolidationStress: 10000}, result, 2000).consolidation;
+    //Cr defaults to 0.15 Cc, and no sublayer is loaded past 10000 psf
+    near(over, normal * engine.RECOMPRESSION_RATIO, 1e-9);
+});
+
+test("a footing with nothing to settle is an error", () => {
+    assert.throws(() => engine.settlementAnalysis(FOOTING), {name: "InputValidationError", message: /elastic modulus is missing/});
+});
@@ -0,0 +1,31 @@
+/*
+Unit tests of SoilProfile: stresses and strengths integrated through the layers of a boring log.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+//4 ft of sand over clay with su, then a clay layer without su
+const LAYERS = [
+    {thickness: 4, cohesion: 0, phi: 30, unitWeight: 120},
+    {thickness: 6, cohesion: 200, phi: 10, unitWeight: 110, undrainedShearStrength: 1000},
+    {cohesion: 400, phi: 0, unitWeight: 115}
+];
+
+test("strengths are averaged by the thickness of each layer in the range", () => {
+    const profile = new engine.SoilProfile(LAYERS, Infinity, "US");
+    //2 ft of sand and 2 ft of clay
+    assert.deepEqual(profile.averageStrength(2, 6), {cohesion: 100, phi: 20, undrainedShearStrength: undefined});
+    //entirely within the clay with su
+    assert.deepEqual(profile.averageStrength(5, 9), {cohesion: 200, phi: 10, undrainedShearStrength: 1000});
+    //reaching into the last layer, which extends indefinitely and has no su
+    assert.equal(profile.averageStrength(8, 12).cohesion, 300);
+    assert.equal(profile.averageStrength(8, 12).undrainedShearStrength, undefined);
+});
+
+test("a range with no thickness has no average strength", () => {
+    const profile = new engine.SoilProfile(LAYERS, Infinity, "US");
+    assert.equal(profile.averageStrength(3, 3), undefined);
+    assert.equal(profile.averageStrength(4, 4), undefined);
+});
@@ -0,0 +1,89 @@
+/*
+Unit tests of the sensitivity analysis: sweeps of one or two parameters, and the tornado chart's swings.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+//the README's example: 6635 psf allowable
+const FOOTING = {cohesion: 100, phi: 32, unitWeight: 120, depth: 3, width: 5, groundwaterDepth: 4, shape: "square", FS: 3};
+
+test("the undrained tornado varies su, not c and phi", () => {
+    const inputs = {...FOOTING, analysisCase: "undrained", undrainedShearStrength: 1000};
+    const tornado = engine.tornadoSensitivity(inputs);
+    const parameters = tornado.bars.map(bar => bar.parameter);
+    assert.ok(!parameters.includes("cohesion") && !parameters.includes("phi"), parameters.join(", "));
+    const su = tornado.bars.find(bar => bar.parameter === "undrainedShearStrength");
+    assert.equal(su.label, "undrained shear strength");
+    assert.deepEqual([su.low, su.high], [900, 1100]);
+    assert.equal(su.lowCapacity, engine.calculateBearingCapacity({...inputs, undrainedShearStrength: 900}).allowableCapacity);
+    assert.equal(su.highCapacity, engine.calculateBearingCapacity({...inputs, undrainedShearStrength: 1100}).allowableCapacity);
+    //su governs the undrained capacity
+    assert.equal(tornado.bars[0], su);
+    assert.ok(su.swing > 0);
+});
+
+test("the drained tornado varies c and phi", () => {
+    const parameters = engine.tornadoSensitivity(FOOTING).bars.map(bar => bar.parameter);
+    assert.deepEqual([...parameters].sort(), ["cohesion", "depth", "groundwaterDepth", "phi", "width"]);
+});
+
+//phi = 30 degrees under a 28 degree slope: phi can't go much lower before the slope itself is unstable
+const SLOPE = {...FOOTING, phi: 30, groundwaterDepth: undefined, slopeAngle: 28, setback: 2};
+
+test("sweep points below the slope angle are skipped, not thrown", () => {
+    const sweep = engine.sweepBearingCapacity(SLOPE, [{parameter: "phi", from: 20, to: 40, step: 5}]);
+    assert.deepEqual(sweep.values, [[20, 25, 30, 35, 40]]);
+    const [low, lower, ...valid] = sweep.points;
+    [low, lower].forEach(point => {
+        assert.match(point.skipped, /slope angle should be less than phi/);
+        assert.equal(point.allowableCapacity, undefined);
+    });
+    assert.equal(valid[0].allowableCapacity, engine.calculateBearingCapacity(SLOPE).allowableCapacity);
+    valid.forEach(point => assert.equal(point.skipped, undefined));
+    assert.ok(valid[2].allowableCapacity > valid[1].allowableCapacity);
+});
+
+test("two parameter sweeps skip only the invalid combinations", () => {
+    const sweep = engine.sweepBearingCapacity(SLOPE, [{parameter: "width", from: 4, to: 6, step: 1}, {parameter: "phi", from: 25, to: 30, step: 5}]);
+    assert.deepEqual(sweep.points.map(point => point.skipped === undefined), [false, false, false, true, true, true]);
+});
+
+test("the tornado keeps phi above the slope angle", () => {
+    const tornado = engine.tornadoSensitivity(SLOPE);
+    const phi = tornado.bars.find(bar => bar.parameter === "phi");
+    //27 degrees would be below the slope, so the low end is halfway from 28 to 30
+    assert.deepEqual([phi.low, phi.high], [29, 33]);
+    assert.equal(phi.lowCapacity, engine.calculateBearingCapacity({...SLOPE, phi: 29}).allowableCapacity);
+    assert.ok(phi.lowCapacity < tornado.baseCapacity && tornado.baseCapacity < phi.highCapacity);
+    assert.deepEqual(tornado.skipped, []);
+});
+
+test("tornado parameters that can't be varied are reported, not thrown", () => {
+    //a variation of more than 100% takes every low end below 0, which only the groundwater depth may be
+    const tornado = engine.tornadoSensitivity(FOOTING, "terzaghi", 1.2);
+    assert.deepEqual(tornado.bars.map(bar => bar.parameter), ["groundwaterDepth"]);
+    assert.deepEqual(tornado.skipped.map(bar => bar.parameter), ["phi", "width", "depth", "cohesion"]);
+    assert.match(tornado.skipped.find(bar => bar.parameter === "width").message, /width should be greater than 0/);
+});
+
+//a clay whose drained case governs at low phi and its undrained case at high phi
+const CLAY = {...FOOTING, cohesion: 0, undrainedShearStrength: 500, analysisCase: "both"};
+
+test("with both analysis cases, each sweep point has the capacity of the case that governs it", () => {
+    const sweep = engine.sweepBearingCapacity(CLAY, [{parameter: "phi", from: 0, to: 40, step: 10}]);
+    sweep.points.forEach(point => {
+        const governing = engine.compareAnalysisCases({...CLAY, phi: point.values[0]}).governing;
+        assert.equal(point.analysisCase, governing.analysisCase);
+        assert.equal(point.allowableCapacity, governing.allowableCapacity);
+    });
+    assert.deepEqual([...new Set(sweep.points.map(point => point.analysisCase))], ["drained", "undrained"]);
+});
+
+test("with both analysis cases, the tornado varies the case that governs the base case", () => {
+    const tornado = engine.tornadoSensitivity(CLAY);
+    assert.equal(tornado.analysisCase, "undrained");
+    assert.deepEqual(tornado, engine.tornadoSensitivity({...CLAY, analysisCase: "undrained"}));
+    assert.ok(tornado.bars.some(bar => bar.parameter === "undrainedShearStrength"));
+});
@@ -0,0 +1,109 @@
+/*
+Reference cases for Terzaghi's equation.
+Published examples use the book's own factors, which differ from the app's table in the last digit or in Ng,
+so their theory supplies the book's factors and the test checks the equation, shape coefficients and stresses.
+The hand calculations use the app's table (phi = 30: Nc = 37.2, Nq = 22.5, Ng = 20.1), with the arithmetic written out,
+for each shape in each of Das's groundwater cases.
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../javascript/engine");
+
+function withFactors(Nc, Nq, Ng) {
+    //Terzaghi's theory with published factors in place of the table
+    return class extends engine.TerzaghiBearingCapacity {
+        bearingCapacityFactors(inputs) {
+            //the table lookup also sets the failure mode
+            return {...super.bearingCapacityFactors(inputs), Nc: Nc, Nq: Nq, Ng: Ng};
+        }
+    };
+}
+
+test("Das, Principles of Foundation Engineering, Example 3.1: square footing, general shear", () => {
+    //2 m square at Df = 1.5 m, c' = 20 kN/m², phi' = 25°, γ = 16.5 kN/m³, FS = 3, with Nc = 25.13, Nq = 12.72, Ng = 8.34
+    //qu = 1.3(20)(25.13) + (1.5 x 16.5)(12.72) + 0.4(16.5)(2)(8.34) = 653.38 + 314.82 + 110.09 = 1078.29 kN/m²
+    //Q allow = qu / 3 x 2 x 2 = 1438 kN
+    const Theory = withFactors(25.13, 12.72, 8.34);
+    const result = new Theory({units: "SI", cohesion: 20, phi: 25, unitWeight: 16.5, depth: 1.5, width: 2, shape: "square", FS: 3});
+    assert.equal(result.groundwaterCase, "none");
+    assert.ok(Math.abs(result.terms.c - 653.38) < 0.01);
+    assert.ok(Math.abs(result.terms.q - 314.82) < 0.01);
+    assert.ok(Math.abs(result.terms.g - 110.09) < 0.01);
+    assert.equal(result.bearingCapacity, 1078.3);
+    assert.equal(Math.round(result.allowableLoad), 1438);
+});
+
+test("the table gives Das's example within the difference in Ng", () => {
+    //the table's Ng = 9.2 at 25° against Das's 8.34 only changes the unit weight term
+    const result = new engine.TerzaghiBearingCapacity({units: "SI", cohesion: 20, phi: 25, unitWeight: 16.5, depth: 1.5, width: 2, shape: "square", FS: 3});
+    assert.deepEqual([result.Nc, result.Nq, result.Ng], [25.1, 12.7, 9.2]);
+    assert.ok(Math.abs(result.bearingCapacity - 1078.29) / 1078.29 < 0.01);
+});
+
+//B = 5 ft, D = 3 ft, c = 100 psf, phi = 30°, γ = 120 pcf, γw = 62.4 pcf
+const FOOTING = {cohesion: 100, phi: 30, unitWeight: 120, depth: 3, width: 5, FS: 3};
+
+const HAND_CALCULATIONS = [
+    //Case III, Dw = 10 ft, more than B below the base: σ'v = 120 x 3 = 360, γ' = 120. c term 100 x 37.2 = 3720, q term 360 x 22.5 = 8100
+    //strip: 3720 + 8100 + 0.5 x 120 x 5 x 20.1 (6030) = 17850
+    ["continuous", 10, "belowInfluence", 17850],
+    //square: 1.3 x 3720 (4836) + 8100 + 0.4 x 120 x 5 x 20.1 (4824) = 17760
+    ["square", 10, "belowInfluence", 17760],
+    //circular: 4836 + 8100 + 0.3 x 120 x 5 x 20.1 (3618) = 16554
+    ["circular", 10, "belowInfluence", 16554],
+    //Case II, Dw = 4 ft, within B below the base: σ'v = 360, γ' = 120 - 62.4 (1 - (4 - 3) / 5) = 70.08
+    //strip: 3720 + 8100 + 0.5 x 70.08 x 5 x 20.1 (3521.52) = 15341.52
+    ["continuous", 4, "withinInfluence", 15342],
+    //square: 4836 + 8100 + 0.4 x 70.08 x 5 x 20.1 (2817.22) = 15753.22
+    ["square", 4, "withinInfluence", 15753],
+    //circular: 4836 + 8100 + 0.3 x 70.08 x 5 x 20.1 (2112.91) = 15048.91
+    ["circular", 4, "withinInfluence", 15049],
+    //Case I, Dw = 1 ft, above the base: σ'v = 360 - 62.4 x (3 - 1) = 235.2, γ' = 120 - 62.4 = 57.6. q term 235.2 x 22.5 = 5292
+    //strip: 3720 + 5292 + 0.5 x 57.6 x 5 x 20.1 (2894.4) = 11906.4
+    ["continuous", 1, "aboveBase", 11906],
+    //square: 4836 + 5292 + 0.4 x 57.6 x 5 x 20.1 (2315.52) = 12443.52
+    ["square", 1, "aboveBase", 12444],
+    //circular: 4836 + 5292 + 0.3 x 57.6 x 5 x 20.1 (1736.64) = 11864.64
+    ["circular", 1, "aboveBase", 11865]
+];
+
+HAND_CALCULATIONS.forEach(([shape, groundwaterDepth, groundwaterCase, expected]) => {
+    test(`${shape} footing, groundwater at ${groundwaterDepth} ft`, () => {
+        const result = new engine.TerzaghiBearingCapacity({...FOOTING, shape: shape, groundwaterDepth: groundwaterDepth});
+        assert.equal(result.groundwaterCase, groundwaterCase);
+        assert.equal(result.bearingCapacity, expected);
+        assert.equal(result.allowableCapacity, Math.round(expected / 3));
+    });
+});
+
+test("no groundwater is the same as Case III", () => {
+    const result = new engine.TerzaghiBearingCapacity({...FOOTING, shape: "square"});
+    assert.equal(result.groundwaterCase, "none");
+    assert.equal(result.bearingCapacity, 17760);
+});
+
+test("the README's example", () => {
+    //square, B = 5 ft, D = 3 ft, c = 100 psf, phi = 32°, Dw = 4 ft: 1.3 x 100 x 44 + 360 x 28.5 + 0.4 x 70.08 x 5 x 28 = 19904.48
+    const result = new engine.TerzaghiBearingCapacity({cohesion: 100, phi: 32, depth: 3, unitWeight: 120, width: 5, shape: "square", groundwaterDepth: 4, FS: 3});
+    assert.equal(result.bearingCapacity, 19904);
+    assert.equal(result.allowableCapacity, 6635);
+});
+
+test("undrained clay under a strip footing", () => {
+    //su = 1000 psf, phi = 0: Nc = 5.7, Nq = 1, Ng = 0. Total stress σv = 120 x 3 = 360, so the groundwater at 1 ft has no effect
+    //q ult = 1000 x 5.7 + 360 x 1 = 6060
+    const result = new engine.TerzaghiBearingCapacity({...FOOTING, shape: "continuous", groundwaterDepth: 1, analysisCase: "undrained", undrainedShearStrength: 1000});
+    assert.equal(result.bearingCapacity, 6060);
+});
+
+test("the automatic failure mode keeps undrained clay in general shear", () => {
+    //square, B = 5 ft, su = 500 psf: 1.3 x 500 x 5.7 + 120 x 3 x 1 = 4065
+    const clay = {...FOOTING, shape: "square", width: 5, analysisCase: "undrained", undrainedShearStrength: 500};
+    const auto = new engine.TerzaghiBearingCapacity({...clay, failureMode: "auto"});
+    assert.equal(auto.failureMode, "general");
+    assert.equal(auto.bearingCapacity, 4065);
+    //local shear is still used when it is chosen, and phi = 0 in the drained case is still local shear
+    assert.ok(new engine.TerzaghiBearingCapacity({...clay, failureMode: "local"}).bearingCapacity < 4065);
+    assert.equal(new engine.TerzaghiBearingCapacity({...FOOTING, phi: 0, failureMode: "auto"}).failureMode, "local");
+});